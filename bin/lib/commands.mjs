@@ -4,16 +4,136 @@
 
 import { existsSync, writeFileSync, statSync } from 'node:fs'
 import chalk from 'chalk'
-import { getApiKey, loadConfig, saveConfig, promptApiKey, CONFIG_PATH } from './config.mjs'
+import ora from 'ora'
+import {
+  getApiKey,
+  getConfiguredApiKeys,
+  resolveApiBase,
+  resolveProxy,
+  resolveStrategy,
+  resolveSharedLedger,
+  loadConfig,
+  saveConfig,
+  promptApiKey,
+  CONFIG_PATH,
+} from './config.mjs'
 import { expandFiles, getActualOutputDir } from './file-utils.mjs'
-import { processFilesWithConcurrency, processConvertFilesWithConcurrency } from './processors.mjs'
+import {
+  createCompressor,
+  processFilesWithConcurrency,
+  processConvertFilesWithConcurrency,
+} from './processors.mjs'
 import {
   displayCompressionSummary,
   displayConversionSummary,
   displayQuotaStatus,
+  displayKeyUsage,
   displayOutputInfo,
 } from './display.mjs'
 import { isUrl } from '../../src/utils/url.mjs'
+import { normalizePreserve, normalizeBackground } from '../../src/utils/options.mjs'
+import { parseFormat } from '../../src/utils/format.mjs'
+import { TINYPNG_PRESERVE_FIELDS, TINYPNG_BACKGROUND_COLORS } from '../../src/constant.mjs'
+import { DEFAULT_USAGE_PATH } from '../../src/usage-store.mjs'
+
+/**
+ * Validate and normalize the --preserve option in place
+ */
+function validatePreserveOption(options) {
+  if (!options.preserve) return
+
+  try {
+    options.preserve = normalizePreserve(options.preserve)
+  } catch {
+    console.error(chalk.red(`❌ Invalid --preserve value: ${[].concat(options.preserve).join(', ')}`))
+    console.log(chalk.gray(`   Supported fields: ${TINYPNG_PRESERVE_FIELDS.join(', ')}`))
+    process.exit(1)
+  }
+}
+
+/**
+ * Validate and normalize the --background option in place
+ */
+function validateBackgroundOption(options) {
+  if (!options.background) return
+
+  try {
+    options.background = normalizeBackground(options.background)
+  } catch {
+    console.error(chalk.red(`❌ Invalid --background value: ${options.background}`))
+    console.log(chalk.gray(`   Supported colors: ${TINYPNG_BACKGROUND_COLORS.join(', ')} or #RRGGBB`))
+    process.exit(1)
+  }
+}
+
+/**
+ * Validate the --timeout option
+ */
+function validateTimeoutOption(options) {
+  if (options.timeout === undefined) return
+
+  if (!Number.isFinite(options.timeout) || options.timeout <= 0) {
+    console.error(chalk.red('❌ Invalid --timeout value, expected milliseconds greater than 0'))
+    process.exit(1)
+  }
+}
+
+/**
+ * Validate the --retries and --retry-delay options
+ */
+function validateRetryOptions(options) {
+  if (options.retries !== undefined && !(Number.isInteger(options.retries) && options.retries >= 0)) {
+    console.error(chalk.red('❌ Invalid --retries value, expected a whole number of 0 or more'))
+    process.exit(1)
+  }
+
+  if (options.retryDelay !== undefined && !(Number.isFinite(options.retryDelay) && options.retryDelay >= 0)) {
+    console.error(chalk.red('❌ Invalid --retry-delay value, expected milliseconds of 0 or more'))
+    process.exit(1)
+  }
+}
+
+/**
+ * Validate the --max-spend option
+ */
+function validateMaxSpendOption(options) {
+  if (options.maxSpend !== undefined && !(Number.isFinite(options.maxSpend) && options.maxSpend >= 0)) {
+    console.error(chalk.red('❌ Invalid --max-spend value, expected an amount in USD of 0 or more'))
+    process.exit(1)
+  }
+}
+
+/**
+ * Cancel in-flight requests on Ctrl+C; a second Ctrl+C exits immediately
+ * Sets options.signal and returns a function that removes the handler
+ */
+function cancelOnInterrupt(options) {
+  const controller = new AbortController()
+  options.signal = controller.signal
+
+  const onInterrupt = () => {
+    if (controller.signal.aborted) {
+      process.exit(130)
+    }
+
+    console.log(chalk.yellow('\n⚠️  Cancelling... press Ctrl+C again to quit immediately'))
+    controller.abort()
+  }
+
+  process.on('SIGINT', onInterrupt)
+
+  return () => process.off('SIGINT', onInterrupt)
+}
+
+/**
+ * Report cancellation after the summary and exit with the conventional SIGINT code
+ */
+function reportCancelled(options) {
+  if (!options.signal?.aborted) return
+
+  console.log(chalk.yellow('⚠️  Cancelled, remaining files were not processed'))
+  process.exitCode = 130
+}
 
 /**
  * Compress command
@@ -21,6 +141,15 @@ import { isUrl } from '../../src/utils/url.mjs'
 export async function compressCommand(files, options) {
   console.log(chalk.cyan.bold('\n🗜️  TinyPNG Compress\n'))
 
+  validatePreserveOption(options)
+  validateTimeoutOption(options)
+  validateRetryOptions(options)
+  validateMaxSpendOption(options)
+
+  options.apiBase = resolveApiBase()
+  options.proxy = resolveProxy(options)
+  options.strategy = resolveStrategy(options)
+  options.sharedLedger = resolveSharedLedger(options)
   const apiKeys = await getApiKey(options)
 
   // Get scan depth (default 1, max 10)
@@ -55,6 +184,7 @@ export async function compressCommand(files, options) {
   }
 
   // Process files with concurrency control and individual progress bars
+  const removeInterruptHandler = cancelOnInterrupt(options)
   const { results, compressor } = await processFilesWithConcurrency(
     filesToProcess,
     options,
@@ -62,11 +192,13 @@ export async function compressCommand(files, options) {
     concurrent,
     baseDir
   )
+  removeInterruptHandler()
 
   // Display summary
   displayCompressionSummary(results)
   displayQuotaStatus(compressor)
   displayOutputInfo(options, getActualOutputDir(options, filesToProcess))
+  reportCancelled(options)
 }
 
 /**
@@ -77,10 +209,28 @@ export async function convertCommand(files, options) {
 
   if (!options.format) {
     console.error(chalk.red('❌ Format is required. Use --format <format>'))
-    console.log(chalk.gray('   Supported formats: webp, png, jpeg, avif'))
+    console.log(chalk.gray('   Supported formats: webp, png, jpeg, avif, smallest, or a list (webp,avif)'))
+    process.exit(1)
+  }
+
+  try {
+    options.mimeType = parseFormat(options.format)
+  } catch {
+    console.error(chalk.red(`❌ Invalid --format value: ${options.format}`))
+    console.log(chalk.gray('   Supported formats: webp, png, jpeg, avif, smallest, or a list (webp,avif)'))
     process.exit(1)
   }
 
+  validatePreserveOption(options)
+  validateBackgroundOption(options)
+  validateTimeoutOption(options)
+  validateRetryOptions(options)
+  validateMaxSpendOption(options)
+
+  options.apiBase = resolveApiBase()
+  options.proxy = resolveProxy(options)
+  options.strategy = resolveStrategy(options)
+  options.sharedLedger = resolveSharedLedger(options)
   const apiKeys = await getApiKey(options)
 
   // Get scan depth (default 1, max 10)
@@ -114,6 +264,7 @@ export async function convertCommand(files, options) {
   }
 
   // Process files with concurrency control and individual progress bars
+  const removeInterruptHandler = cancelOnInterrupt(options)
   const { results, compressor } = await processConvertFilesWithConcurrency(
     filesToProcess,
     options,
@@ -121,11 +272,53 @@ export async function convertCommand(files, options) {
     concurrent,
     baseDir
   )
+  removeInterruptHandler()
 
   // Display summary
   displayConversionSummary(results)
   displayQuotaStatus(compressor)
   displayOutputInfo(options, getActualOutputDir(options, filesToProcess))
+  reportCancelled(options)
+}
+
+/**
+ * Quota command
+ * Shows the usage recorded in ~/.tinypng/usage.json by earlier runs, or asks TinyPNG with --refresh
+ */
+export async function quotaCommand(options) {
+  console.log(chalk.cyan.bold('\n📊 TinyPNG Quota\n'))
+
+  validateTimeoutOption(options)
+
+  const apiKeys = getConfiguredApiKeys(options)
+  if (apiKeys.length === 0) {
+    console.error(chalk.red('❌ No API key found'))
+    console.log(chalk.gray('   Use --key or save your keys with: tinypng config'))
+    process.exit(1)
+  }
+
+  if (options.refresh) {
+    options.apiBase = resolveApiBase()
+    options.proxy = resolveProxy(options)
+  }
+
+  options.sharedLedger = resolveSharedLedger(options)
+  const compressor = createCompressor(apiKeys, options)
+
+  if (options.refresh) {
+    const spinner = ora('Checking quota with TinyPNG').start()
+    try {
+      await compressor.refreshQuota({ timeout: options.timeout })
+      spinner.succeed(chalk.green('✓ Quota refreshed'))
+    } catch (error) {
+      spinner.fail(chalk.red('✗ Quota refresh failed'))
+      console.error(chalk.red('Error:'), error.message)
+      process.exit(1)
+    }
+  }
+
+  displayKeyUsage(compressor)
+  console.log(chalk.gray(`\nUsage file: ${DEFAULT_USAGE_PATH}\n`))
 }
 
 /**
@@ -144,13 +337,30 @@ export async function configCommand(options) {
 
     console.log(chalk.gray('Current configuration:'))
 
-    // Mask API keys for security
+    // Mask API keys for security; keys given with settings keep them
     const maskedConfig = { ...config }
     if (maskedConfig.apiKey) {
-      maskedConfig.apiKey = maskedConfig.apiKey.map(
-        (key, i) =>
-          `${key.substring(0, 8)}${'*'.repeat(Math.max(0, key.length - 12))}${key.substring(key.length - 4)}`
-      )
+      const mask = key =>
+        `${key.substring(0, 8)}${'*'.repeat(Math.max(0, key.length - 12))}${key.substring(key.length - 4)}`
+
+      maskedConfig.apiKey = [maskedConfig.apiKey]
+        .flat()
+        .map(entry =>
+          typeof entry === 'string' ? mask(entry) : { ...entry, key: mask(String(entry?.key ?? '')) }
+        )
+    }
+
+    // Hide proxy credentials
+    if (maskedConfig.proxy) {
+      try {
+        const proxyUrl = new URL(maskedConfig.proxy)
+        if (proxyUrl.password) {
+          proxyUrl.password = '****'
+          maskedConfig.proxy = proxyUrl.href
+        }
+      } catch {
+        // Leave invalid values as-is so they can be spotted
+      }
     }
 
     console.log(JSON.stringify(maskedConfig, null, 2))
@@ -170,7 +380,8 @@ export async function configCommand(options) {
 
   // Interactive config
   const apiKeys = await promptApiKey()
-  const config = { apiKey: apiKeys }
+  // Keep other entries (e.g. apiBase) when replacing the keys
+  const config = { ...loadConfig(), apiKey: apiKeys }
 
   if (saveConfig(config)) {
     console.log(chalk.green(`\n✓ ${apiKeys.length} API key(s) saved to ${CONFIG_PATH}\n`))
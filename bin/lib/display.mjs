@@ -4,6 +4,7 @@
 
 import chalk from 'chalk'
 import { formatSize } from '../../src/utils/compression.mjs'
+import { formatCost } from '../../src/pricing.mjs'
 
 /**
  * Display compression results summary
@@ -60,7 +61,8 @@ export function displayQuotaStatus(compressor) {
       chalk.gray(
         `   Total: ${remainingColor(remaining)} remaining (${summary.totalUsed} used, ${
           summary.totalLimit
-        } limit) · ${percentUsed}% used`
+        } limit) · ${percentUsed}% used` +
+          (summary.unlimitedKeys > 0 ? ` · ${summary.unlimitedKeys} unlimited key(s)` : '')
       )
     )
 
@@ -71,11 +73,13 @@ export function displayQuotaStatus(compressor) {
       const keysDisplay = usedKeys
         .map(stat => {
           const remaining = stat.remaining
+          if (remaining === Infinity) return `${stat.label} (unlimited)`
+
           let keyColor = chalk.green
           if (remaining < 50) keyColor = chalk.red
           else if (remaining < 100) keyColor = chalk.yellow
 
-          return `Key ${stat.keyIndex + 1} (${keyColor(remaining)})`
+          return `${stat.label} (${keyColor(remaining)})`
         })
         .join(' · ')
 
@@ -88,10 +92,79 @@ export function displayQuotaStatus(compressor) {
       }
     }
   } else {
-    console.log(chalk.gray(`   Used: ${summary.totalUsed} compressions`))
+    // Only unlimited keys, or none used yet
+    const used = stats.reduce((sum, stat) => sum + (stat.compressionCount ?? 0), 0)
+    console.log(chalk.gray(`   Used: ${used} compressions`))
+  }
+
+  // Estimated cost, once paid keys are in use or a budget is set
+  if (stats.some(stat => stat.paid) || summary.maxSpend !== null) {
+    const budget = summary.maxSpend !== null ? ` · budget ${formatCost(summary.maxSpend)}` : ''
+    console.log(
+      chalk.gray(
+        `   Cost: ~${formatCost(summary.runSpend)} this run · ~${formatCost(summary.totalSpend)} this month${budget}`
+      )
+    )
   }
 }
 
+/**
+ * Display the usage of every key, including disabled keys and keys never used
+ * @param {TinyPNGCompressor} compressor - Compressor holding the keys
+ */
+export function displayKeyUsage(compressor) {
+  const summary = compressor.getSummary()
+
+  compressor.getStats().forEach(stat => {
+    const label = chalk.bold(stat.label)
+
+    if (stat.disabledReason === 'quota') {
+      console.log(`   ${label}  ${chalk.red('out of quota')}${chalk.gray(' · available again next month')}`)
+      return
+    }
+
+    if (stat.disabled) {
+      console.log(
+        `   ${label}  ${chalk.red('disabled')}${chalk.gray(stat.lastError ? ` · ${stat.lastError}` : '')}`
+      )
+      return
+    }
+
+    if (stat.compressionCount === null) {
+      console.log(`   ${label}  ${chalk.gray('unknown (not used yet)')}`)
+      return
+    }
+
+    const unlimited = stat.monthlyLimit === Infinity
+
+    let remainingColor = chalk.green
+    if (stat.remaining < 50) remainingColor = chalk.red
+    else if (stat.remaining < 100) remainingColor = chalk.yellow
+
+    const details = [
+      unlimited ? `${stat.compressionCount} used` : `${stat.compressionCount}/${stat.monthlyLimit} used`,
+    ]
+    if (stat.paid) {
+      const cap = stat.maxSpend !== null ? ` of ${formatCost(stat.maxSpend)}` : ''
+      details.push(`paid · ~${formatCost(stat.spend)}${cap} this month`)
+    }
+    if (stat.lastUpdated) details.push(`updated ${new Date(stat.lastUpdated).toLocaleString()}`)
+    if (stat.cooldownUntil)
+      details.push(`cooling down until ${new Date(stat.cooldownUntil).toLocaleTimeString()}`)
+
+    const remaining = unlimited ? chalk.green('unlimited') : `${remainingColor(stat.remaining)} remaining`
+    console.log(`   ${label}  ${remaining} ${chalk.gray(`· ${details.join(' · ')}`)}`)
+  })
+
+  console.log(chalk.gray('─'.repeat(50)))
+  console.log(
+    chalk.gray(
+      `   ${summary.activeKeys}/${summary.totalKeys} key(s) active` +
+        (summary.totalRemaining !== null ? ` · ${summary.totalRemaining} remaining on known keys` : '')
+    )
+  )
+}
+
 /**
  * Display output information
  * @param {Object} options - Command options
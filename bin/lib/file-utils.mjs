@@ -163,10 +163,13 @@ export function getDisplayName(filePath, baseDir) {
 
 /**
  * Get output path for convert operation
+ * @param {string} inputPath - Input file path or URL
+ * @param {Object} options - Command options
+ * @param {string} ext - Output extension with leading dot, taken from the converted image type
+ * @returns {string} Output file path
  */
-export function getConvertOutputPath(inputPath, options) {
+export function getConvertOutputPath(inputPath, options, ext) {
   const isUrlInput = isUrl(inputPath)
-  const ext = options.format.startsWith('.') ? options.format : `.${options.format}`
 
   if (options.overwrite) {
     return inputPath
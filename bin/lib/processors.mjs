@@ -3,15 +3,34 @@
  * Handles individual file processing with progress tracking
  */
 
-import { statSync, writeFileSync, existsSync, mkdirSync } from 'node:fs'
+import { writeFileSync, existsSync, mkdirSync } from 'node:fs'
 import { dirname } from 'node:path'
 import chalk from 'chalk'
 import cliProgress from 'cli-progress'
 import TinyPNGCompressor from '../../src/tinypng.mjs'
 import { formatSize } from '../../src/utils/compression.mjs'
-import { isUrl } from '../../src/utils/url.mjs'
+import { getExtensionForFormat } from '../../src/utils/format.mjs'
+import { detectLocale } from '../../src/utils/i18n.mjs'
 import { getDisplayName, getOutputPath, getConvertOutputPath } from './file-utils.mjs'
 
+/**
+ * Create a compressor from API keys and the resolved CLI options
+ * Library errors shown to the user follow LANG, like the rest of the terminal
+ */
+export function createCompressor(apiKeys, options) {
+  return new TinyPNGCompressor({
+    apiKey: apiKeys,
+    apiBase: options.apiBase,
+    proxy: options.proxy,
+    locale: detectLocale(),
+    retry: { attempts: options.retries, minDelay: options.retryDelay },
+    usageStore: true,
+    sharedLedger: options.sharedLedger,
+    strategy: options.strategy,
+    maxSpend: options.maxSpend,
+  })
+}
+
 /**
  * Process a single file or URL compression with individual progress bar
  */
@@ -26,7 +45,6 @@ export async function processSingleFile(
   sharedCompressor = null
 ) {
   const displayName = getDisplayName(inputPath, baseDir)
-  const isUrlInput = isUrl(inputPath)
   let fileBar = null
   let lastProgress = 0
   let isComplete = false // Track completion to prevent progress updates after done
@@ -34,7 +52,7 @@ export async function processSingleFile(
   try {
     // Use shared compressor if provided, otherwise create dedicated one
     // Shared compressor allows quota tracking across all files
-    const fileCompressor = sharedCompressor || new TinyPNGCompressor({ apiKey: apiKeys })
+    const fileCompressor = sharedCompressor || createCompressor(apiKeys, options)
 
     // Create individual progress bar for this file
     if (multiBar) {
@@ -61,48 +79,29 @@ export async function processSingleFile(
       })
     }
 
-    let originalSize
-    let compressedBuffer
-
-    if (isUrlInput) {
-      // For URLs, we can't get original size until we fetch
-      // Use compress directly which will handle URL via TinyPNG
-      compressedBuffer = await fileCompressor.compress(inputPath, {
-        resize: options.resize
-          ? {
-              method: options.method || 'fit',
-              width: options.width,
-              height: options.height,
-            }
-          : undefined,
-      })
-      // Estimate original size for URL (we don't know it)
-      originalSize = compressedBuffer.length // Will show as 0% saved, but at least won't error
-    } else {
-      // For local files, get size first
-      originalSize = statSync(inputPath).size
-      compressedBuffer = await fileCompressor.compress(inputPath, {
-        resize: options.resize
-          ? {
-              method: options.method || 'fit',
-              width: options.width,
-              height: options.height,
-            }
-          : undefined,
-      })
-    }
-
-    const compressedSize = compressedBuffer.length
-    const savedBytes = originalSize - compressedSize
-    const savedPercent = ((savedBytes / originalSize) * 100).toFixed(2)
-
     // Ensure output directory exists
     const outputDir = dirname(outputPath)
     if (!existsSync(outputDir)) {
       mkdirSync(outputDir, { recursive: true })
     }
 
-    writeFileSync(outputPath, compressedBuffer)
+    // Streamed to disk; the result carries the real input size, also for URLs (reported by TinyPNG)
+    const result = await fileCompressor.compressToFile(inputPath, outputPath, {
+      resize: options.resize
+        ? {
+            method: options.method || 'fit',
+            width: options.width,
+            height: options.height,
+          }
+        : undefined,
+      preserve: options.preserve,
+      signal: options.signal,
+      timeout: options.timeout,
+    })
+
+    const compressedSize = result.output.size
+    const originalSize = result.input.size ?? compressedSize
+    const savedPercent = result.savedPercent
 
     results.success++
     results.totalOriginalSize += originalSize
@@ -147,10 +146,10 @@ export async function processSingleFile(
 
 /**
  * Process a single file or URL conversion with individual progress bar
+ * The output path is resolved after conversion, from the format TinyPNG returned
  */
 export async function processSingleConvert(
   inputPath,
-  outputPath,
   options,
   apiKeys,
   multiBar,
@@ -159,7 +158,6 @@ export async function processSingleConvert(
   sharedCompressor = null
 ) {
   const displayName = getDisplayName(inputPath, baseDir)
-  const isUrlInput = isUrl(inputPath)
   let fileBar = null
   let lastProgress = 0
   let isComplete = false // Track completion to prevent progress updates after done
@@ -167,7 +165,7 @@ export async function processSingleConvert(
   try {
     // Use shared compressor if provided, otherwise create dedicated one
     // Shared compressor allows quota tracking across all files
-    const fileCompressor = sharedCompressor || new TinyPNGCompressor({ apiKey: apiKeys })
+    const fileCompressor = sharedCompressor || createCompressor(apiKeys, options)
 
     // Create individual progress bar for this file
     if (multiBar) {
@@ -194,53 +192,22 @@ export async function processSingleConvert(
       })
     }
 
-    // Import service for convert
-    const TinyPNGService = await import('../../src/service.mjs')
-
-    // Step 1: Compress first using the compressor (which emits progress events)
-    fileBar?.update(10, {
-      filename: displayName.substring(0, 40),
-      status: 'Compressing...',
-    })
-
-    const compressedBuffer = await fileCompressor.compress(inputPath)
-
-    // Step 2: Get output URL from the last compression
-    const keyStat = fileCompressor.keyManager.getCurrentKey()
-
-    // We need to upload again to get the outputUrl for convert
-    fileBar?.update(50, {
-      filename: displayName.substring(0, 40),
-      status: 'Converting...',
+    // Compress and convert in one pass: a single upload whose output URL is reused for the conversion
+    const { buffer: convertedBuffer, type } = await fileCompressor.convert(inputPath, {
+      type: options.mimeType,
+      background: options.background,
+      preserve: options.preserve,
+      signal: options.signal,
+      timeout: options.timeout,
     })
 
-    const shrinkResult = isUrlInput
-      ? await TinyPNGService.shrinkFromUrl(inputPath, keyStat.key)
-      : await TinyPNGService.shrink(compressedBuffer, keyStat.key)
-
-    // Step 3: Convert with real-time progress
-    const mimeType = `image/${options.format.replace('.', '')}`
-    const convertResult = await TinyPNGService.convert(
-      shrinkResult.outputUrl,
-      { type: mimeType },
-      keyStat.key,
-      (bytesReceived, totalBytes) => {
-        // Calculate convert/download progress (50% to 95%)
-        const downloadProgress = totalBytes > 0 ? bytesReceived / totalBytes : 0
-        const currentProgress = 50 + Math.round(downloadProgress * 45) // 50% to 95%
-
-        // Only update if progress changed
-        if (currentProgress !== lastProgress) {
-          lastProgress = currentProgress
-          fileBar?.update(currentProgress, {
-            filename: displayName.substring(0, 40),
-            status: `Converting... (${Math.round(downloadProgress * 100)}%)`,
-          })
-        }
-      }
-    )
-
-    const convertedBuffer = Buffer.from(await convertResult.response.arrayBuffer())
+    // With several candidate formats TinyPNG picks the smallest, so the extension comes from the response;
+    // a single format keeps the extension it was given with
+    const outputExt = getExtensionForFormat(options.format, type)
+    if (!outputExt) {
+      throw new Error(`Unexpected output type: ${type}`)
+    }
+    const outputPath = getConvertOutputPath(inputPath, options, outputExt)
 
     // Ensure output directory exists
     const outputDir = dirname(outputPath)
@@ -264,7 +231,7 @@ export async function processSingleConvert(
     return {
       success: true,
       filename: displayName,
-      outputFormat: options.format,
+      outputFormat: outputExt.substring(1),
       outputSize: convertedBuffer.length,
     }
   } catch (error) {
@@ -301,7 +268,7 @@ export async function processFilesWithConcurrency(filesToProcess, options, apiKe
   }
 
   // Create a shared compressor instance to track quota across all files
-  const sharedCompressor = new TinyPNGCompressor({ apiKey: apiKeys })
+  const sharedCompressor = createCompressor(apiKeys, options)
 
   // Use multi-progress bar for multiple files
   const useMultiBar = filesToProcess.length > 1
@@ -348,6 +315,9 @@ export async function processFilesWithConcurrency(filesToProcess, options, apiKe
         }
       }
 
+      // Don't start new files after Ctrl+C
+      if (options.signal?.aborted) break
+
       const promise = processSingleFile(
         task.inputPath,
         task.outputPath,
@@ -411,7 +381,7 @@ export async function processConvertFilesWithConcurrency(
   }
 
   // Create a shared compressor instance to track quota across all files
-  const sharedCompressor = new TinyPNGCompressor({ apiKey: apiKeys })
+  const sharedCompressor = createCompressor(apiKeys, options)
 
   const useMultiBar = filesToProcess.length > 1
   let multiBar = null
@@ -434,10 +404,7 @@ export async function processConvertFilesWithConcurrency(
     )
   }
 
-  const queue = filesToProcess.map(inputPath => ({
-    inputPath,
-    outputPath: getConvertOutputPath(inputPath, options),
-  }))
+  const queue = filesToProcess.map(inputPath => ({ inputPath }))
 
   const processQueue = async () => {
     const activePromises = []
@@ -453,9 +420,11 @@ export async function processConvertFilesWithConcurrency(
         }
       }
 
+      // Don't start new files after Ctrl+C
+      if (options.signal?.aborted) break
+
       const promise = processSingleConvert(
         task.inputPath,
-        task.outputPath,
         options,
         apiKeys,
         multiBar,
@@ -484,7 +453,7 @@ export async function processConvertFilesWithConcurrency(
   for (const result of fileResults) {
     if (result.success) {
       console.log(
-        chalk.green(`  ✓ ${result.filename} → ${options.format} (${formatSize(result.outputSize)})`)
+        chalk.green(`  ✓ ${result.filename} → ${result.outputFormat} (${formatSize(result.outputSize)})`)
       )
     } else {
       console.log(chalk.red(`  ✗ ${result.filename}: ${result.error}`))
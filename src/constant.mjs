@@ -1,2 +1,26 @@
 export const TINYPNG_API_LIMIT = 500
 export const TINYPNG_API_BASE = 'https://api.tinify.com'
+export const TINYPNG_PRESERVE_FIELDS = ['copyright', 'creation', 'location']
+export const TINYPNG_BACKGROUND_COLORS = ['white', 'black']
+export const TINYPNG_LOCALES = ['en', 'zh']
+export const TINYPNG_DEFAULT_LOCALE = 'zh'
+export const TINYPNG_RETRY_CODES = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT',
+  'UND_ERR_BODY_TIMEOUT',
+]
+export const TINYPNG_RETRY_ON = [500, 502, 503, 504, ...TINYPNG_RETRY_CODES]
+export const TINYPNG_RESET_TIME_ZONE = 'UTC'
+export const TINYPNG_RETRY_DEFAULTS = { attempts: 3, minDelay: 1000, maxDelay: 30000, factor: 2, jitter: 0.2 }
+// Price per compression in USD for a paid key, by compressions made in the month
+export const TINYPNG_PRICING = [
+  { upTo: 500, price: 0 },
+  { upTo: 10000, price: 0.009 },
+  { upTo: Infinity, price: 0.002 },
+]
@@ -0,0 +1,100 @@
+/**
+ * Error classes for TinyPNG operations
+ */
+
+import { Locale } from './utils/i18n'
+
+/**
+ * Options shared by all TinyPNG errors
+ */
+export interface TinyPNGErrorOptions {
+  /** HTTP status when the API responded */
+  status?: number | null
+  /** Error type reported by the API, e.g. Unauthorized */
+  errorType?: string | null
+  /** Index of the key the request was made with */
+  keyIndex?: number | null
+  /** Compressions made with the key this month, if reported */
+  compressionCount?: number | null
+  /** Underlying error */
+  cause?: unknown
+}
+
+/**
+ * Base class for every error raised by TinyPNG operations
+ */
+export class TinyPNGError extends Error {
+  constructor(message: string, options?: TinyPNGErrorOptions)
+
+  /** HTTP status when the API responded, otherwise null */
+  status: number | null
+
+  /** Error type reported by the API, otherwise null */
+  errorType: string | null
+
+  /** Index of the key the request was made with, otherwise null */
+  keyIndex: number | null
+
+  /** Compressions made with the key this month, if reported */
+  compressionCount: number | null
+}
+
+/**
+ * Thrown when the API rejects a key (401) or the key is over its limit (429)
+ */
+export class AccountError extends TinyPNGError {
+  constructor(message: string, options?: TinyPNGErrorOptions & { retryAfter?: number | null })
+
+  /** Throttling cooldown in ms from Retry-After, null if the monthly limit was hit */
+  retryAfter: number | null
+}
+
+/**
+ * Thrown when no key in the pool can be used, e.g. all are disabled or over their limit
+ * `cause` holds the last key error, if any
+ */
+export class QuotaExhaustedError extends AccountError {}
+
+/**
+ * Thrown before a compression whose estimated cost would go over the spending cap of the run,
+ * or when every usable key has reached its own cap
+ */
+export class BudgetExceededError extends QuotaExhaustedError {
+  constructor(message: string, options?: TinyPNGErrorOptions & { maxSpend?: number | null; spent?: number })
+
+  /** Budget of the run in USD, null when keys hit their own caps */
+  maxSpend: number | null
+
+  /** Estimated spend of the run so far in USD */
+  spent: number
+}
+
+/**
+ * Thrown when the API rejects the request itself (4xx), e.g. an unsupported or corrupt image
+ */
+export class ClientError extends TinyPNGError {}
+
+/**
+ * Thrown when TinyPNG fails to process the request (5xx)
+ */
+export class ServerError extends TinyPNGError {}
+
+/**
+ * Thrown when TinyPNG can't be reached; `cause` holds the fetch error
+ */
+export class ConnectionError extends TinyPNGError {
+  /** Socket error code, e.g. ECONNREFUSED, otherwise null */
+  code: string | null
+}
+
+/**
+ * Thrown when an operation is cancelled through an AbortSignal or runs past its timeout
+ */
+export class AbortError extends TinyPNGError {
+  constructor(message?: string, options?: { cause?: unknown; timeout?: number | null; locale?: Locale })
+
+  name: 'AbortError'
+
+  /** Timeout in ms when the operation timed out, otherwise null */
+  timeout: number | null
+}
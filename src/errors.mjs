@@ -0,0 +1,137 @@
+/**
+ * Error classes for TinyPNG operations
+ *
+ * TinyPNGError
+ * ├── AccountError         - Key rejected (401) or over its limit (429)
+ * │   └── QuotaExhaustedError - No key in the pool can be used
+ * │       └── BudgetExceededError - Every usable key would go over a spending cap
+ * ├── ClientError          - Request rejected (4xx), e.g. an unsupported image
+ * ├── ServerError          - TinyPNG failed (5xx)
+ * ├── ConnectionError      - TinyPNG could not be reached
+ * └── AbortError           - Cancelled or timed out
+ */
+
+import { t } from './utils/i18n.mjs'
+
+/**
+ * Base class for every error raised by TinyPNG operations
+ */
+export class TinyPNGError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {number|null} [options.status] - HTTP status when the API responded
+   * @param {string|null} [options.errorType] - Error type reported by the API, e.g. Unauthorized
+   * @param {number|null} [options.keyIndex] - Index of the key the request was made with
+   * @param {number|null} [options.compressionCount] - Compressions made with the key this month, if reported
+   * @param {*} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, { cause: options.cause })
+    this.name = 'TinyPNGError'
+    this.status = options.status ?? null
+    this.errorType = options.errorType ?? null
+    this.keyIndex = options.keyIndex ?? null
+    this.compressionCount = options.compressionCount ?? null
+  }
+}
+
+/**
+ * Thrown when the API rejects a key (401) or the key is over its limit (429)
+ */
+export class AccountError extends TinyPNGError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Same as TinyPNGError, plus:
+   * @param {number|null} [options.retryAfter] - Throttling cooldown in ms from Retry-After
+   */
+  constructor(message, options = {}) {
+    super(message, options)
+    this.name = 'AccountError'
+    this.retryAfter = options.retryAfter ?? null
+  }
+}
+
+/**
+ * Thrown when no key in the pool can be used, e.g. all are disabled or over their limit
+ * `cause` holds the last key error, if any
+ */
+export class QuotaExhaustedError extends AccountError {
+  constructor(message, options = {}) {
+    super(message, options)
+    this.name = 'QuotaExhaustedError'
+  }
+}
+
+/**
+ * Thrown before a compression whose estimated cost would go over the spending cap of the run,
+ * or when every usable key has reached its own cap
+ */
+export class BudgetExceededError extends QuotaExhaustedError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Same as TinyPNGError, plus:
+   * @param {number|null} [options.maxSpend] - Budget of the run in USD, null when keys hit their own caps
+   * @param {number} [options.spent] - Estimated spend of the run so far in USD
+   */
+  constructor(message, options = {}) {
+    super(message, options)
+    this.name = 'BudgetExceededError'
+    this.maxSpend = options.maxSpend ?? null
+    this.spent = options.spent ?? 0
+  }
+}
+
+/**
+ * Thrown when the API rejects the request itself (4xx), e.g. an unsupported or corrupt image
+ */
+export class ClientError extends TinyPNGError {
+  constructor(message, options = {}) {
+    super(message, options)
+    this.name = 'ClientError'
+  }
+}
+
+/**
+ * Thrown when TinyPNG fails to process the request (5xx)
+ */
+export class ServerError extends TinyPNGError {
+  constructor(message, options = {}) {
+    super(message, options)
+    this.name = 'ServerError'
+  }
+}
+
+/**
+ * Thrown when TinyPNG can't be reached; `cause` holds the fetch error
+ */
+export class ConnectionError extends TinyPNGError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Same as TinyPNGError
+   */
+  constructor(message, options = {}) {
+    super(message, options)
+    this.name = 'ConnectionError'
+    // e.g. ECONNREFUSED, from the socket error behind fetch's TypeError
+    this.code = options.cause?.cause?.code ?? options.cause?.code ?? null
+  }
+}
+
+/**
+ * Thrown when an operation is cancelled through an AbortSignal or runs past its timeout
+ */
+export class AbortError extends TinyPNGError {
+  /**
+   * @param {string} [message] - Error message (default: 'Operation cancelled' in options.locale)
+   * @param {Object} [options] - Error options
+   * @param {*} [options.cause] - Abort reason from the signal
+   * @param {number|null} [options.timeout] - Timeout in ms, when the operation timed out
+   * @param {string} [options.locale='zh'] - Locale of the default message (en, zh)
+   */
+  constructor(message, options = {}) {
+    super(message ?? t(options.locale, 'operationCancelled'), { cause: options.cause })
+    this.name = 'AbortError'
+    this.timeout = options.timeout ?? null
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * Unit tests for errors.mjs
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  TinyPNGError,
+  AccountError,
+  QuotaExhaustedError,
+  BudgetExceededError,
+  ClientError,
+  ServerError,
+  ConnectionError,
+  AbortError,
+} from './errors.mjs'
+
+describe('errors', () => {
+  describe('TinyPNGError', () => {
+    it('should keep status, errorType, keyIndex and cause', () => {
+      const cause = new Error('cause')
+      const error = new TinyPNGError('failed', { status: 400, errorType: 'BadSignature', keyIndex: 2, cause })
+
+      expect(error).toBeInstanceOf(Error)
+      expect(error.name).toBe('TinyPNGError')
+      expect(error).toMatchObject({ status: 400, errorType: 'BadSignature', keyIndex: 2, cause })
+    })
+
+    it('should default missing fields to null', () => {
+      const error = new TinyPNGError('failed')
+
+      expect(error).toMatchObject({ status: null, errorType: null, keyIndex: null, compressionCount: null })
+      expect(error.cause).toBeUndefined()
+    })
+  })
+
+  describe('subclasses', () => {
+    it('should all extend TinyPNGError with their own name', () => {
+      const classes = [
+        AccountError,
+        QuotaExhaustedError,
+        BudgetExceededError,
+        ClientError,
+        ServerError,
+        ConnectionError,
+        AbortError,
+      ]
+
+      classes.forEach(ErrorClass => {
+        const error = new ErrorClass('failed')
+        expect(error).toBeInstanceOf(TinyPNGError)
+        expect(error.name).toBe(ErrorClass.name)
+      })
+    })
+
+    it('should make QuotaExhaustedError an AccountError', () => {
+      expect(new QuotaExhaustedError('no keys left')).toBeInstanceOf(AccountError)
+      expect(new AccountError('invalid key')).not.toBeInstanceOf(QuotaExhaustedError)
+    })
+
+    it('should make BudgetExceededError a QuotaExhaustedError with the budget', () => {
+      const error = new BudgetExceededError('over budget', { maxSpend: 5, spent: 4.995 })
+
+      expect(error).toBeInstanceOf(QuotaExhaustedError)
+      expect(error).toMatchObject({ maxSpend: 5, spent: 4.995 })
+      expect(new BudgetExceededError('over budget')).toMatchObject({ maxSpend: null, spent: 0 })
+    })
+
+    it('should keep retryAfter on AccountError', () => {
+      expect(new AccountError('throttled', { status: 429, retryAfter: 30000 }).retryAfter).toBe(30000)
+      expect(new AccountError('monthly limit', { status: 429 }).retryAfter).toBe(null)
+    })
+
+    it('should read the socket error code behind a fetch failure', () => {
+      const fetchError = new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } })
+      const error = new ConnectionError('unreachable', { cause: fetchError })
+
+      expect(error.code).toBe('ECONNREFUSED')
+      expect(error.cause).toBe(fetchError)
+      expect(new ConnectionError('unreachable').code).toBe(null)
+    })
+  })
+
+  describe('AbortError', () => {
+    it('should be an Error with name AbortError', () => {
+      const error = new AbortError()
+
+      expect(error).toBeInstanceOf(Error)
+      expect(error.name).toBe('AbortError')
+      expect(error.message).toBe('操作已取消')
+      expect(error.timeout).toBe(null)
+    })
+
+    it('should keep cause and timeout', () => {
+      const reason = new Error('reason')
+      const error = new AbortError('操作超时（100ms）', { cause: reason, timeout: 100 })
+
+      expect(error.cause).toBe(reason)
+      expect(error.timeout).toBe(100)
+    })
+
+    it('should give the default message in the requested locale', () => {
+      expect(new AbortError(undefined, { locale: 'en' }).message).toBe('Operation cancelled')
+    })
+  })
+})
@@ -0,0 +1,57 @@
+import { FileUsageStore, FileUsageStoreOptions, UsageEntry } from './usage-store'
+import { Locale } from './utils/i18n'
+
+/**
+ * Ledger entry of one API key: its usage, and the compressions each process has in flight
+ */
+export interface LedgerEntry extends UsageEntry {
+  /** Time each reservation was made, by reservation id */
+  reservations?: Record<string, number>
+}
+
+/**
+ * Key ledger shared by processes; update() is called synchronously and must be atomic
+ */
+export interface KeyLedger {
+  /** Read, change in place and write all entries as one atomic step */
+  update<T>(fn: (entries: Record<string, LedgerEntry>) => T): T
+}
+
+/**
+ * Ledger options
+ */
+export interface FileKeyLedgerOptions extends FileUsageStoreOptions {
+  /** Age in ms after which a reservation is dropped (default: 600000) */
+  reservationTtl?: number
+}
+
+/**
+ * Key ledger backed by a JSON file and a lock file next to it
+ */
+export class FileKeyLedger extends FileUsageStore implements KeyLedger {
+  /** Age in ms after which a reservation is dropped */
+  readonly reservationTtl: number
+
+  /**
+   * @param path - Ledger file path (default: ~/.tinypng/usage.json, shared with the usage store)
+   * @param options - Lock and reservation timing
+   */
+  constructor(path?: string, options?: FileKeyLedgerOptions)
+
+  /**
+   * Read, change and write all entries while holding the lock
+   * Expired reservations are dropped before fn sees the entries
+   * @param fn - Receives the entries by key hash and changes them in place
+   * @returns What fn returned
+   */
+  update<T>(fn: (entries: Record<string, LedgerEntry>) => T): T
+}
+
+/**
+ * Resolve the sharedLedger option
+ * @param ledger - Ledger, ledger file path, true for ~/.tinypng/usage.json, or false
+ * @param locale - Message locale (default: zh)
+ * @returns Ledger, or null when key usage is not shared
+ * @throws {TypeError} If an object without update() is given
+ */
+export function createKeyLedger(ledger?: KeyLedger | string | boolean, locale?: Locale): KeyLedger | null
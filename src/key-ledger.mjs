@@ -0,0 +1,75 @@
+import { TINYPNG_DEFAULT_LOCALE } from './constant.mjs'
+import { DEFAULT_USAGE_PATH, FileUsageStore } from './usage-store.mjs'
+import { t } from './utils/i18n.mjs'
+
+/**
+ * Key ledger shared by processes on one machine
+ * A usage file with a lock: every KeyManager using it reads the usage of all processes, selects and
+ * reserves a key, and writes its changes back in one locked update. Entries are the same as in
+ * FileUsageStore, with the compressions each process has in flight under reservations.
+ *
+ * Any object with the same update() method can be passed to KeyManager instead
+ */
+export class FileKeyLedger extends FileUsageStore {
+  /**
+   * @param {string} [path] - Ledger file path (default: ~/.tinypng/usage.json, shared with the usage store)
+   * @param {Object} [options] - Ledger options
+   * @param {number} [options.staleAfter=10000] - Age in ms after which a lock is taken to be left behind
+   * by a process that died, and is broken
+   * @param {number} [options.reservationTtl=600000] - Age in ms after which a reservation is dropped,
+   * e.g. one left by a process that died with compressions in flight
+   */
+  constructor(path = DEFAULT_USAGE_PATH, { staleAfter = 10000, reservationTtl = 600000 } = {}) {
+    super(path, { staleAfter })
+    this.reservationTtl = reservationTtl
+  }
+
+  /**
+   * Read, change and write all entries while holding the lock
+   * Expired reservations are dropped before fn sees the entries
+   * @param {Function} fn - Receives the entries by key hash and changes them in place
+   * @returns {*} What fn returned
+   */
+  update(fn) {
+    this.lock()
+
+    try {
+      const entries = this.load()
+      const expired = Date.now() - this.reservationTtl
+
+      for (const entry of Object.values(entries)) {
+        if (entry.reservations) {
+          entry.reservations = Object.fromEntries(
+            Object.entries(entry.reservations).filter(([, reservedAt]) => reservedAt > expired)
+          )
+        }
+      }
+
+      const result = fn(entries)
+      this._write(entries)
+      return result
+    } finally {
+      this.unlock()
+    }
+  }
+}
+
+/**
+ * Resolve the sharedLedger option
+ * @param {Object|string|boolean} [ledger] - Ledger with update(), a ledger file path, true for
+ * ~/.tinypng/usage.json, or false to coordinate nothing
+ * @param {string} [locale='zh'] - Message locale (en, zh)
+ * @returns {Object|null} Ledger, or null when key usage is not shared
+ * @throws {TypeError} If an object without update() is given
+ */
+export function createKeyLedger(ledger, locale = TINYPNG_DEFAULT_LOCALE) {
+  if (!ledger) return null
+  if (ledger === true) return new FileKeyLedger()
+  if (typeof ledger === 'string') return new FileKeyLedger(ledger)
+
+  if (typeof ledger.update !== 'function') {
+    throw new TypeError(t(locale, 'invalidSharedLedger'))
+  }
+
+  return ledger
+}
@@ -0,0 +1,218 @@
+/**
+ * Vitest tests for key-ledger.mjs
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import {
+  existsSync,
+  mkdtempSync,
+  readdirSync,
+  readFileSync,
+  rmSync,
+  utimesSync,
+  writeFileSync,
+} from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { execFile } from 'node:child_process'
+import { promisify } from 'node:util'
+import { FileKeyLedger, createKeyLedger } from './key-ledger.mjs'
+import { DEFAULT_USAGE_PATH } from './usage-store.mjs'
+
+const execFileAsync = promisify(execFile)
+
+const entry = { compressionCount: 12, lastUpdated: 1, disabled: false, lastError: null, cooldownUntil: null }
+
+describe('key-ledger', () => {
+  let dir
+  let path
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'tinypng-ledger-'))
+    path = join(dir, 'nested', 'usage.json')
+  })
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  describe('FileKeyLedger', () => {
+    it('should share the usage file by default', () => {
+      const ledger = new FileKeyLedger()
+
+      expect(ledger.path).toBe(DEFAULT_USAGE_PATH)
+      expect(ledger.lockPath).toBe(`${DEFAULT_USAGE_PATH}.lock`)
+    })
+
+    it('should write the changes made in update() and release the lock', () => {
+      const ledger = new FileKeyLedger(path)
+
+      const result = ledger.update(entries => {
+        expect(existsSync(ledger.lockPath)).toBe(true)
+        entries.abc = entry
+        return 'done'
+      })
+
+      expect(result).toBe('done')
+      expect(ledger.load()).toEqual({ abc: entry })
+      expect(existsSync(ledger.lockPath)).toBe(false)
+    })
+
+    it('should release the lock and write nothing when update() throws', () => {
+      const ledger = new FileKeyLedger(path)
+
+      expect(() =>
+        ledger.update(entries => {
+          entries.abc = entry
+          throw new Error('failed')
+        })
+      ).toThrow('failed')
+
+      expect(ledger.load()).toEqual({})
+      expect(existsSync(ledger.lockPath)).toBe(false)
+    })
+
+    it('should drop expired reservations', () => {
+      const ledger = new FileKeyLedger(path, { reservationTtl: 1000 })
+      const now = Date.now()
+
+      ledger.save({ abc: { ...entry, reservations: { old: now - 5000, fresh: now } } })
+
+      expect(ledger.update(entries => entries.abc.reservations)).toEqual({ fresh: now })
+      expect(ledger.load().abc.reservations).toEqual({ fresh: now })
+    })
+
+    it('should break a lock left behind by a process that died', () => {
+      const ledger = new FileKeyLedger(path, { staleAfter: 1000 })
+      ledger.save({})
+      writeFileSync(ledger.lockPath, '12345')
+      utimesSync(ledger.lockPath, new Date(Date.now() - 5000), new Date(Date.now() - 5000))
+
+      expect(ledger.update(() => 'locked')).toBe('locked')
+      expect(existsSync(ledger.lockPath)).toBe(false)
+      expect(readdirSync(join(dir, 'nested'))).toEqual(['usage.json'])
+    })
+
+    it('should let only one of the processes waiting on a stale lock take it', async () => {
+      // Each process adds to a counter 20 times, pausing while it holds the lock
+      const script = `
+        import { FileKeyLedger } from ${JSON.stringify(new URL('./key-ledger.mjs', import.meta.url).href)}
+
+        const pause = ms => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms)
+        const [path, startAt] = process.argv.slice(1)
+        const ledger = new FileKeyLedger(path, { staleAfter: 1000 })
+
+        while (Date.now() < Number(startAt)) {}
+
+        for (let i = 0; i < 20; i++) {
+          ledger.update(entries => {
+            const count = entries.counter?.compressionCount ?? 0
+            pause(1)
+            entries.counter = { compressionCount: count + 1 }
+          })
+        }
+      `
+      const ledger = new FileKeyLedger(path)
+      ledger.save({})
+      writeFileSync(ledger.lockPath, '12345:dead')
+      utimesSync(ledger.lockPath, new Date(Date.now() - 5000), new Date(Date.now() - 5000))
+
+      const startAt = String(Date.now() + 1000)
+      const run = () => execFileAsync(process.execPath, ['--input-type=module', '-e', script, path, startAt])
+      await Promise.all([run(), run()])
+
+      expect(ledger.load().counter.compressionCount).toBe(40)
+      expect(readdirSync(join(dir, 'nested'))).toEqual(['usage.json'])
+    }, 20000)
+
+    it('should not remove a lock taken by another process after finding the old one stale', () => {
+      // Another process breaks the stale lock and takes it while this one waits for the guard
+      class RacingLedger extends FileKeyLedger {
+        _guarded(fn) {
+          if (this.racing) {
+            this.racing = false
+            writeFileSync(this.lockPath, '12345:fresh')
+          }
+          return super._guarded(fn)
+        }
+      }
+      const ledger = new RacingLedger(path, { staleAfter: 200 })
+      ledger.save({})
+      writeFileSync(ledger.lockPath, '12345:dead')
+      utimesSync(ledger.lockPath, new Date(Date.now() - 5000), new Date(Date.now() - 5000))
+      const start = Date.now()
+
+      ledger.racing = true
+      ledger.lock()
+
+      // Only taken once the fresh lock has gone stale in turn
+      expect(Date.now() - start).toBeGreaterThanOrEqual(150)
+      expect(readFileSync(ledger.lockPath, 'utf-8')).toBe(ledger.token)
+      ledger.unlock()
+      expect(readdirSync(join(dir, 'nested'))).toEqual(['usage.json'])
+    })
+
+    it('should wait for a lock held by another process', () => {
+      const ledger = new FileKeyLedger(path, { staleAfter: 200 })
+      ledger.save({})
+      writeFileSync(ledger.lockPath, '12345')
+      const start = Date.now()
+
+      // Never released here, so it is only taken once it has gone stale
+      ledger.update(() => {})
+
+      expect(Date.now() - start).toBeGreaterThanOrEqual(150)
+    })
+
+    it('should write a token with the process id of the holder into the lock file', () => {
+      const ledger = new FileKeyLedger(path)
+      const other = new FileKeyLedger(path)
+
+      ledger.update(() => {
+        expect(readFileSync(ledger.lockPath, 'utf-8')).toBe(ledger.token)
+        expect(ledger.token).toMatch(new RegExp(`^${process.pid}:`))
+      })
+      other.update(() => {})
+
+      expect(other.token).toBeNull()
+      expect(ledger.token).toBeNull()
+    })
+
+    it('should not remove a lock it no longer holds', () => {
+      const ledger = new FileKeyLedger(path)
+      ledger.lock()
+
+      // Broken as stale and taken by another process
+      writeFileSync(ledger.lockPath, '12345:other')
+      ledger.unlock()
+
+      expect(readFileSync(ledger.lockPath, 'utf-8')).toBe('12345:other')
+      expect(readdirSync(join(dir, 'nested'))).toEqual(['usage.json.lock'])
+    })
+  })
+
+  describe('createKeyLedger()', () => {
+    it('should share nothing when not set', () => {
+      expect(createKeyLedger()).toBeNull()
+      expect(createKeyLedger(false)).toBeNull()
+    })
+
+    it('should create a file ledger', () => {
+      expect(createKeyLedger(true).path).toBe(DEFAULT_USAGE_PATH)
+      expect(createKeyLedger(path).path).toBe(path)
+    })
+
+    it('should accept a custom ledger', () => {
+      const ledger = { update: fn => fn({}) }
+      expect(createKeyLedger(ledger)).toBe(ledger)
+    })
+
+    it('should reject an object without update()', () => {
+      expect(() => createKeyLedger({ load: () => ({}) })).toThrow(TypeError)
+      expect(() => createKeyLedger({ load: () => ({}) }, 'en')).toThrow(
+        'sharedLedger must have an update() method'
+      )
+      expect(() => createKeyLedger({ load: () => ({}) }, 'zh')).toThrow('sharedLedger 必须有 update() 方法')
+    })
+  })
+})
@@ -1,3 +1,10 @@
+import { EventEmitter } from 'node:events'
+import { Locale } from './utils/i18n'
+import { UsageStore } from './usage-store'
+import { KeyLedger } from './key-ledger'
+import { KeyStrategy, KeyStrategyName } from './key-strategies'
+import { ApiKeyEntry, PricingTier } from './utils/options'
+
 /**
  * Key statistics object
  */
@@ -6,9 +13,15 @@ export interface KeyStat {
   key: string
   /** Index of the key */
   index: number
+  /** Name shown in events and stats */
+  label: string
+  /** Whether this is a paid plan key */
+  paid: boolean
+  /** Monthly spending cap in USD, null if none */
+  maxSpend: number | null
   /** Number of compressions used (null if never used) */
   compressionCount: number | null
-  /** Monthly limit for this key */
+  /** Monthly limit for this key, Infinity if unlimited */
   monthlyLimit: number
   /** Timestamp of last update from API */
   lastUpdated: number | null
@@ -16,17 +29,50 @@ export interface KeyStat {
   lastError: Error | null
   /** Whether this key is disabled */
   disabled: boolean
+  /** Why the key is disabled: 'quota' until the month rolls over, 'invalid' until reset() */
+  disabledReason: DisabledReason | null
+  /** Timestamp until which a throttled key is skipped */
+  cooldownUntil: number | null
+  /** Month the count belongs to, as YYYY-MM */
+  month: string
+  /** Estimated spend of this key since the manager was created, in USD */
+  runSpend: number
+  /** Compressions in flight whose count hasn't come back yet */
+  reserved: number
+}
+
+/**
+ * One compression held back on a key while its request is in flight
+ */
+export interface KeyReservation {
+  /** Index of the key */
+  readonly keyIndex: number
+  /** Unique ids of the compressions not confirmed yet, under which they are kept in a shared ledger */
+  readonly ids: string[]
+  /** Whether every compression was confirmed or released */
+  settled: boolean
 }
 
+/**
+ * Why a key is disabled
+ */
+export type DisabledReason = 'quota' | 'invalid'
+
 /**
  * Public key statistics (safe to expose)
  */
 export interface PublicKeyStat {
   /** Index of the key */
   keyIndex: number
+  /** Name shown in events and stats */
+  label: string
+  /** Whether this is a paid plan key */
+  paid: boolean
+  /** Monthly spending cap in USD, null if none */
+  maxSpend: number | null
   /** Number of compressions used (null if never used) */
   compressionCount: number | null
-  /** Monthly limit for this key */
+  /** Monthly limit for this key, Infinity if unlimited */
   monthlyLimit: number
   /** Remaining compressions (null if never used) */
   remaining: number | null
@@ -36,8 +82,18 @@ export interface PublicKeyStat {
   lastUpdated: number | null
   /** Whether this key is disabled */
   disabled: boolean
+  /** Why the key is disabled (null if enabled) */
+  disabledReason: DisabledReason | null
+  /** End of the current throttling cooldown (null if not cooling down) */
+  cooldownUntil: number | null
   /** Last error message (if any) */
   lastError: string | null
+  /** Estimated spend this month in USD, 0 for free keys */
+  spend: number
+  /** Estimated spend since the manager was created in USD */
+  runSpend: number
+  /** Compressions in flight whose count hasn't come back yet */
+  reserved: number
 }
 
 /**
@@ -52,6 +108,8 @@ export interface KeySummary {
   disabledKeys: number
   /** Number of keys with unknown usage */
   unknownKeys: number
+  /** Number of keys without a monthly limit, left out of the totals below */
+  unlimitedKeys: number
   /** Total compressions used (null if all unknown) */
   totalUsed: number | null
   /** Total monthly limit (null if all unknown) */
@@ -60,28 +118,118 @@ export interface KeySummary {
   totalRemaining: number | null
   /** Overall percentage used (null if all unknown) */
   percentUsed: string | null
+  /** Estimated spend of all paid keys this month in USD */
+  totalSpend: number
+  /** Estimated spend since the manager was created in USD */
+  runSpend: number
+  /** Budget for the run in USD, null if none */
+  maxSpend: number | null
+}
+
+/**
+ * Result of probing one key during refresh()
+ */
+export interface KeyProbeResult {
+  /** Index of the key */
+  keyIndex: number
+  /** True if valid, false if rejected (401), null if the probe failed */
+  valid: boolean | null
+  /** Compressions made with the key this month, if reported */
+  compressionCount: number | null
+  /** Rejection or probe error */
+  error: Error | null
 }
 
 /**
  * KeyManager constructor options
  */
 export interface KeyManagerOptions {
-  /** Array of API keys */
-  apiKeys: string[]
-  /** Monthly limit per key (default: 500) */
+  /** API keys, as strings or with their own settings */
+  apiKeys: Array<string | ApiKeyEntry>
+  /** Monthly limit per key, unless a key sets its own (default: 500) */
   monthlyLimit?: number
+  /** Message locale for thrown errors (default: zh) */
+  locale?: Locale
+  /** Usage store, loaded on construction and written after every change (default: none) */
+  store?: UsageStore | null
+  /** Time zone in which the monthly quota resets (default: UTC) */
+  timeZone?: string
+  /** Key selection strategy, or a function picking one of the usable keys (default: 'least-used') */
+  strategy?: KeyStrategyName | KeyStrategy
+  /** Pricing tiers used to estimate the cost of paid keys (default: TinyPNG's published tiers) */
+  pricing?: PricingTier[]
+  /** Budget in USD for everything compressed through this manager (default: none) */
+  maxSpend?: number | null
+  /** Ledger shared with other processes; it also keeps usage across runs, so store is not used with one */
+  ledger?: KeyLedger | null
+}
+
+/**
+ * Data of the monthlyReset event
+ */
+export interface MonthlyResetEvent {
+  /** New month, as YYYY-MM */
+  month: string
+  /** Keys whose counts were cleared */
+  keyIndexes: number[]
+  /** Labels of those keys */
+  labels: string[]
+  /** Keys disabled for quota that were re-enabled */
+  reenabledKeys: number[]
+  /** Labels of the re-enabled keys */
+  reenabledLabels: string[]
 }
 
 /**
  * API Key Manager
  * Handles API key selection, rotation, and usage tracking
  */
-export class KeyManager {
+export class KeyManager extends EventEmitter {
   /**
    * Monthly limit per key
    */
   readonly monthlyLimit: number
 
+  /**
+   * Message locale for thrown errors
+   */
+  readonly locale: Locale
+
+  /**
+   * Usage store, null if usage is kept in memory only
+   */
+  readonly store: UsageStore | null
+
+  /**
+   * Ledger shared with other processes, null if key usage is not shared
+   */
+  readonly ledger: KeyLedger | null
+
+  /**
+   * Time zone in which the monthly quota resets
+   */
+  readonly timeZone: string
+
+  /**
+   * Key selection strategy
+   */
+  readonly strategy: KeyStrategy
+
+  /**
+   * Pricing tiers for paid keys
+   */
+  readonly pricing: Required<PricingTier>[]
+
+  /**
+   * Budget for the run in USD, null if none
+   */
+  readonly maxSpend: number | null
+
+  /**
+   * Estimated spend since the manager was created, in USD
+   */
+  readonly runSpend: number
+
   /**
    * Key statistics (internal)
    */
@@ -99,19 +247,75 @@ export class KeyManager {
   constructor(options: KeyManagerOptions)
 
   /**
-   * Get the best available API key based on remaining quota
-   * Uses least-used strategy to maximize total throughput
+   * Get the next API key to use, picked by the selection strategy among the usable keys
+   * Reserved compressions count as used, see reserve()
+   * @param count - Compressions the key must have left, e.g. 2 for a resize (default: 1)
    * @returns Key statistics object
-   * @throws {Error} If no keys are available
+   * @throws {QuotaExhaustedError} If all keys are disabled or at their limit
+   * @throws {BudgetExceededError} If the next compression would go over the budget or every key's cap
+   * @throws {AccountError} If all usable keys are cooling down, with `retryAfter` in ms
+   * @throws {TypeError} If a custom strategy returns something other than one of the keys
    */
-  selectBestKey(): KeyStat
+  selectBestKey(count?: number): KeyStat
+
+  /**
+   * Select a key and reserve the compressions of a call on it in one step
+   * With a shared ledger both happen in one locked update, so no other process can take the same
+   * compressions in between
+   * @param count - Compressions the call will use, e.g. 2 for a shrink and a resize (default: 1)
+   * @returns Selected key and its reservation
+   * @throws As selectBestKey()
+   */
+  selectAndReserve(count?: number): { keyStat: KeyStat; reservation: KeyReservation }
+
+  /**
+   * Reserve the compressions of a call on a given key, checked as a selection would check it
+   * With a shared ledger the check and the reservation happen in one locked update
+   * @param keyIndex - Index of the key
+   * @param count - Compressions the call will use (default: 1)
+   * @returns Reservation, or null if the key is disabled, cooling down or without room
+   * @throws {BudgetExceededError} If the compressions would go over the key's cap or the budget
+   */
+  reserveKey(keyIndex: number, count?: number): KeyReservation | null
+
+  /**
+   * Hold back compressions of a key until their counts come back from TinyPNG
+   * Reserved compressions count as used until each is confirmed by updateStats() or the rest are released
+   * @param keyIndex - Index of the key
+   * @param count - Compressions the call will use, e.g. 2 for a shrink and a resize (default: 1)
+   * @returns Reservation, to pass to updateStats() or release()
+   */
+  reserve(keyIndex: number, count?: number): KeyReservation
+
+  /**
+   * Give back the compressions of a reservation not confirmed yet, e.g. when the request failed
+   * Settling a reservation more than once has no effect
+   * @param reservation - Reservation from reserve()
+   * @param count - Compressions to give back (default: all not confirmed yet); the reservation is
+   * settled once none are left
+   */
+  release(reservation: KeyReservation, count?: number): void
 
   /**
    * Update key statistics from API response
+   * The compressions since the last known count are added to the spend of the run; a count lower than
+   * the known one arrived out of order and is already included in it
    * @param keyIndex - Index of the key
    * @param compressionCount - Compression count from API header
+   * @param reservation - Reservation of which one compression is confirmed by this count, which now
+   * includes it; the reservation is settled once all of them are
+   */
+  updateStats(keyIndex: number, compressionCount: number, reservation?: KeyReservation | null): void
+
+  /**
+   * Check if the next compressions with a key stay within its cap and the budget
+   * Free keys, and paid keys whose count is not known yet, are assumed to cost nothing
+   * @param stat - Key statistics
+   * @param options - Set budget to false to check the key's own cap only; count is the number of
+   * compressions to price (default: 1)
+   * @returns True if the key can be used without going over a cap
    */
-  updateStats(keyIndex: number, compressionCount: number): void
+  canAfford(stat: KeyStat, options?: { budget?: boolean; count?: number }): boolean
 
   /**
    * Mark a key as having an error and disable it
@@ -120,6 +324,38 @@ export class KeyManager {
    */
   markKeyError(keyIndex: number, error: Error): void
 
+  /**
+   * Put a throttled key on a timed cooldown; it becomes available again automatically
+   * @param keyIndex - Index of the key
+   * @param retryAfter - Cooldown in milliseconds
+   * @param error - Error that caused the cooldown
+   */
+  markKeyThrottled(keyIndex: number, retryAfter: number, error?: Error | null): void
+
+  /**
+   * Get the time until a usable key is out of cooldown
+   * @returns Milliseconds to wait, 0 if a key can be used now (or none ever will)
+   */
+  getCooldownRemaining(): number
+
+  /**
+   * Check if any key can still be used this month, now or after a cooldown
+   * @returns False once every key is disabled or at its limit
+   */
+  hasUsableKeys(): boolean
+
+  /**
+   * Refresh every key's compression count from TinyPNG
+   * Keys that are valid and under the limit are re-enabled; keys rejected with 401 are disabled
+   * @param probeFn - Probes one key
+   * @returns Probe result per key
+   */
+  refresh(
+    probeFn: (
+      key: string
+    ) => Promise<{ valid: boolean; compressionCount: number | null; error: Error | null }>
+  ): Promise<KeyProbeResult[]>
+
   /**
    * Get the current key being used
    * @returns Current key statistics
@@ -138,9 +374,25 @@ export class KeyManager {
    */
   getSummary(): KeySummary
 
+  /**
+   * Roll over to a new month if TinyPNG has reset its counts since they were recorded
+   * Counts are cleared and keys disabled for quota are re-enabled; keys rejected as invalid stay disabled
+   * @param now - Current timestamp (default: Date.now())
+   * @returns The monthlyReset event data, or null if still in the same month
+   */
+  checkMonthlyReset(now?: number): MonthlyResetEvent | null
+
+  /**
+   * Get the quota month of a timestamp in the reset time zone
+   * @param timestamp - Timestamp (default: Date.now())
+   * @returns Month as YYYY-MM
+   */
+  getMonth(timestamp?: number): string
+
   /**
    * Reset all statistics (e.g., for new month)
-   * Re-enables all keys and clears counts
+   * Re-enables all keys and clears counts; the spend of the run is kept, as it was already billed,
+   * and so are reservations of compressions still in flight
    */
   reset(): void
 
@@ -157,10 +409,23 @@ export class KeyManager {
    */
   isKeyAvailable(keyIndex: number): boolean
 
+  /**
+   * Get the label of a key, as shown in events and stats
+   * @param keyIndex - Index of the key
+   * @returns Key label, 'Key 1' etc. unless one was given
+   */
+  getLabel(keyIndex: number): string
+
   /**
    * Get the API key string by index
    * @param keyIndex - Index of the key
    * @returns API key string
    */
   getKeyString(keyIndex: number): string
+
+  on(event: 'monthlyReset', listener: (data: MonthlyResetEvent) => void): this
+
+  once(event: 'monthlyReset', listener: (data: MonthlyResetEvent) => void): this
+
+  emit(event: 'monthlyReset', data: MonthlyResetEvent): boolean
 }
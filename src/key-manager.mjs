@@ -1,115 +1,334 @@
-import { TINYPNG_API_LIMIT } from './constant.mjs'
+import { randomUUID } from 'node:crypto'
+import { EventEmitter } from 'node:events'
+import { TINYPNG_API_LIMIT, TINYPNG_DEFAULT_LOCALE } from './constant.mjs'
+import { AccountError, BudgetExceededError, QuotaExhaustedError } from './errors.mjs'
+import { isQuotaExhaustedError } from './utils/error.mjs'
+import { t } from './utils/i18n.mjs'
+import { normalizeApiKey, normalizeMaxSpend, normalizePricing, normalizeTimeZone } from './utils/options.mjs'
+import { resolveStrategy } from './key-strategies.mjs'
+import { hashKey } from './usage-store.mjs'
+import { costBetween, estimateCost, formatCost, roundCost } from './pricing.mjs'
 
 /**
  * API Key Manager
  * Handles API key selection, rotation, and usage tracking
  *
  * Features:
- * - Smart key selection (least-used first)
+ * - Pluggable key selection (least-used first by default)
  * - Accurate quota tracking from API responses
+ * - Per-key labels and limits, including unlimited paid keys
+ * - Estimated spend of paid keys, with caps per key and per run
+ * - Reservations for compressions in flight, so concurrent calls don't overshoot a key's quota
  * - Automatic key rotation on errors
- * - Month-aware statistics
+ * - Timed cooldown for throttled keys
+ * - Month-aware statistics, rolled over when TinyPNG resets its counts
+ * - Optional usage store, so known quotas survive restarts
+ * - Optional shared ledger, so processes on one machine coordinate selection and reservations
+ *
+ * Events:
+ * - monthlyReset: a new month started; counts were cleared and keys over quota re-enabled
  */
-export class KeyManager {
+export class KeyManager extends EventEmitter {
   /**
    * @param {Object} options - Configuration options
-   * @param {string[]} options.apiKeys - Array of API keys
-   * @param {number} [options.monthlyLimit=500] - Compressions per key per month
+   * @param {Array<string|Object>} options.apiKeys - API keys, as strings or
+   * { key, label, monthlyLimit, paid, maxSpend }; paid keys have no monthly limit unless one is set
+   * @param {number} [options.monthlyLimit=500] - Compressions per key per month, unless a key sets its own
+   * @param {string} [options.locale='zh'] - Message locale (en, zh)
+   * @param {Object} [options.store] - Usage store with load() and save(), e.g. a FileUsageStore
+   * @param {string} [options.timeZone='UTC'] - Time zone in which the monthly quota resets
+   * @param {string|Function} [options.strategy='least-used'] - Key selection: least-used, round-robin,
+   * drain, priority, weighted, or a function (keys, context) => key picking one of the usable keys
+   * @param {Object[]} [options.pricing] - Pricing tiers [{ upTo, price }] for paid keys (default: TinyPNG's)
+   * @param {number} [options.maxSpend] - Budget in USD for everything compressed through this manager
+   * @param {Object} [options.ledger] - Ledger with update(fn) shared with other processes, e.g. a
+   * FileKeyLedger; it also keeps usage across runs, so store is not used with one
    */
   constructor(options) {
+    super()
+
+    this.locale = options.locale || TINYPNG_DEFAULT_LOCALE
+
     if (!options.apiKeys || !Array.isArray(options.apiKeys)) {
       throw new TypeError('apiKeys must be an array')
     }
 
     if (options.apiKeys.length === 0) {
-      throw new Error('至少需要提供一个 API Key')
+      throw new Error(t(this.locale, 'keyRequired'))
     }
 
     this.monthlyLimit = options.monthlyLimit || TINYPNG_API_LIMIT
+    this.timeZone = normalizeTimeZone(options.timeZone, this.locale)
+    this.strategy = resolveStrategy(options.strategy, this.locale)
+    this.pricing = normalizePricing(options.pricing, this.locale)
+    this.maxSpend = normalizeMaxSpend(options.maxSpend, this.locale)
+    this.runSpend = 0 // estimated spend since the manager was created
+    this.monthFormat = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timeZone,
+      year: 'numeric',
+      month: '2-digit',
+    })
+
+    const month = this.getMonth()
 
     // Initialize key statistics
-    this.keyStats = options.apiKeys.map((key, index) => ({
-      key,
+    this.keyStats = options.apiKeys.map((entry, index) => ({
+      // key, label, monthlyLimit (Infinity = unlimited), paid, maxSpend
+      ...normalizeApiKey(entry, index, this.monthlyLimit, this.locale),
       index,
       compressionCount: null, // null = never used, will get from API
-      monthlyLimit: this.monthlyLimit,
       lastUpdated: null, // timestamp of last API response
       lastError: null,
       disabled: false,
+      disabledReason: null, // 'quota' until the month rolls over, 'invalid' until reset()
+      cooldownUntil: null, // timestamp until which a throttled key is skipped
+      month, // month the count belongs to, e.g. '2026-10'
+      runSpend: 0, // estimated spend of this key since the manager was created
+      reserved: 0, // compressions in flight whose count hasn't come back yet
     }))
 
     this.currentKeyIndex = 0
+    this.previousKeyIndex = null // key selected last, for round-robin
+
+    this.id = randomUUID() // prefix of the ids of this manager's reservations
+    this.reservations = new Map() // own reservations in flight: id => { keyIndex, reservedAt }
+    this.reservationCount = 0
+
+    this.ledger = options.ledger || null
+    this.store = this.ledger ? null : options.store || null
+    this._sharing = false // inside a ledger update
+    this._load()
   }
 
   /**
-   * Get the best available API key based on remaining quota
-   * Uses least-used strategy to maximize total throughput
+   * Get the next API key to use, picked by the selection strategy among the usable keys
+   * Reserved compressions count as used, see reserve()
+   * @param {number} [count=1] - Compressions the key must have left, e.g. 2 for a resize
    * @returns {Object} Key statistics object
-   * @throws {Error} If no keys are available
+   * @throws {QuotaExhaustedError} If all keys are disabled or at their limit
+   * @throws {BudgetExceededError} If the next compression would go over the budget or every key's cap
+   * @throws {AccountError} If all usable keys are cooling down, with retryAfter in ms
    */
-  selectBestKey() {
+  selectBestKey(count = 1) {
+    return this._shared(() => this._selectBestKey(count))
+  }
+
+  /**
+   * Select a key from the current statistics
+   * @private
+   * @param {number} count - Compressions the key must have left
+   * @returns {Object} Key statistics object
+   */
+  _selectBestKey(count) {
+    this.checkMonthlyReset()
+
     // Get all non-disabled keys
     const availableKeys = this.keyStats.filter(stat => !stat.disabled)
 
     if (availableKeys.length === 0) {
-      throw new Error('所有 API Keys 都已被禁用')
+      throw new QuotaExhaustedError(t(this.locale, 'allKeysDisabled'))
     }
 
-    // Filter out keys we know are at limit
-    const viableKeys = availableKeys.filter(stat => {
-      // Unknown count = assume available
-      if (stat.compressionCount === null) return true
-      // Check if under limit
-      return stat.compressionCount < stat.monthlyLimit
-    })
+    // Filter out keys without room for the call once the compressions in flight are counted
+    // Unknown count = assume only those in flight were used
+    const viableKeys = availableKeys.filter(stat => usedOf(stat) + count <= stat.monthlyLimit)
 
     if (viableKeys.length === 0) {
-      throw new Error('所有 API Keys 都已达到月度限制')
+      throw new QuotaExhaustedError(t(this.locale, 'allKeysAtLimit'))
     }
 
-    // Select key with most remaining quota (least-used strategy)
-    const bestKey = viableKeys.reduce((best, current) => {
-      const bestRemaining =
-        best.compressionCount === null
-          ? Infinity // Unknown = highest priority
-          : best.monthlyLimit - best.compressionCount
+    // Skip keys whose compressions for the call would go over a spending cap
+    const affordableKeys = viableKeys.filter(stat => this.canAfford(stat, { count }))
 
-      const currentRemaining =
-        current.compressionCount === null ? Infinity : current.monthlyLimit - current.compressionCount
+    if (affordableKeys.length === 0) {
+      throw this._budgetError(viableKeys, count)
+    }
 
-      return currentRemaining > bestRemaining ? current : best
-    })
+    // Skip throttled keys until their cooldown ends
+    const now = Date.now()
+    const readyKeys = affordableKeys.filter(stat => !isCoolingDown(stat, now))
+
+    if (readyKeys.length === 0) {
+      throw new AccountError(t(this.locale, 'allKeysCoolingDown'), {
+        retryAfter: this.getCooldownRemaining(),
+      })
+    }
+
+    const bestKey = this.strategy(readyKeys, { previousIndex: this.previousKeyIndex })
+
+    if (!readyKeys.includes(bestKey)) {
+      throw new TypeError(t(this.locale, 'invalidStrategyResult'))
+    }
 
     this.currentKeyIndex = bestKey.index
+    this.previousKeyIndex = bestKey.index
 
     return bestKey
   }
 
+  /**
+   * Select a key and reserve the compressions of a call on it in one step
+   * With a shared ledger both happen in one locked update, so no other process can take the same
+   * compressions in between; see selectBestKey() and reserve()
+   * @param {number} [count=1] - Compressions the call will use, e.g. 2 for a shrink and a resize
+   * @returns {{ keyStat: Object, reservation: Object }} Selected key and its reservation
+   * @throws {QuotaExhaustedError|BudgetExceededError|AccountError} As selectBestKey()
+   */
+  selectAndReserve(count = 1) {
+    return this._shared(() => {
+      const keyStat = this._selectBestKey(count)
+      return { keyStat, reservation: this.reserve(keyStat.index, count) }
+    })
+  }
+
+  /**
+   * Reserve the compressions of a call on a given key, checked as a selection would check it
+   * For calls that must stay on one key, e.g. to use the image an earlier call uploaded with it. With a
+   * shared ledger the check and the reservation happen in one locked update
+   * @param {number} keyIndex - Index of the key
+   * @param {number} [count=1] - Compressions the call will use
+   * @returns {Object|null} Reservation, or null if the key is disabled, cooling down or without room
+   * @throws {BudgetExceededError} If the compressions would go over the key's cap or the budget
+   */
+  reserveKey(keyIndex, count = 1) {
+    return this._shared(() => {
+      const stat = this.keyStats[keyIndex]
+
+      if (!this.isKeyAvailable(keyIndex) || usedOf(stat) + count > stat.monthlyLimit) return null
+
+      if (count > 0 && !this.canAfford(stat, { count })) {
+        throw this._budgetError([stat], count)
+      }
+
+      return this.reserve(keyIndex, count)
+    })
+  }
+
+  /**
+   * Hold back compressions of a key until their counts come back from TinyPNG
+   * Concurrent calls select keys before any of their counts are known; reserved compressions count as
+   * used until each is confirmed by updateStats() or the rest are released
+   * @param {number} keyIndex - Index of the key
+   * @param {number} [count=1] - Compressions the call will use, e.g. 2 for a shrink and a resize
+   * @returns {Object} Reservation, to pass to updateStats() or release()
+   */
+  reserve(keyIndex, count = 1) {
+    const stat = this.keyStats[keyIndex]
+
+    if (!stat) {
+      throw new Error(`Invalid key index: ${keyIndex}`)
+    }
+
+    // One id per compression, so the ledger counts each of them
+    const ids = Array.from({ length: count }, () => `${this.id}:${++this.reservationCount}`)
+
+    this._shared(() => {
+      const reservedAt = Date.now()
+
+      for (const id of ids) {
+        this.reservations.set(id, { keyIndex, reservedAt })
+      }
+
+      stat.reserved += count
+    })
+
+    return { keyIndex, ids, settled: count === 0 }
+  }
+
+  /**
+   * Give back the compressions of a reservation not confirmed yet, e.g. when the request failed
+   * Settling a reservation more than once has no effect
+   * @param {Object} reservation - Reservation from reserve()
+   * @param {number} [count] - Compressions to give back, e.g. 1 for a response without a count
+   * (default: all not confirmed yet); the reservation is settled once none are left
+   */
+  release(reservation, count = reservation.ids.length) {
+    if (reservation.settled) return
+
+    const stat = this.keyStats[reservation.keyIndex]
+    const ids = reservation.ids.splice(0, count)
+    reservation.settled = reservation.ids.length === 0
+
+    this._shared(() => {
+      for (const id of ids) {
+        this.reservations.delete(id)
+      }
+
+      stat.reserved = Math.max(0, stat.reserved - ids.length)
+    })
+  }
+
   /**
    * Update key statistics from API response
+   * The compressions since the last known count are added to the spend of the run. Responses can
+   * arrive out of order; a count lower than the known one is already included in it
    * @param {number} keyIndex - Index of the key
    * @param {number} compressionCount - Compression count from API header
+   * @param {Object} [reservation] - Reservation of which one compression is confirmed by this count,
+   * which now includes it; the reservation is settled once all of them are
    */
-  updateStats(keyIndex, compressionCount) {
+  updateStats(keyIndex, compressionCount, reservation = null) {
     const stat = this.keyStats[keyIndex]
 
     if (!stat) {
       throw new Error(`Invalid key index: ${keyIndex}`)
     }
 
-    if (typeof compressionCount === 'number') {
-      stat.compressionCount = compressionCount
-      stat.lastUpdated = Date.now()
+    if (typeof compressionCount !== 'number') return
+
+    this._shared(() => {
+      // A count of an earlier month is not carried over; with none known yet, the response is for a
+      // single compression
+      const known = this._isCurrent(stat) ? stat.compressionCount : null
+      const previous = known ?? compressionCount - 1
+
+      if (stat.paid && compressionCount > previous) {
+        const cost = costBetween(previous, compressionCount, this.pricing)
+        stat.runSpend = roundCost(stat.runSpend + cost)
+        this.runSpend = roundCost(this.runSpend + cost)
+      }
+
+      // TinyPNG's count only goes up within a month, so a lower one is already included
+      this._setCount(stat, Math.max(known ?? compressionCount, compressionCount))
 
-      // Auto-disable if at limit
-      if (compressionCount >= stat.monthlyLimit) {
-        stat.disabled = true
+      if (reservation && !reservation.settled) {
+        this.reservations.delete(reservation.ids.shift())
+        stat.reserved = Math.max(0, stat.reserved - 1)
+        reservation.settled = reservation.ids.length === 0
       }
+    })
+  }
+
+  /**
+   * Check if the next compressions with a key stay within its cap and the budget
+   * Free keys, and paid keys whose count is not known yet, are assumed to cost nothing.
+   * Compressions in flight are counted as if they had already been billed
+   * @param {Object} stat - Key statistics
+   * @param {Object} [options] - Check options
+   * @param {boolean} [options.budget=true] - Also check the budget of the run
+   * @param {number} [options.count=1] - Compressions to price, e.g. 2 for a shrink and a resize
+   * @returns {boolean} True if the key can be used without going over a cap
+   */
+  canAfford(stat, { budget = true, count = 1 } = {}) {
+    if (!stat.paid || stat.compressionCount === null) return true
+
+    const used = usedOf(stat)
+    const next = costBetween(used, used + count, this.pricing)
+
+    if (stat.maxSpend !== null && estimateCost(used + count, this.pricing) > stat.maxSpend) {
+      return false
     }
+
+    if (!budget || this.maxSpend === null) return true
+
+    const reservedSpend = this.keyStats.reduce((sum, s) => sum + reservedSpendOf(s, this.pricing), 0)
+    return roundCost(this.runSpend + reservedSpend + next) <= this.maxSpend
   }
 
   /**
    * Mark a key as having an error and disable it
+   * A key over its monthly limit (429 without Retry-After) comes back when the month rolls over,
+   * any other key stays disabled until reset()
    * @param {number} keyIndex - Index of the key
    * @param {Error} error - Error object
    */
@@ -120,8 +339,107 @@ export class KeyManager {
       throw new Error(`Invalid key index: ${keyIndex}`)
     }
 
-    stat.lastError = error
-    stat.disabled = true
+    this._shared(() => {
+      stat.lastError = error
+      stat.disabled = true
+      stat.disabledReason = isQuotaExhaustedError(error) ? 'quota' : 'invalid'
+      this._save()
+    })
+  }
+
+  /**
+   * Put a throttled key on a timed cooldown; it becomes available again automatically
+   * @param {number} keyIndex - Index of the key
+   * @param {number} retryAfter - Cooldown in milliseconds
+   * @param {Error} [error] - Error that caused the cooldown
+   */
+  markKeyThrottled(keyIndex, retryAfter, error = null) {
+    const stat = this.keyStats[keyIndex]
+
+    if (!stat) {
+      throw new Error(`Invalid key index: ${keyIndex}`)
+    }
+
+    this._shared(() => {
+      stat.cooldownUntil = Date.now() + retryAfter
+      stat.lastError = error
+      this._save()
+    })
+  }
+
+  /**
+   * Get the time until a usable key is out of cooldown
+   * @returns {number} Milliseconds to wait, 0 if a key can be used now (or none ever will)
+   */
+  getCooldownRemaining() {
+    const now = Date.now()
+    const usableKeys = this.keyStats.filter(isUsable)
+
+    if (usableKeys.length === 0 || usableKeys.some(stat => !isCoolingDown(stat, now))) {
+      return 0
+    }
+
+    return Math.min(...usableKeys.map(stat => stat.cooldownUntil - now))
+  }
+
+  /**
+   * Check if any key can still be used this month, now or after a cooldown
+   * @returns {boolean} False once every key is disabled or at its limit
+   */
+  hasUsableKeys() {
+    this.checkMonthlyReset()
+    return this.keyStats.some(isUsable)
+  }
+
+  /**
+   * Refresh every key's compression count from TinyPNG
+   * Keys that are valid and under the limit are re-enabled; keys rejected with 401 are disabled, and keys
+   * answered with 429 over their monthly limit stay disabled until the month rolls over.
+   * A key whose probe fails (e.g. network error) keeps its state and records the error
+   * @param {Function} probeFn - Probes one key: (key) => Promise<{ valid, compressionCount, error }>
+   * @returns {Promise<Array<Object>>} Probe result per key, with keyIndex
+   */
+  async refresh(probeFn) {
+    const results = await Promise.all(
+      this.keyStats.map(async stat => {
+        try {
+          return { keyIndex: stat.index, ...(await probeFn(stat.key)) }
+        } catch (error) {
+          return { keyIndex: stat.index, valid: null, compressionCount: null, error }
+        }
+      })
+    )
+
+    this._shared(() => {
+      for (const result of results) {
+        const stat = this.keyStats[result.keyIndex]
+
+        if (result.valid === false) {
+          this.markKeyError(result.keyIndex, result.error)
+        } else if (result.valid && result.error && isQuotaExhaustedError(result.error)) {
+          if (typeof result.compressionCount === 'number') {
+            this._setCount(stat, result.compressionCount)
+          }
+
+          this.markKeyError(result.keyIndex, result.error)
+        } else if (result.valid) {
+          stat.disabled = false
+          stat.disabledReason = null
+          stat.lastError = null
+
+          // A probe compresses nothing, so it adds no spend
+          if (typeof result.compressionCount === 'number') {
+            this._setCount(stat, result.compressionCount)
+          }
+        } else {
+          stat.lastError = result.error
+        }
+      }
+
+      this._save()
+    })
+
+    return results
   }
 
   /**
@@ -137,8 +455,13 @@ export class KeyManager {
    * @returns {Array<Object>} Array of key statistics
    */
   getStats() {
+    this.checkMonthlyReset()
+
     return this.keyStats.map(stat => ({
       keyIndex: stat.index,
+      label: stat.label,
+      paid: stat.paid,
+      maxSpend: stat.maxSpend,
       compressionCount: stat.compressionCount,
       monthlyLimit: stat.monthlyLimit,
       remaining:
@@ -151,15 +474,24 @@ export class KeyManager {
           : ((stat.compressionCount / stat.monthlyLimit) * 100).toFixed(2),
       lastUpdated: stat.lastUpdated,
       disabled: stat.disabled,
+      disabledReason: stat.disabledReason,
+      cooldownUntil: isCoolingDown(stat, Date.now()) ? stat.cooldownUntil : null,
       lastError: stat.lastError ? stat.lastError.message : null,
+      spend: spendOf(stat, this.pricing),
+      runSpend: stat.runSpend,
+      reserved: stat.reserved,
     }))
   }
 
   /**
    * Get summary statistics across all keys
+   * Usage totals only count keys with a monthly limit; unlimitedKeys tells how many were left out.
+   * Spend is estimated for paid keys: totalSpend this month, runSpend since the manager was created
    * @returns {Object} Summary statistics
    */
   getSummary() {
+    this.checkMonthlyReset()
+
     const stats = this.keyStats
 
     const total = stats.length
@@ -167,7 +499,9 @@ export class KeyManager {
     const active = total - disabled
     const unknown = stats.filter(s => s.compressionCount === null).length
 
-    const knownStats = stats.filter(s => s.compressionCount !== null)
+    const unlimited = stats.filter(s => s.monthlyLimit === Infinity).length
+
+    const knownStats = stats.filter(s => s.compressionCount !== null && s.monthlyLimit !== Infinity)
     const totalUsed = knownStats.reduce((sum, s) => sum + s.compressionCount, 0)
     const totalLimit = knownStats.reduce((sum, s) => sum + s.monthlyLimit, 0)
     const totalRemaining = knownStats.reduce(
@@ -180,27 +514,98 @@ export class KeyManager {
       activeKeys: active,
       disabledKeys: disabled,
       unknownKeys: unknown,
+      unlimitedKeys: unlimited,
       totalUsed: knownStats.length > 0 ? totalUsed : null,
       totalLimit: knownStats.length > 0 ? totalLimit : null,
       totalRemaining: knownStats.length > 0 ? totalRemaining : null,
       percentUsed:
         knownStats.length > 0 && totalLimit > 0 ? ((totalUsed / totalLimit) * 100).toFixed(2) : null,
+      totalSpend: roundCost(stats.reduce((sum, s) => sum + spendOf(s, this.pricing), 0)),
+      runSpend: this.runSpend,
+      maxSpend: this.maxSpend,
     }
   }
 
+  /**
+   * Roll over to a new month if TinyPNG has reset its counts since they were recorded
+   * Counts are cleared and keys disabled for quota are re-enabled; keys rejected as invalid stay disabled
+   * Called before keys are selected or reported, so callers rarely need it directly
+   * @param {number} [now=Date.now()] - Current timestamp
+   * @returns {Object|null} The monthlyReset event data, or null if still in the same month
+   */
+  checkMonthlyReset(now = Date.now()) {
+    const data = this._shared(() => {
+      const month = this.getMonth(now)
+      const staleKeys = this.keyStats.filter(stat => stat.month !== month)
+
+      if (staleKeys.length === 0) return null
+
+      const reenabled = []
+
+      for (const stat of staleKeys) {
+        if (stat.disabled && stat.disabledReason === 'quota') {
+          stat.disabled = false
+          stat.disabledReason = null
+          stat.lastError = null
+          reenabled.push(stat)
+        }
+
+        stat.compressionCount = null
+        stat.lastUpdated = null
+        stat.month = month
+      }
+
+      this._save()
+
+      return {
+        month,
+        keyIndexes: staleKeys.map(stat => stat.index),
+        labels: staleKeys.map(stat => stat.label),
+        reenabledKeys: reenabled.map(stat => stat.index),
+        reenabledLabels: reenabled.map(stat => stat.label),
+      }
+    })
+
+    // Emitted once the ledger is released, so listeners may use the manager
+    if (data) this.emit('monthlyReset', data)
+    return data
+  }
+
+  /**
+   * Get the quota month of a timestamp in the reset time zone
+   * @param {number} [timestamp=Date.now()] - Timestamp
+   * @returns {string} Month as YYYY-MM
+   */
+  getMonth(timestamp = Date.now()) {
+    const parts = this.monthFormat.formatToParts(timestamp)
+    const part = type => parts.find(p => p.type === type).value
+    return `${part('year')}-${part('month')}`
+  }
+
   /**
    * Reset all statistics (e.g., for new month)
-   * Re-enables all keys and clears counts
+   * Re-enables all keys and clears counts; the spend of the run is kept, as it was already billed,
+   * and so are reservations of compressions still in flight
    */
   reset() {
-    this.keyStats.forEach(stat => {
-      stat.compressionCount = null
-      stat.disabled = false
-      stat.lastError = null
-      stat.lastUpdated = null
+    const month = this.getMonth()
+
+    this._shared(() => {
+      this.keyStats.forEach(stat => {
+        stat.compressionCount = null
+        stat.disabled = false
+        stat.disabledReason = null
+        stat.lastError = null
+        stat.lastUpdated = null
+        stat.cooldownUntil = null
+        stat.month = month
+      })
+
+      this._save()
     })
 
     this.currentKeyIndex = 0
+    this.previousKeyIndex = null
   }
 
   /**
@@ -217,15 +622,29 @@ export class KeyManager {
    * @returns {boolean} True if key is available
    */
   isKeyAvailable(keyIndex) {
+    this.checkMonthlyReset()
+
     const stat = this.keyStats[keyIndex]
 
-    if (!stat || stat.disabled) return false
+    if (!stat || stat.disabled || isCoolingDown(stat, Date.now())) return false
 
-    // Unknown count = assume available
-    if (stat.compressionCount === null) return true
+    // Check if under limit, counting compressions in flight
+    return usedOf(stat) < stat.monthlyLimit
+  }
+
+  /**
+   * Get the label of a key, as shown in events and stats
+   * @param {number} keyIndex - Index of the key
+   * @returns {string} Key label, 'Key 1' etc. unless one was given
+   */
+  getLabel(keyIndex) {
+    const stat = this.keyStats[keyIndex]
+
+    if (!stat) {
+      throw new Error(`Invalid key index: ${keyIndex}`)
+    }
 
-    // Check if under limit
-    return stat.compressionCount < stat.monthlyLimit
+    return stat.label
   }
 
   /**
@@ -242,4 +661,280 @@ export class KeyManager {
 
     return stat.key
   }
+
+  /**
+   * Record a compression count reported by TinyPNG, disabling the key once it reaches its limit
+   * @private
+   * @param {Object} stat - Key statistics
+   * @param {number} compressionCount - Compressions made with the key this month
+   */
+  _setCount(stat, compressionCount) {
+    stat.compressionCount = compressionCount
+    stat.lastUpdated = Date.now()
+    stat.month = this.getMonth(stat.lastUpdated)
+
+    // Auto-disable if at limit; unlimited keys never reach it
+    if (compressionCount >= stat.monthlyLimit) {
+      stat.disabled = true
+      stat.disabledReason = 'quota'
+    }
+
+    this._save()
+  }
+
+  /**
+   * Create the error for keys that can't afford the compressions of a call
+   * @private
+   * @param {Object[]} stats - Keys under their limit that were priced
+   * @param {number} count - Compressions of the call
+   * @returns {BudgetExceededError} Error naming the budget of the run if that is what was exceeded
+   */
+  _budgetError(stats, count) {
+    const overBudget = stats.some(stat => this.canAfford(stat, { budget: false, count }))
+    const message = overBudget
+      ? t(this.locale, 'budgetExceeded', {
+          maxSpend: formatCost(this.maxSpend),
+          spent: formatCost(this.runSpend),
+        })
+      : t(this.locale, 'allKeysOverBudget')
+
+    return new BudgetExceededError(message, {
+      maxSpend: overBudget ? this.maxSpend : null,
+      spent: this.runSpend,
+    })
+  }
+
+  /**
+   * Check if the count of a key belongs to the current month
+   * @private
+   * @param {Object} stat - Key statistics
+   * @returns {boolean} True if the count has not rolled over since it was recorded
+   */
+  _isCurrent(stat) {
+    return stat.month === this.getMonth()
+  }
+
+  /**
+   * Restore key statistics from the usage store, or from the ledger
+   * @private
+   */
+  _load() {
+    if (this.ledger) {
+      this._shared(() => {})
+      return
+    }
+
+    if (!this.store) return
+
+    const entries = this.store.load()
+
+    for (const stat of this.keyStats) {
+      const entry = entries[hashKey(stat.key)]
+
+      if (entry) {
+        this._restore(stat, entry)
+      }
+    }
+  }
+
+  /**
+   * Restore key statistics from a usage entry
+   * @private
+   * @param {Object} stat - Key statistics, changed in place
+   * @param {Object} entry - Usage entry
+   */
+  _restore(stat, entry) {
+    stat.compressionCount = entry.compressionCount ?? null
+    stat.lastUpdated = entry.lastUpdated ?? null
+    stat.disabled = Boolean(entry.disabled)
+    stat.disabledReason = entry.disabledReason ?? null
+    // Keep the error object if the message is still the same
+    if (stat.lastError?.message !== entry.lastError) {
+      stat.lastError = entry.lastError ? new Error(entry.lastError) : null
+    }
+    stat.cooldownUntil = entry.cooldownUntil ?? null
+    // Rolled over on first use if the entry is from an earlier month
+    stat.month = entry.month ?? (entry.lastUpdated ? this.getMonth(entry.lastUpdated) : stat.month)
+  }
+
+  /**
+   * Write key statistics to the usage store, identified by key hash
+   * With a ledger they are written when the ledger update ends
+   * @private
+   */
+  _save() {
+    if (!this.store) return
+
+    const entries = Object.fromEntries(this.keyStats.map(stat => [hashKey(stat.key), entryOf(stat)]))
+
+    try {
+      this.store.save(entries)
+    } catch {
+      // Usage that can't be written must not fail a compression that succeeded
+    }
+  }
+
+  /**
+   * Run fn on the latest statistics of all processes sharing the ledger, and write its changes back
+   * Without a ledger, or inside an update already, fn just runs
+   * @private
+   * @param {Function} fn - Reads or changes key statistics
+   * @returns {*} What fn returned
+   */
+  _shared(fn) {
+    if (!this.ledger || this._sharing) return fn()
+
+    let ran = false
+    let failed = false
+    let value
+
+    this._sharing = true
+
+    try {
+      this.ledger.update(entries => {
+        this._pull(entries)
+        ran = true
+
+        try {
+          value = fn()
+        } catch (error) {
+          failed = true
+          value = error
+        }
+
+        this._push(entries)
+      })
+    } catch {
+      // A ledger that can't be locked or written must not stop the work; it goes on unshared
+    } finally {
+      this._sharing = false
+    }
+
+    if (!ran) return fn()
+    if (failed) throw value
+    return value
+  }
+
+  /**
+   * Take over the statistics in the ledger, counting the reservations of other processes
+   * @private
+   * @param {Object<string, Object>} entries - Ledger entries by key hash
+   */
+  _pull(entries) {
+    for (const stat of this.keyStats) {
+      const entry = entries[hashKey(stat.key)]
+      const own = [...this.reservations.values()].filter(r => r.keyIndex === stat.index).length
+
+      stat.reserved = own
+
+      if (entry) {
+        this._restore(stat, entry)
+        stat.reserved += Object.keys(entry.reservations ?? {}).filter(id => !this._owns(id)).length
+      }
+    }
+  }
+
+  /**
+   * Write the statistics and own reservations to the ledger, keeping those of other processes
+   * @private
+   * @param {Object<string, Object>} entries - Ledger entries by key hash, changed in place
+   */
+  _push(entries) {
+    for (const stat of this.keyStats) {
+      const hash = hashKey(stat.key)
+      const reservations = Object.fromEntries(
+        Object.entries(entries[hash]?.reservations ?? {}).filter(([id]) => !this._owns(id))
+      )
+
+      for (const [id, reservation] of this.reservations) {
+        if (reservation.keyIndex === stat.index) {
+          reservations[id] = reservation.reservedAt
+        }
+      }
+
+      entries[hash] = { ...entryOf(stat), reservations }
+    }
+  }
+
+  /**
+   * Check if a reservation in the ledger was made by this manager
+   * @private
+   * @param {string} id - Reservation id
+   * @returns {boolean} True for own reservations
+   */
+  _owns(id) {
+    return id.startsWith(`${this.id}:`)
+  }
+}
+
+/**
+ * Persisted form of key statistics
+ * @private
+ * @param {Object} stat - Key statistics
+ * @returns {Object} Usage entry
+ */
+function entryOf(stat) {
+  return {
+    compressionCount: stat.compressionCount,
+    lastUpdated: stat.lastUpdated,
+    disabled: stat.disabled,
+    disabledReason: stat.disabledReason,
+    lastError: stat.lastError ? stat.lastError.message : null,
+    cooldownUntil: stat.cooldownUntil,
+    month: stat.month,
+  }
+}
+
+/**
+ * Check if a key can still be used this month
+ * @private
+ * @param {Object} stat - Key statistics
+ * @returns {boolean} True if the key is enabled and not known to be at its limit
+ */
+function isUsable(stat) {
+  return !stat.disabled && (stat.compressionCount === null || stat.compressionCount < stat.monthlyLimit)
+}
+
+/**
+ * Compressions of a key this month, including those in flight
+ * @private
+ * @param {Object} stat - Key statistics
+ * @returns {number} Known count (0 if never reported) plus reserved compressions
+ */
+function usedOf(stat) {
+  return (stat.compressionCount ?? 0) + stat.reserved
+}
+
+/**
+ * Estimated cost of the compressions a paid key has in flight
+ * @private
+ * @param {Object} stat - Key statistics
+ * @param {Object[]} pricing - Pricing tiers
+ * @returns {number} Cost in USD, 0 for free keys and keys whose count is not known yet
+ */
+function reservedSpendOf(stat, pricing) {
+  if (!stat.paid || stat.compressionCount === null) return 0
+  return costBetween(stat.compressionCount, usedOf(stat), pricing)
+}
+
+/**
+ * Estimated spend of a key this month
+ * @private
+ * @param {Object} stat - Key statistics
+ * @param {Object[]} pricing - Pricing tiers
+ * @returns {number} Cost in USD, 0 for free keys
+ */
+function spendOf(stat, pricing) {
+  return stat.paid && stat.compressionCount !== null ? estimateCost(stat.compressionCount, pricing) : 0
+}
+
+/**
+ * Check if a key is on a throttling cooldown
+ * @private
+ * @param {Object} stat - Key statistics
+ * @param {number} now - Current timestamp
+ * @returns {boolean} True if the key should be skipped for now
+ */
+function isCoolingDown(stat, now) {
+  return stat.cooldownUntil !== null && stat.cooldownUntil > now
 }
@@ -1,5 +1,15 @@
-import { describe, it, expect, beforeEach } from 'vitest'
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { existsSync, mkdtempSync, rmSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { execFile } from 'node:child_process'
+import { promisify } from 'node:util'
 import { KeyManager } from './key-manager.mjs'
+import { AccountError, QuotaExhaustedError, BudgetExceededError } from './errors.mjs'
+import { FileUsageStore, hashKey } from './usage-store.mjs'
+import { FileKeyLedger } from './key-ledger.mjs'
+
+const execFileAsync = promisify(execFile)
 
 describe('KeyManager', () => {
   describe('Constructor', () => {
@@ -42,6 +52,10 @@ describe('KeyManager', () => {
       expect(() => new KeyManager({ apiKeys: [] })).toThrow('至少需要提供一个 API Key')
     })
 
+    it('should throw in the given locale', () => {
+      expect(() => new KeyManager({ apiKeys: [], locale: 'en' })).toThrow('At least one API key is required')
+    })
+
     it('should initialize compression counts as null', () => {
       const keyManager = new KeyManager({
         apiKeys: ['key1', 'key2'],
@@ -131,6 +145,15 @@ describe('KeyManager', () => {
       keyManager.markKeyError(1, new Error('Error 2'))
 
       expect(() => keyManager.selectBestKey()).toThrow('所有 API Keys 都已被禁用')
+      expect(() => keyManager.selectBestKey()).toThrow(QuotaExhaustedError)
+    })
+
+    it('should throw pool errors in the given locale', () => {
+      const keyManager = new KeyManager({ apiKeys: ['key1'], locale: 'en' })
+
+      keyManager.markKeyError(0, new Error('Unauthorized'))
+
+      expect(() => keyManager.selectBestKey()).toThrow('All API keys are disabled')
     })
 
     it('should throw error if all keys at limit', () => {
@@ -199,6 +222,13 @@ describe('KeyManager', () => {
       expect(() => keyManager.updateStats(10, 100)).toThrow('Invalid key index: 10')
     })
 
+    it('should keep a higher count that arrived first, and the limit it reached', () => {
+      keyManager.updateStats(0, 500)
+      keyManager.updateStats(0, 499)
+
+      expect(keyManager.getStats()[0]).toMatchObject({ compressionCount: 500, disabled: true })
+    })
+
     it('should handle null compression count', () => {
       keyManager.updateStats(0, null)
 
@@ -236,6 +266,184 @@ describe('KeyManager', () => {
     })
   })
 
+  describe('markKeyThrottled()', () => {
+    let keyManager
+
+    beforeEach(() => {
+      vi.useFakeTimers()
+      keyManager = new KeyManager({
+        apiKeys: ['key1', 'key2'],
+      })
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it('should skip the key until the cooldown ends without disabling it', () => {
+      keyManager.markKeyThrottled(0, 30000, new Error('Too many requests'))
+
+      const stats = keyManager.getStats()
+      expect(stats[0].disabled).toBe(false)
+      expect(stats[0].cooldownUntil).toBe(Date.now() + 30000)
+      expect(stats[0].lastError).toBe('Too many requests')
+      expect(keyManager.isKeyAvailable(0)).toBe(false)
+      expect(keyManager.selectBestKey().index).toBe(1)
+    })
+
+    it('should make the key available again after the cooldown', () => {
+      keyManager.markKeyThrottled(0, 30000)
+      keyManager.updateStats(1, 100)
+
+      vi.advanceTimersByTime(30000)
+
+      expect(keyManager.isKeyAvailable(0)).toBe(true)
+      expect(keyManager.getStats()[0].cooldownUntil).toBeNull()
+      expect(keyManager.selectBestKey().index).toBe(0)
+    })
+
+    it('should throw with retryAfter when every usable key is cooling down', () => {
+      keyManager.markKeyThrottled(0, 30000)
+      keyManager.markKeyThrottled(1, 10000)
+
+      expect(() => keyManager.selectBestKey()).toThrow('所有可用的 API Keys 都在冷却中')
+
+      try {
+        keyManager.selectBestKey()
+      } catch (error) {
+        expect(error).toBeInstanceOf(AccountError)
+        expect(error).not.toBeInstanceOf(QuotaExhaustedError)
+        expect(error.retryAfter).toBe(10000)
+      }
+    })
+
+    it('should clear cooldowns on reset', () => {
+      keyManager.markKeyThrottled(0, 30000)
+      keyManager.reset()
+
+      expect(keyManager.isKeyAvailable(0)).toBe(true)
+    })
+
+    it('should throw error for invalid key index', () => {
+      expect(() => keyManager.markKeyThrottled(10, 1000)).toThrow('Invalid key index: 10')
+    })
+  })
+
+  describe('getCooldownRemaining()', () => {
+    let keyManager
+
+    beforeEach(() => {
+      vi.useFakeTimers()
+      keyManager = new KeyManager({
+        apiKeys: ['key1', 'key2'],
+      })
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it('should return 0 while a key is ready', () => {
+      keyManager.markKeyThrottled(0, 30000)
+
+      expect(keyManager.getCooldownRemaining()).toBe(0)
+    })
+
+    it('should return the shortest cooldown when every usable key is cooling down', () => {
+      keyManager.markKeyThrottled(0, 30000)
+      keyManager.markKeyThrottled(1, 10000)
+
+      expect(keyManager.getCooldownRemaining()).toBe(10000)
+
+      vi.advanceTimersByTime(4000)
+      expect(keyManager.getCooldownRemaining()).toBe(6000)
+    })
+
+    it('should ignore disabled keys', () => {
+      keyManager.markKeyThrottled(0, 30000)
+      keyManager.markKeyError(1, new Error('Unauthorized'))
+
+      expect(keyManager.getCooldownRemaining()).toBe(30000)
+    })
+
+    it('should return 0 when no key is usable at all', () => {
+      keyManager.markKeyError(0, new Error('Unauthorized'))
+      keyManager.markKeyError(1, new Error('Unauthorized'))
+
+      expect(keyManager.getCooldownRemaining()).toBe(0)
+    })
+  })
+
+  describe('hasUsableKeys()', () => {
+    it('should return false once every key is disabled or at its limit', () => {
+      const keyManager = new KeyManager({ apiKeys: ['key1', 'key2'], monthlyLimit: 500 })
+
+      keyManager.markKeyThrottled(0, 30000)
+      expect(keyManager.hasUsableKeys()).toBe(true)
+
+      keyManager.markKeyError(0, new Error('Unauthorized'))
+      keyManager.updateStats(1, 500)
+      expect(keyManager.hasUsableKeys()).toBe(false)
+    })
+  })
+
+  describe('refresh()', () => {
+    let keyManager
+
+    beforeEach(() => {
+      keyManager = new KeyManager({
+        apiKeys: ['good', 'bad', 'offline'],
+      })
+    })
+
+    const probe = async key => {
+      if (key === 'good') return { valid: true, compressionCount: 42, error: null }
+      if (key === 'bad') return { valid: false, compressionCount: null, error: new Error('Unauthorized') }
+      throw new Error('fetch failed')
+    }
+
+    it('should fill in real counts and disable rejected keys', async () => {
+      const results = await keyManager.refresh(probe)
+
+      const stats = keyManager.getStats()
+      expect(stats[0]).toMatchObject({ compressionCount: 42, remaining: 458, disabled: false })
+      expect(stats[1]).toMatchObject({ disabled: true, lastError: 'Unauthorized' })
+      expect(results.map(result => result.valid)).toEqual([true, false, null])
+    })
+
+    it('should keep the state of keys whose probe failed', async () => {
+      await keyManager.refresh(probe)
+
+      const stats = keyManager.getStats()
+      expect(stats[2]).toMatchObject({ compressionCount: null, disabled: false, lastError: 'fetch failed' })
+    })
+
+    it('should re-enable valid keys under the limit', async () => {
+      keyManager.updateStats(0, 500)
+      expect(keyManager.isKeyAvailable(0)).toBe(false)
+
+      await keyManager.refresh(async () => ({ valid: true, compressionCount: 3, error: null }))
+
+      expect(keyManager.isKeyAvailable(0)).toBe(true)
+    })
+
+    it('should keep keys at the limit disabled', async () => {
+      await keyManager.refresh(async () => ({ valid: true, compressionCount: 500, error: null }))
+
+      expect(keyManager.getStats()[0].disabled).toBe(true)
+    })
+
+    it('should keep keys answered with 429 quota-disabled, even without a count', async () => {
+      const error = new AccountError('Monthly limit reached', { status: 429 })
+      keyManager.markKeyError(0, error)
+
+      await keyManager.refresh(async () => ({ valid: true, compressionCount: null, error }))
+
+      expect(keyManager.getStats()[0]).toMatchObject({ disabled: true, disabledReason: 'quota' })
+      expect(keyManager.isKeyAvailable(0)).toBe(false)
+    })
+  })
+
   describe('getCurrentKey()', () => {
     it('should return first key initially', () => {
       const keyManager = new KeyManager({
@@ -547,6 +755,689 @@ describe('KeyManager', () => {
     })
   })
 
+  describe('usage store', () => {
+    // Keeps entries in memory like a FileUsageStore would on disk
+    const createStore = (entries = {}) => ({
+      entries,
+      load() {
+        return { ...this.entries }
+      },
+      save(entries) {
+        this.entries = { ...this.entries, ...entries }
+      },
+    })
+
+    it('should restore known usage on construction', () => {
+      const store = createStore({
+        [hashKey('key1')]: {
+          compressionCount: 500,
+          lastUpdated: Date.now(),
+          disabled: true,
+          lastError: 'Unauthorized',
+          cooldownUntil: null,
+        },
+      })
+
+      const keyManager = new KeyManager({ apiKeys: ['key1', 'key2'], store })
+      const [first, second] = keyManager.getStats()
+
+      expect(first).toMatchObject({ compressionCount: 500, disabled: true, lastError: 'Unauthorized' })
+      expect(second).toMatchObject({ compressionCount: null, disabled: false })
+      expect(keyManager.selectBestKey().index).toBe(1)
+    })
+
+    it('should save after updateStats() and markKeyError(), identified by hash', () => {
+      const store = createStore()
+      const keyManager = new KeyManager({ apiKeys: ['key1', 'key2'], store })
+
+      keyManager.updateStats(0, 42)
+      keyManager.markKeyError(1, new Error('Unauthorized'))
+
+      expect(Object.keys(store.entries)).toEqual([hashKey('key1'), hashKey('key2')])
+      expect(JSON.stringify(store.entries)).not.toContain('"key1"')
+      expect(store.entries[hashKey('key1')]).toMatchObject({ compressionCount: 42, disabled: false })
+      expect(store.entries[hashKey('key2')]).toMatchObject({ disabled: true, lastError: 'Unauthorized' })
+    })
+
+    it('should save cooldowns and resets', () => {
+      const store = createStore()
+      const keyManager = new KeyManager({ apiKeys: ['key1'], store })
+
+      keyManager.markKeyThrottled(0, 60000)
+      expect(store.entries[hashKey('key1')].cooldownUntil).toBeGreaterThan(Date.now())
+
+      keyManager.reset()
+      expect(store.entries[hashKey('key1')]).toMatchObject({ compressionCount: null, cooldownUntil: null })
+    })
+
+    it('should save refreshed counts', async () => {
+      const store = createStore()
+      const keyManager = new KeyManager({ apiKeys: ['key1'], store })
+
+      await keyManager.refresh(async () => ({ valid: true, compressionCount: 7, error: null }))
+
+      expect(store.entries[hashKey('key1')].compressionCount).toBe(7)
+    })
+
+    it('should keep working when the store cannot be written', () => {
+      const store = {
+        load: () => ({}),
+        save: () => {
+          throw new Error('EACCES')
+        },
+      }
+      const keyManager = new KeyManager({ apiKeys: ['key1'], store })
+
+      expect(() => keyManager.updateStats(0, 1)).not.toThrow()
+      expect(keyManager.getStats()[0].compressionCount).toBe(1)
+    })
+  })
+
+  describe('monthly rollover', () => {
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    const at = date => {
+      vi.useFakeTimers({ toFake: ['Date'] })
+      vi.setSystemTime(new Date(date))
+    }
+
+    it('should re-enable keys disabled for quota when a new month starts', () => {
+      at('2026-10-31T23:59:00Z')
+      const keyManager = new KeyManager({ apiKeys: ['used', 'invalid', 'fresh'] })
+      const resets = []
+      keyManager.on('monthlyReset', data => resets.push(data))
+
+      keyManager.updateStats(0, 500)
+      keyManager.markKeyError(1, new AccountError('Unauthorized', { status: 401 }))
+      keyManager.updateStats(2, 120)
+      expect(keyManager.getStats().map(stat => stat.disabledReason)).toEqual(['quota', 'invalid', null])
+
+      at('2026-11-01T00:00:01Z')
+      keyManager.selectBestKey()
+
+      expect(resets).toEqual([
+        {
+          month: '2026-11',
+          keyIndexes: [0, 1, 2],
+          labels: ['Key 1', 'Key 2', 'Key 3'],
+          reenabledKeys: [0],
+          reenabledLabels: ['Key 1'],
+        },
+      ])
+      const [used, invalid, fresh] = keyManager.getStats()
+      expect(used).toMatchObject({ disabled: false, disabledReason: null, compressionCount: null })
+      expect(invalid).toMatchObject({ disabled: true, disabledReason: 'invalid' })
+      expect(fresh.compressionCount).toBeNull()
+    })
+
+    it('should not roll over within the same month', () => {
+      at('2026-10-01T00:00:00Z')
+      const keyManager = new KeyManager({ apiKeys: ['key1'] })
+      const listener = vi.fn()
+      keyManager.on('monthlyReset', listener)
+      keyManager.updateStats(0, 500)
+
+      at('2026-10-31T23:59:59Z')
+
+      expect(keyManager.checkMonthlyReset()).toBeNull()
+      expect(listener).not.toHaveBeenCalled()
+      expect(keyManager.hasUsableKeys()).toBe(false)
+    })
+
+    it('should disable keys over their monthly limit for quota', () => {
+      const keyManager = new KeyManager({ apiKeys: ['key1', 'key2'] })
+
+      keyManager.markKeyError(0, new AccountError('TooManyRequests', { status: 429 }))
+      keyManager.markKeyError(1, new Error('Unauthorized'))
+
+      expect(keyManager.getStats().map(stat => stat.disabledReason)).toEqual(['quota', 'invalid'])
+    })
+
+    it('should use the configured time zone for the month boundary', () => {
+      at('2026-10-31T12:00:00Z')
+      const utc = new KeyManager({ apiKeys: ['key1'] })
+      const shanghai = new KeyManager({ apiKeys: ['key1'], timeZone: 'Asia/Shanghai' })
+
+      at('2026-10-31T16:30:00Z') // 00:30 on November 1st in Shanghai
+
+      expect(utc.checkMonthlyReset()).toBeNull()
+      expect(shanghai.checkMonthlyReset()).toMatchObject({ month: '2026-11' })
+    })
+
+    it('should roll over usage stored in an earlier month on first use', () => {
+      at('2026-11-02T08:00:00Z')
+      const store = {
+        entries: {
+          [hashKey('key1')]: {
+            compressionCount: 500,
+            lastUpdated: Date.parse('2026-10-20T08:00:00Z'),
+            disabled: true,
+            disabledReason: 'quota',
+            lastError: 'TooManyRequests',
+            cooldownUntil: null,
+            month: '2026-10',
+          },
+        },
+        load() {
+          return this.entries
+        },
+        save(entries) {
+          this.entries = entries
+        },
+      }
+
+      const keyManager = new KeyManager({ apiKeys: ['key1'], store })
+
+      expect(keyManager.selectBestKey().index).toBe(0)
+      expect(store.entries[hashKey('key1')]).toMatchObject({ month: '2026-11', disabled: false })
+    })
+
+    it('should throw TypeError for an unknown time zone', () => {
+      expect(() => new KeyManager({ apiKeys: ['key1'], timeZone: 'Mars/Olympus' })).toThrow(TypeError)
+    })
+  })
+
+  describe('strategy option', () => {
+    it('should select keys with the given strategy', () => {
+      const keyManager = new KeyManager({ apiKeys: ['key1', 'key2', 'key3'], strategy: 'round-robin' })
+
+      const picked = [1, 2, 3, 4].map(() => keyManager.selectBestKey().index)
+
+      expect(picked).toEqual([0, 1, 2, 0])
+    })
+
+    it('should keep using one key until it is drained', () => {
+      const keyManager = new KeyManager({ apiKeys: ['key1', 'key2'], strategy: 'drain' })
+
+      keyManager.updateStats(keyManager.selectBestKey().index, 499)
+      expect(keyManager.selectBestKey().index).toBe(0)
+
+      keyManager.updateStats(0, 500)
+      expect(keyManager.selectBestKey().index).toBe(1)
+    })
+
+    it('should pass the usable keys and the previous selection to a custom strategy', () => {
+      const strategy = vi.fn(keys => keys[keys.length - 1])
+      const keyManager = new KeyManager({ apiKeys: ['key1', 'key2', 'key3'], strategy })
+      keyManager.markKeyError(2, new Error('Unauthorized'))
+
+      expect(keyManager.selectBestKey().index).toBe(1)
+      keyManager.selectBestKey()
+
+      const [keys, context] = strategy.mock.calls[1]
+      expect(keys.map(stat => stat.index)).toEqual([0, 1])
+      expect(context).toEqual({ previousIndex: 1 })
+    })
+
+    it('should reject a custom strategy that returns something else', () => {
+      const keyManager = new KeyManager({ apiKeys: ['key1'], strategy: () => ({ index: 0 }), locale: 'en' })
+
+      expect(() => keyManager.selectBestKey()).toThrow('must return one of the keys')
+    })
+
+    it('should throw TypeError for an unknown strategy', () => {
+      expect(() => new KeyManager({ apiKeys: ['key1'], strategy: 'random' })).toThrow(TypeError)
+    })
+  })
+
+  describe('per-key settings', () => {
+    it('should label keys, numbering those without a label', () => {
+      const keyManager = new KeyManager({ apiKeys: [{ key: 'key1', label: 'Team' }, 'key2'] })
+
+      expect(keyManager.getLabel(0)).toBe('Team')
+      expect(keyManager.getLabel(1)).toBe('Key 2')
+      expect(keyManager.getStats().map(stat => stat.label)).toEqual(['Team', 'Key 2'])
+      expect(() => keyManager.getLabel(5)).toThrow('Invalid key index')
+    })
+
+    it('should disable a key at its own limit', () => {
+      const keyManager = new KeyManager({ apiKeys: [{ key: 'key1', monthlyLimit: 100 }, 'key2'] })
+
+      keyManager.updateStats(0, 100)
+      keyManager.updateStats(1, 100)
+
+      expect(keyManager.getStats()[0]).toMatchObject({ monthlyLimit: 100, remaining: 0, disabled: true })
+      expect(keyManager.getStats()[1]).toMatchObject({ monthlyLimit: 500, remaining: 400, disabled: false })
+    })
+
+    it('should never disable an unlimited paid key for its count', () => {
+      const keyManager = new KeyManager({ apiKeys: [{ key: 'key1', paid: true, maxSpend: 1000 }] })
+
+      keyManager.updateStats(0, 50000)
+
+      expect(keyManager.isKeyAvailable(0)).toBe(true)
+      expect(keyManager.selectBestKey().index).toBe(0)
+      expect(keyManager.getStats()[0]).toMatchObject({
+        paid: true,
+        maxSpend: 1000,
+        monthlyLimit: Infinity,
+        remaining: Infinity,
+        disabled: false,
+      })
+    })
+
+    it('should leave unlimited keys out of the summary totals', () => {
+      const keyManager = new KeyManager({ apiKeys: ['key1', { key: 'key2', paid: true }] })
+
+      keyManager.updateStats(0, 100)
+      keyManager.updateStats(1, 2000)
+
+      expect(keyManager.getSummary()).toMatchObject({
+        unlimitedKeys: 1,
+        totalUsed: 100,
+        totalLimit: 500,
+        totalRemaining: 400,
+      })
+    })
+
+    it('should throw TypeError for an invalid key entry', () => {
+      expect(() => new KeyManager({ apiKeys: ['key1', { key: 'key2', monthlyLimit: -5 }] })).toThrow(
+        TypeError
+      )
+    })
+  })
+
+  describe('spend tracking', () => {
+    const paid = { key: 'key1', label: 'Paid', paid: true }
+
+    it('should estimate the spend of paid keys only', () => {
+      const keyManager = new KeyManager({ apiKeys: [paid, 'key2'] })
+
+      keyManager.updateStats(0, 600)
+      keyManager.updateStats(1, 400)
+
+      expect(keyManager.getStats().map(stat => stat.spend)).toEqual([0.9, 0])
+      expect(keyManager.getSummary().totalSpend).toBe(0.9)
+    })
+
+    it('should add the compressions of the run to its spend', () => {
+      const keyManager = new KeyManager({ apiKeys: [paid] })
+
+      keyManager.updateStats(0, 600) // first count, one compression
+      keyManager.updateStats(0, 602)
+
+      expect(keyManager.getStats()[0].runSpend).toBe(0.027)
+      expect(keyManager.getSummary()).toMatchObject({ runSpend: 0.027, maxSpend: null })
+    })
+
+    it('should charge counts that arrive out of order once', () => {
+      const keyManager = new KeyManager({ apiKeys: [paid] })
+
+      keyManager.updateStats(0, 600) // first count, one compression
+      const first = keyManager.reserve(0)
+      const second = keyManager.reserve(0)
+      keyManager.updateStats(0, 602, second)
+      keyManager.updateStats(0, 601, first)
+      keyManager.updateStats(0, 603)
+
+      expect(keyManager.getStats()[0]).toMatchObject({ compressionCount: 603, reserved: 0, runSpend: 0.036 })
+      expect(keyManager.runSpend).toBe(0.036)
+    })
+
+    it('should not add the counts of a refresh to the spend of the run', async () => {
+      const keyManager = new KeyManager({ apiKeys: [paid] })
+
+      await keyManager.refresh(async () => ({ valid: true, compressionCount: 900, error: null }))
+
+      expect(keyManager.getStats()[0]).toMatchObject({ compressionCount: 900, spend: 3.6, runSpend: 0 })
+    })
+
+    it('should refuse a compression that would go over the budget', () => {
+      const keyManager = new KeyManager({ apiKeys: [paid], maxSpend: 0.02, locale: 'en' })
+
+      keyManager.updateStats(0, 501)
+      keyManager.updateStats(0, 502)
+
+      expect(keyManager.runSpend).toBe(0.018)
+      expect(() => keyManager.selectBestKey()).toThrow(BudgetExceededError)
+      expect(() => keyManager.selectBestKey()).toThrow(
+        'Estimated spend would exceed the budget of $0.02 ($0.02 spent so far)'
+      )
+    })
+
+    it('should price every compression of the call against the budget', () => {
+      const keyManager = new KeyManager({ apiKeys: [paid], maxSpend: 0.02 })
+
+      keyManager.updateStats(0, 501) // $0.009 spent, $0.009 per compression
+
+      expect(keyManager.canAfford(keyManager.keyStats[0])).toBe(true)
+      expect(keyManager.canAfford(keyManager.keyStats[0], { count: 2 })).toBe(false)
+      expect(keyManager.selectBestKey().index).toBe(0)
+      expect(() => keyManager.selectBestKey(2)).toThrow(BudgetExceededError)
+    })
+
+    it('should keep using free keys once the budget is spent', () => {
+      const keyManager = new KeyManager({ apiKeys: [paid, 'key2'], maxSpend: 0 })
+
+      keyManager.updateStats(0, 500)
+
+      expect(keyManager.selectBestKey().index).toBe(1)
+    })
+
+    it('should skip a paid key at its own cap', () => {
+      const keyManager = new KeyManager({ apiKeys: [{ ...paid, maxSpend: 1 }], locale: 'en' })
+
+      keyManager.updateStats(0, 610)
+      expect(keyManager.selectBestKey().index).toBe(0)
+      expect(() => keyManager.selectBestKey(2)).toThrow('All usable API keys have reached their spending cap')
+
+      keyManager.updateStats(0, 611)
+      expect(() => keyManager.selectBestKey()).toThrow('All usable API keys have reached their spending cap')
+    })
+
+    it('should use custom pricing', () => {
+      const keyManager = new KeyManager({ apiKeys: [paid], pricing: [{ price: 0.01 }] })
+
+      keyManager.updateStats(0, 10)
+
+      expect(keyManager.getStats()[0].spend).toBe(0.1)
+    })
+
+    it('should throw TypeError for invalid pricing or budget', () => {
+      expect(() => new KeyManager({ apiKeys: ['key1'], pricing: [{ price: -1 }] })).toThrow(TypeError)
+      expect(() => new KeyManager({ apiKeys: ['key1'], maxSpend: -1 })).toThrow(TypeError)
+    })
+  })
+
+  describe('reservations', () => {
+    it('should spread concurrent selections across keys near the limit', () => {
+      const keyManager = new KeyManager({ apiKeys: ['key1', 'key2'], locale: 'en' })
+
+      keyManager.updateStats(0, 498) // 2 left
+      keyManager.updateStats(1, 499) // 1 left
+
+      // Three compressions start before any count comes back
+      const selected = []
+      for (let i = 0; i < 3; i++) {
+        const key = keyManager.selectBestKey()
+        keyManager.reserve(key.index)
+        selected.push(key.index)
+      }
+
+      expect(selected.sort()).toEqual([0, 0, 1])
+      expect(() => keyManager.selectBestKey()).toThrow('All API keys have reached their monthly limit')
+    })
+
+    it('should reserve a given key only within its limit and the budget', () => {
+      const paid = { key: 'key2', paid: true }
+      const keyManager = new KeyManager({ apiKeys: ['key1', paid], monthlyLimit: 2, maxSpend: 0.02 })
+
+      expect(keyManager.reserveKey(0, 2)).toMatchObject({ keyIndex: 0, ids: expect.any(Array) })
+      expect(keyManager.reserveKey(0)).toBeNull() // at its limit once reserved
+
+      keyManager.updateStats(1, 601)
+      keyManager.updateStats(1, 602)
+
+      expect(() => keyManager.reserveKey(1)).toThrow(BudgetExceededError)
+      expect(keyManager.reserveKey(1, 0)).toMatchObject({ settled: true })
+      expect(keyManager.getStats()[1].reserved).toBe(0)
+    })
+
+    it('should count reservations of keys never used', () => {
+      const keyManager = new KeyManager({ apiKeys: ['key1', 'key2'] })
+
+      const first = keyManager.selectBestKey()
+      keyManager.reserve(first.index)
+
+      expect(keyManager.selectBestKey().index).not.toBe(first.index)
+    })
+
+    it('should confirm a reservation with the count that includes it', () => {
+      const keyManager = new KeyManager({ apiKeys: ['key1'], monthlyLimit: 2 })
+      const reservation = keyManager.reserve(0)
+
+      expect(keyManager.getStats()[0].reserved).toBe(1)
+
+      keyManager.updateStats(0, 1, reservation)
+
+      expect(reservation.settled).toBe(true)
+      expect(keyManager.getStats()[0]).toMatchObject({ compressionCount: 1, reserved: 0 })
+      expect(keyManager.isKeyAvailable(0)).toBe(true)
+    })
+
+    it('should confirm the compressions of a reservation one count at a time', () => {
+      const keyManager = new KeyManager({ apiKeys: ['key1'] })
+      const reservation = keyManager.reserve(0, 2)
+
+      expect(keyManager.getStats()[0].reserved).toBe(2)
+
+      keyManager.updateStats(0, 1, reservation)
+      expect(reservation.settled).toBe(false)
+      expect(keyManager.getStats()[0]).toMatchObject({ compressionCount: 1, reserved: 1 })
+
+      keyManager.updateStats(0, 2, reservation)
+      expect(reservation.settled).toBe(true)
+      expect(keyManager.getStats()[0]).toMatchObject({ compressionCount: 2, reserved: 0 })
+    })
+
+    it('should release the compressions not confirmed yet', () => {
+      const keyManager = new KeyManager({ apiKeys: ['key1'] })
+      const reservation = keyManager.reserve(0, 2)
+
+      keyManager.updateStats(0, 1, reservation)
+      keyManager.release(reservation)
+
+      expect(reservation.settled).toBe(true)
+      expect(keyManager.getStats()[0].reserved).toBe(0)
+    })
+
+    it('should release part of a reservation', () => {
+      const keyManager = new KeyManager({ apiKeys: ['key1'] })
+      const reservation = keyManager.reserve(0, 2)
+
+      keyManager.release(reservation, 1)
+      expect(reservation.settled).toBe(false)
+      expect(keyManager.getStats()[0].reserved).toBe(1)
+
+      keyManager.release(reservation, 1)
+      expect(reservation.settled).toBe(true)
+      expect(keyManager.getStats()[0].reserved).toBe(0)
+    })
+
+    it('should only select keys with room for every compression of the call', () => {
+      const keyManager = new KeyManager({ apiKeys: ['key1', 'key2'], strategy: 'priority', locale: 'en' })
+
+      keyManager.updateStats(0, 499)
+      keyManager.updateStats(1, 499)
+
+      expect(keyManager.selectBestKey().index).toBe(0)
+      expect(() => keyManager.selectBestKey(2)).toThrow('All API keys have reached their monthly limit')
+    })
+
+    it('should release a reservation only once', () => {
+      const keyManager = new KeyManager({ apiKeys: ['key1'], monthlyLimit: 2 })
+      const first = keyManager.reserve(0)
+      keyManager.reserve(0)
+
+      expect(keyManager.isKeyAvailable(0)).toBe(false)
+
+      keyManager.release(first)
+      keyManager.release(first)
+
+      expect(keyManager.getStats()[0].reserved).toBe(1)
+      expect(keyManager.isKeyAvailable(0)).toBe(true)
+    })
+
+    it('should count the cost of compressions in flight against the budget', () => {
+      const keyManager = new KeyManager({
+        apiKeys: [{ key: 'key1', paid: true }],
+        maxSpend: 0.02,
+      })
+
+      keyManager.updateStats(0, 500)
+      keyManager.reserve(keyManager.selectBestKey().index)
+      keyManager.reserve(keyManager.selectBestKey().index)
+
+      expect(() => keyManager.selectBestKey()).toThrow(BudgetExceededError)
+    })
+
+    it('should throw for an unknown key index', () => {
+      const keyManager = new KeyManager({ apiKeys: ['key1'] })
+
+      expect(() => keyManager.reserve(5)).toThrow('Invalid key index: 5')
+    })
+  })
+
+  describe('shared ledger', () => {
+    let dir
+    let ledger
+
+    beforeEach(() => {
+      dir = mkdtempSync(join(tmpdir(), 'tinypng-ledger-'))
+      ledger = new FileKeyLedger(join(dir, 'usage.json'))
+    })
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('should spread selections of managers in different processes across keys', () => {
+      const first = new KeyManager({ apiKeys: ['key1', 'key2'], ledger })
+      const second = new KeyManager({ apiKeys: ['key1', 'key2'], ledger })
+
+      first.updateStats(0, 100)
+      first.updateStats(1, 100)
+
+      const reservation = first.reserve(first.selectBestKey().index)
+      const key = second.selectBestKey()
+
+      expect(reservation.keyIndex).toBe(0)
+      expect(key.index).toBe(1) // 399 left on key 1 once reserved, 400 on key 2
+      expect(key.compressionCount).toBe(100)
+    })
+
+    it('should count the reservations of other managers near the limit', () => {
+      const first = new KeyManager({ apiKeys: ['key1', 'key2'], ledger, locale: 'en' })
+      const second = new KeyManager({ apiKeys: ['key1', 'key2'], ledger, locale: 'en' })
+
+      first.updateStats(0, 499)
+      first.updateStats(1, 499)
+
+      first.reserve(first.selectBestKey().index)
+      second.reserve(second.selectBestKey().index)
+
+      expect(first.getStats().map(stat => stat.reserved)).toEqual([1, 1])
+      expect(() => second.selectBestKey()).toThrow('All API keys have reached their monthly limit')
+    })
+
+    it('should never hand out a compression twice to processes selecting at once', async () => {
+      // Ten keys with one compression each; both processes try to take all of them at the same moment
+      const script = `
+        import { KeyManager } from ${JSON.stringify(new URL('./key-manager.mjs', import.meta.url).href)}
+        import { FileKeyLedger } from ${JSON.stringify(new URL('./key-ledger.mjs', import.meta.url).href)}
+
+        // Pause after every update, so the other process gets to run between two updates
+        class PausingLedger extends FileKeyLedger {
+          update(fn) {
+            const result = super.update(fn)
+            Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 2)
+            return result
+          }
+        }
+
+        const [path, startAt] = process.argv.slice(1)
+        const keyManager = new KeyManager({
+          apiKeys: Array.from({ length: 10 }, (_, i) => 'key' + i),
+          monthlyLimit: 1,
+          strategy: 'priority',
+          ledger: new PausingLedger(path),
+        })
+        const picked = []
+
+        while (Date.now() < Number(startAt)) {}
+
+        for (let i = 0; i < 10; i++) {
+          try {
+            picked.push(keyManager.selectAndReserve().keyStat.index)
+          } catch {}
+        }
+
+        console.log(JSON.stringify(picked))
+      `
+      const startAt = String(Date.now() + 1000)
+      const run = () =>
+        execFileAsync(process.execPath, ['--input-type=module', '-e', script, ledger.path, startAt])
+
+      const outputs = await Promise.all([run(), run()])
+      const picked = outputs.flatMap(({ stdout }) => JSON.parse(stdout))
+
+      expect(picked.sort((a, b) => a - b)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9])
+      expect(Object.values(ledger.load()).map(entry => Object.keys(entry.reservations).length)).toEqual(
+        Array(10).fill(1)
+      )
+    }, 20000)
+
+    it('should count the reservations of other managers when reserving a given key', () => {
+      const first = new KeyManager({ apiKeys: ['key1'], ledger })
+      const second = new KeyManager({ apiKeys: ['key1'], ledger })
+
+      first.updateStats(0, 498)
+      first.reserveKey(0)
+
+      expect(second.reserveKey(0)).not.toBeNull()
+      expect(first.reserveKey(0)).toBeNull()
+    })
+
+    it('should share counts, errors and released reservations', () => {
+      const first = new KeyManager({ apiKeys: ['key1', 'key2'], ledger })
+      const second = new KeyManager({ apiKeys: ['key1', 'key2'], ledger })
+
+      const reservation = first.reserve(0)
+      expect(second.getStats()[0].reserved).toBe(1)
+
+      first.updateStats(0, 10, reservation)
+      first.markKeyError(1, new Error('Unauthorized'))
+
+      expect(second.getStats()[0]).toMatchObject({ compressionCount: 10, reserved: 0 })
+      expect(second.getStats()[1]).toMatchObject({ disabled: true, lastError: 'Unauthorized' })
+    })
+
+    it('should keep usage in the ledger file across runs', () => {
+      new KeyManager({ apiKeys: ['key1'], ledger }).updateStats(0, 42)
+
+      expect(ledger.load()[hashKey('key1')]).toMatchObject({ compressionCount: 42, reservations: {} })
+      expect(new KeyManager({ apiKeys: ['key1'], ledger }).getStats()[0].compressionCount).toBe(42)
+    })
+
+    it('should keep the reservations and counts of a ledger manager when a store-only one saves', () => {
+      const shared = new KeyManager({ apiKeys: ['key1'], ledger })
+      const local = new KeyManager({ apiKeys: ['key1'], store: new FileUsageStore(ledger.path) })
+
+      shared.updateStats(0, 20)
+      shared.reserve(0, 2)
+      local.updateStats(0, 10)
+
+      expect(ledger.load()[hashKey('key1')]).toMatchObject({ compressionCount: 20 })
+      expect(Object.keys(ledger.load()[hashKey('key1')].reservations)).toHaveLength(2)
+      expect(shared.getStats()[0]).toMatchObject({ compressionCount: 20, reserved: 2 })
+      expect(existsSync(ledger.lockPath)).toBe(false)
+    })
+
+    it('should go on unshared when the ledger fails', () => {
+      const failing = {
+        update() {
+          throw new Error('EACCES')
+        },
+      }
+      const keyManager = new KeyManager({ apiKeys: ['key1', 'key2'], ledger: failing })
+
+      keyManager.updateStats(0, 100)
+
+      expect(keyManager.selectBestKey().index).toBe(1)
+      expect(keyManager.getStats()[0].compressionCount).toBe(100)
+    })
+
+    it('should pass on errors of the work done under the lock', () => {
+      const keyManager = new KeyManager({ apiKeys: ['key1'], ledger })
+      keyManager.markKeyError(0, new Error('Unauthorized'))
+
+      expect(() => keyManager.selectBestKey()).toThrow(QuotaExhaustedError)
+      expect(existsSync(ledger.lockPath)).toBe(false)
+    })
+  })
+
   describe('Integration: Realistic Usage Scenario', () => {
     it('should handle typical compression workflow', () => {
       const keyManager = new KeyManager({
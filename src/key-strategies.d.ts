@@ -0,0 +1,60 @@
+import { Locale } from './utils/i18n'
+import { KeyStat } from './key-manager'
+
+/**
+ * Context passed to a key selection strategy
+ */
+export interface StrategyContext {
+  /** Index of the key selected last time, null before the first selection */
+  previousIndex: number | null
+}
+
+/**
+ * Picks one of the usable keys (enabled, under their limit, not cooling down), given in key order
+ */
+export type KeyStrategy = (keys: KeyStat[], context: StrategyContext) => KeyStat
+
+/**
+ * Name of a built-in strategy
+ */
+export type KeyStrategyName = 'least-used' | 'round-robin' | 'drain' | 'priority' | 'weighted'
+
+/**
+ * Most remaining quota first, keys never used before all others; spreads usage evenly
+ */
+export function leastUsed(keys: KeyStat[]): KeyStat
+
+/**
+ * The next key after the one used last, in key order
+ */
+export function roundRobin(keys: KeyStat[], context: StrategyContext): KeyStat
+
+/**
+ * Least remaining quota first, so one key is used up before the next is touched
+ */
+export function drain(keys: KeyStat[]): KeyStat
+
+/**
+ * Free keys before paid keys, each in the order the keys were given
+ */
+export function priority(keys: KeyStat[]): KeyStat
+
+/**
+ * A random key, weighted by remaining quota
+ * @param random - Random number source (default: Math.random)
+ */
+export function weighted(keys: KeyStat[], context: StrategyContext, random?: () => number): KeyStat
+
+/**
+ * Built-in strategies by name
+ */
+export const KEY_STRATEGIES: Record<KeyStrategyName, KeyStrategy>
+
+/**
+ * Resolve the strategy option
+ * @param strategy - Strategy name or function (default: 'least-used')
+ * @param locale - Message locale (default: zh)
+ * @returns Strategy function
+ * @throws {TypeError} If the name is unknown
+ */
+export function resolveStrategy(strategy?: KeyStrategyName | KeyStrategy, locale?: Locale): KeyStrategy
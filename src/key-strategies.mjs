@@ -0,0 +1,126 @@
+import { TINYPNG_API_LIMIT, TINYPNG_DEFAULT_LOCALE } from './constant.mjs'
+import { t } from './utils/i18n.mjs'
+
+/**
+ * Key selection strategies
+ * Each receives the keys that can be used right now (enabled, under their limit, not cooling down),
+ * in key order and never empty, and returns one of them
+ *
+ * Strategy signature: (keys, context) => keyStat
+ * - keys: key statistics, see KeyManager.keyStats; reserved counts the compressions in flight
+ * - context.previousIndex: index of the key selected last time, null before the first selection
+ */
+
+/**
+ * Remaining compressions of a key, counting a key never used as a full month
+ * Compressions in flight (stat.reserved) are not remaining; Infinity for keys without a monthly limit
+ * @private
+ * @param {Object} stat - Key statistics
+ * @returns {number} Remaining compressions
+ */
+function remainingOf(stat) {
+  return stat.monthlyLimit - (stat.compressionCount ?? 0) - stat.reserved
+}
+
+/**
+ * Most remaining quota first, keys never used before all others; spreads usage evenly
+ * @param {Object[]} keys - Usable keys
+ * @returns {Object} Selected key
+ */
+export function leastUsed(keys) {
+  return keys.reduce((best, current) => {
+    // Keys never used come first, the one with the fewest compressions in flight among them
+    if ((best.compressionCount === null) !== (current.compressionCount === null)) {
+      return current.compressionCount === null ? current : best
+    }
+
+    return remainingOf(current) > remainingOf(best) ? current : best
+  })
+}
+
+/**
+ * The next key after the one used last, in key order
+ * @param {Object[]} keys - Usable keys
+ * @param {Object} context - Selection context
+ * @returns {Object} Selected key
+ */
+export function roundRobin(keys, { previousIndex }) {
+  if (previousIndex === null) return keys[0]
+  return keys.find(stat => stat.index > previousIndex) ?? keys[0]
+}
+
+/**
+ * Least remaining quota first, so one key is used up before the next is touched
+ * @param {Object[]} keys - Usable keys
+ * @returns {Object} Selected key
+ */
+export function drain(keys) {
+  return keys.reduce((best, current) => (remainingOf(current) < remainingOf(best) ? current : best))
+}
+
+/**
+ * Free keys before paid keys, each in the order the keys were given
+ * @param {Object[]} keys - Usable keys
+ * @returns {Object} Selected key
+ */
+export function priority(keys) {
+  return keys.find(stat => !stat.paid) ?? keys[0]
+}
+
+/**
+ * Weight of a key for a weighted pick; unlimited keys weigh as much as a fresh free key
+ * @private
+ * @param {Object} stat - Key statistics
+ * @returns {number} Weight
+ */
+function weightOf(stat) {
+  const remaining = remainingOf(stat)
+  return remaining === Infinity ? TINYPNG_API_LIMIT : remaining
+}
+
+/**
+ * A random key, weighted by remaining quota
+ * @param {Object[]} keys - Usable keys
+ * @param {Object} context - Selection context
+ * @param {Function} [random=Math.random] - Random number source, for tests
+ * @returns {Object} Selected key
+ */
+export function weighted(keys, context, random = Math.random) {
+  const total = keys.reduce((sum, stat) => sum + weightOf(stat), 0)
+  let pick = random() * total
+
+  for (const stat of keys) {
+    pick -= weightOf(stat)
+    if (pick < 0) return stat
+  }
+
+  return keys[keys.length - 1]
+}
+
+/**
+ * Built-in strategies by name
+ */
+export const KEY_STRATEGIES = {
+  'least-used': leastUsed,
+  'round-robin': roundRobin,
+  drain,
+  priority,
+  weighted,
+}
+
+/**
+ * Resolve the strategy option
+ * @param {string|Function} [strategy='least-used'] - Strategy name, or a function (keys, context) => keyStat
+ * @param {string} [locale='zh'] - Message locale (en, zh)
+ * @returns {Function} Strategy function
+ * @throws {TypeError} If the name is unknown
+ */
+export function resolveStrategy(strategy = 'least-used', locale = TINYPNG_DEFAULT_LOCALE) {
+  if (typeof strategy === 'function') return strategy
+
+  if (!Object.hasOwn(KEY_STRATEGIES, strategy)) {
+    throw new TypeError(t(locale, 'invalidStrategy', { strategies: Object.keys(KEY_STRATEGIES).join(', ') }))
+  }
+
+  return KEY_STRATEGIES[strategy]
+}
@@ -0,0 +1,124 @@
+/**
+ * Vitest tests for key-strategies.mjs
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  leastUsed,
+  roundRobin,
+  drain,
+  priority,
+  weighted,
+  KEY_STRATEGIES,
+  resolveStrategy,
+} from './key-strategies.mjs'
+
+const key = (index, compressionCount, reserved = 0) => ({
+  index,
+  compressionCount,
+  monthlyLimit: 500,
+  reserved,
+})
+
+describe('key-strategies', () => {
+  const keys = [key(0, 100), key(1, 400), key(2, null), key(3, 250)]
+
+  describe('leastUsed()', () => {
+    it('should pick a key never used first', () => {
+      expect(leastUsed(keys).index).toBe(2)
+    })
+
+    it('should pick the key with the most remaining quota', () => {
+      expect(leastUsed([key(0, 300), key(1, 100), key(2, 200)]).index).toBe(1)
+    })
+
+    it('should count compressions in flight as used', () => {
+      expect(leastUsed([key(0, 100, 250), key(1, 200)]).index).toBe(1)
+      expect(leastUsed([key(0, null, 2), key(1, null, 1), key(2, 0)]).index).toBe(1)
+    })
+  })
+
+  describe('roundRobin()', () => {
+    it('should start with the first key', () => {
+      expect(roundRobin(keys, { previousIndex: null }).index).toBe(0)
+    })
+
+    it('should pick the next key after the previous one and wrap around', () => {
+      expect(roundRobin(keys, { previousIndex: 0 }).index).toBe(1)
+      expect(roundRobin(keys, { previousIndex: 3 }).index).toBe(0)
+    })
+
+    it('should skip keys that are not usable', () => {
+      expect(roundRobin([key(0, 1), key(3, 1)], { previousIndex: 1 }).index).toBe(3)
+    })
+  })
+
+  describe('drain()', () => {
+    it('should pick the key with the least remaining quota', () => {
+      expect(drain(keys).index).toBe(1)
+    })
+
+    it('should count a key never used as a full month and keep key order on ties', () => {
+      expect(drain([key(0, null), key(1, 0), key(2, null)]).index).toBe(0)
+    })
+
+    it('should count compressions in flight as used', () => {
+      expect(drain([key(0, 400), key(1, 300, 150)]).index).toBe(1)
+    })
+  })
+
+  describe('priority()', () => {
+    it('should pick the first usable key', () => {
+      expect(priority(keys).index).toBe(0)
+      expect(priority(keys.slice(2)).index).toBe(2)
+    })
+
+    it('should pick free keys before paid keys, keeping the order within each', () => {
+      const paid = (index, compressionCount) => ({ ...key(index, compressionCount), paid: true })
+
+      expect(priority([paid(0, 0), key(1, 100), key(2, 0)]).index).toBe(1)
+      expect(priority([paid(0, 0), paid(1, 0)]).index).toBe(0)
+    })
+  })
+
+  describe('weighted()', () => {
+    // Remaining: 400, 100, 500, 250 out of 1250
+    it('should pick keys in proportion to their remaining quota', () => {
+      expect(weighted(keys, {}, () => 0).index).toBe(0)
+      expect(weighted(keys, {}, () => 0.33).index).toBe(1)
+      expect(weighted(keys, {}, () => 0.5).index).toBe(2)
+      expect(weighted(keys, {}, () => 0.99).index).toBe(3)
+    })
+
+    it('should weigh an unlimited key as a fresh free key', () => {
+      const unlimited = { index: 1, compressionCount: 9000, monthlyLimit: Infinity, reserved: 0 }
+
+      expect(weighted([key(0, 0), unlimited], {}, () => 0.49).index).toBe(0)
+      expect(weighted([key(0, 0), unlimited], {}, () => 0.51).index).toBe(1)
+    })
+  })
+
+  describe('resolveStrategy()', () => {
+    it('should default to least-used', () => {
+      expect(resolveStrategy()).toBe(leastUsed)
+    })
+
+    it('should resolve every built-in name', () => {
+      for (const [name, strategy] of Object.entries(KEY_STRATEGIES)) {
+        expect(resolveStrategy(name)).toBe(strategy)
+      }
+    })
+
+    it('should accept a custom function', () => {
+      const custom = keys => keys[0]
+      expect(resolveStrategy(custom)).toBe(custom)
+    })
+
+    it('should throw TypeError for an unknown name', () => {
+      expect(() => resolveStrategy('random', 'en')).toThrow(
+        'strategy must be one of: least-used, round-robin, drain, priority, weighted, or a function'
+      )
+      expect(() => resolveStrategy('toString')).toThrow(TypeError)
+    })
+  })
+})
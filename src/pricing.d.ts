@@ -0,0 +1,32 @@
+import { PricingTier } from './utils/options'
+
+/**
+ * Estimated cost of the first compressions of a month for a paid key
+ * @param compressionCount - Compressions made this month
+ * @param pricing - Pricing tiers (default: TinyPNG's published tiers)
+ * @returns Cost in USD
+ */
+export function estimateCost(compressionCount: number, pricing?: Required<PricingTier>[]): number
+
+/**
+ * Estimated cost of the compressions between two counts of the same month
+ * @param from - Count before
+ * @param to - Count after
+ * @param pricing - Pricing tiers (default: TinyPNG's published tiers)
+ * @returns Cost in USD, 0 if the count did not grow
+ */
+export function costBetween(from: number, to: number, pricing?: Required<PricingTier>[]): number
+
+/**
+ * Format an amount in USD for messages
+ * @param cost - Amount in USD
+ * @returns Formatted amount, e.g. $1.25
+ */
+export function formatCost(cost: number): string
+
+/**
+ * Drop floating point noise from sums of prices
+ * @param cost - Amount in USD
+ * @returns Amount rounded to a millionth of a dollar
+ */
+export function roundCost(cost: number): number
@@ -0,0 +1,57 @@
+import { TINYPNG_PRICING } from './constant.mjs'
+
+/**
+ * Cost estimates for paid keys
+ * TinyPNG bills the compressions a paid key makes in a month by tier: the first 500 are free, then each
+ * compression costs the price of the tier it falls in. Free keys are never billed.
+ *
+ * Pricing format: [{ upTo, price }], tiers in order, the last one open-ended (upTo: Infinity)
+ */
+
+/**
+ * Estimated cost of the first compressions of a month
+ * @param {number} compressionCount - Compressions made this month
+ * @param {Object[]} [pricing] - Pricing tiers (default: TinyPNG's published tiers)
+ * @returns {number} Cost in USD
+ */
+export function estimateCost(compressionCount, pricing = TINYPNG_PRICING) {
+  let cost = 0
+  let from = 0
+
+  for (const { upTo, price } of pricing) {
+    if (compressionCount <= from) break
+    cost += (Math.min(compressionCount, upTo) - from) * price
+    from = upTo
+  }
+
+  return roundCost(cost)
+}
+
+/**
+ * Estimated cost of the compressions between two counts of the same month
+ * @param {number} from - Count before
+ * @param {number} to - Count after
+ * @param {Object[]} [pricing] - Pricing tiers
+ * @returns {number} Cost in USD, 0 if the count did not grow
+ */
+export function costBetween(from, to, pricing = TINYPNG_PRICING) {
+  return to > from ? roundCost(estimateCost(to, pricing) - estimateCost(from, pricing)) : 0
+}
+
+/**
+ * Format an amount in USD for messages, e.g. $1.25
+ * @param {number} cost - Amount in USD
+ * @returns {string} Formatted amount
+ */
+export function formatCost(cost) {
+  return `$${cost.toFixed(2)}`
+}
+
+/**
+ * Drop floating point noise from sums of prices
+ * @param {number} cost - Amount in USD
+ * @returns {number} Amount rounded to a millionth of a dollar
+ */
+export function roundCost(cost) {
+  return Math.round(cost * 1e6) / 1e6
+}
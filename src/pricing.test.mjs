@@ -0,0 +1,55 @@
+/**
+ * Vitest tests for pricing.mjs
+ */
+
+import { describe, it, expect } from 'vitest'
+import { estimateCost, costBetween, formatCost, roundCost } from './pricing.mjs'
+
+describe('pricing', () => {
+  describe('estimateCost()', () => {
+    it('should not charge the first 500 compressions', () => {
+      expect(estimateCost(0)).toBe(0)
+      expect(estimateCost(500)).toBe(0)
+    })
+
+    it('should charge each compression at the price of its tier', () => {
+      expect(estimateCost(501)).toBe(0.009)
+      expect(estimateCost(10000)).toBe(85.5)
+      expect(estimateCost(10500)).toBe(86.5)
+    })
+
+    it('should use custom tiers', () => {
+      const pricing = [
+        { upTo: 100, price: 0 },
+        { upTo: Infinity, price: 0.01 },
+      ]
+
+      expect(estimateCost(150, pricing)).toBe(0.5)
+    })
+  })
+
+  describe('costBetween()', () => {
+    it('should charge the compressions between two counts', () => {
+      expect(costBetween(499, 502)).toBe(0.018)
+      expect(costBetween(9999, 10001)).toBe(0.011)
+    })
+
+    it('should not charge when the count did not grow', () => {
+      expect(costBetween(600, 600)).toBe(0)
+      expect(costBetween(600, 3)).toBe(0)
+    })
+  })
+
+  describe('formatCost()', () => {
+    it('should format dollars with cents', () => {
+      expect(formatCost(1.5)).toBe('$1.50')
+      expect(formatCost(0)).toBe('$0.00')
+    })
+  })
+
+  describe('roundCost()', () => {
+    it('should drop floating point noise', () => {
+      expect(roundCost(0.009 * 3)).toBe(0.027)
+    })
+  })
+})
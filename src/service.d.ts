@@ -2,6 +2,10 @@
  * Pure TinyPNG API Service Layer Type Definitions
  */
 
+import { Readable } from 'node:stream'
+import { AccountError } from './errors'
+import { Locale } from './utils/i18n'
+
 /**
  * Error object returned by TinyPNG API
  */
@@ -45,6 +49,44 @@ export interface ConvertOptions {
   type: string | string[]
 }
 
+/**
+ * Metadata that can be preserved in the output image
+ */
+export type PreserveOptions = Array<'copyright' | 'creation' | 'location'>
+
+/**
+ * Result from preserve operation
+ */
+export interface PreserveResult {
+  response: Response
+  compressionCount: number | null
+}
+
+/**
+ * Transform options for image output
+ */
+export interface TransformOptions {
+  background?: string
+}
+
+/**
+ * Output options, any combination of which is sent in a single request
+ */
+export interface OutputOptions {
+  resize?: ResizeOptions
+  convert?: ConvertOptions
+  preserve?: PreserveOptions
+  transform?: TransformOptions
+}
+
+/**
+ * Result from output operation
+ */
+export interface OutputResult {
+  response: Response
+  compressionCount: number | null
+}
+
 /**
  * Result from convert operation
  */
@@ -53,6 +95,27 @@ export interface ConvertResult {
   compressionCount: number | null
 }
 
+/**
+ * Per-request options shared by all service functions
+ */
+export interface RequestOptions {
+  /** API base URL (default: https://api.tinify.com) */
+  apiBase?: string
+  /** Fetch implementation (default: global fetch) */
+  fetch?: typeof fetch
+  /** Cancels the request, including reading the body */
+  signal?: AbortSignal
+  /** Message locale for thrown errors (default: zh) */
+  locale?: Locale
+}
+
+/**
+ * Resolve API base URL from request options
+ * @param requestOptions - Request options
+ * @returns API base URL without trailing slash
+ */
+export function getApiBase(requestOptions?: RequestOptions): string
+
 /**
  * Create Basic Auth header for TinyPNG API
  * @param apiKey - TinyPNG API key
@@ -68,28 +131,78 @@ export function createAuthHeader(apiKey: string): string
 export function parseApiError(response: Response): Promise<ApiError>
 
 /**
- * Upload and compress image using TinyPNG API (local file/buffer)
+ * Upload and compress image using TinyPNG API (local file/buffer/stream)
  * Real-time upload progress tracking using Node.js Readable streams
- * @param buffer - Image buffer to compress
+ * A Readable is sent as it is read, without buffering, and can only be sent once
+ * @param source - Image buffer or readable stream to compress
  * @param apiKey - TinyPNG API key
  * @param onProgress - Optional progress callback (bytesUploaded, totalBytes) - fires for each 64KB chunk
+ * of a buffer or each chunk read from a stream; totalBytes is null for streams
+ * @param requestOptions - Request options (apiBase, fetch, signal)
  * @returns Compression result with output URL and compression count
  * @throws Error if compression fails
  */
 export function shrink(
-  buffer: Buffer,
+  source: Buffer | Readable,
   apiKey: string,
-  onProgress?: (bytesUploaded: number, totalBytes: number) => void
+  onProgress?: (bytesUploaded: number, totalBytes: number | null) => void,
+  requestOptions?: RequestOptions
 ): Promise<ShrinkResult>
 
+/**
+ * Result from probe operation
+ */
+export interface ProbeResult {
+  /** False if TinyPNG rejected the key (401) */
+  valid: boolean
+  /** Compressions made with the key this month, if reported */
+  compressionCount: number | null
+  /** The 401 error for invalid keys, or the 429 error of a key over its limit or throttled */
+  error: AccountError | null
+}
+
+/**
+ * Check an API key and read its compression count without using quota
+ * Sends an empty /shrink request, which TinyPNG rejects with 400 but still reports Compression-Count
+ * @param apiKey - TinyPNG API key
+ * @param requestOptions - Request options (apiBase, fetch, signal)
+ * @returns Whether the key is valid, its compression count, and the 401 or 429 error
+ * @throws ConnectionError or ServerError on network errors and unexpected API errors (e.g. 5xx)
+ */
+export function probe(apiKey: string, requestOptions?: RequestOptions): Promise<ProbeResult>
+
 /**
  * Compress image from URL using TinyPNG API
  * @param imageUrl - URL of the image to compress
  * @param apiKey - TinyPNG API key
+ * @param requestOptions - Request options (apiBase, fetch, signal)
  * @returns Compression result with output URL and compression count
  * @throws Error if compression fails
  */
-export function shrinkFromUrl(imageUrl: string, apiKey: string): Promise<ShrinkResult>
+export function shrinkFromUrl(
+  imageUrl: string,
+  apiKey: string,
+  requestOptions?: RequestOptions
+): Promise<ShrinkResult>
+
+/**
+ * Apply output options to compressed image in a single request
+ * Any combination of resize, convert, preserve and transform is sent as one request body
+ * @param url - Output URL from shrink operation
+ * @param outputOptions - Output options
+ * @param apiKey - TinyPNG API key
+ * @param onProgress - Optional progress callback (bytesReceived, totalBytes) for download tracking
+ * @param requestOptions - Request options (apiBase, fetch, signal)
+ * @returns Output result with response and compression count
+ * @throws Error if request fails
+ */
+export function output(
+  url: string,
+  outputOptions: OutputOptions,
+  apiKey: string,
+  onProgress?: (bytesReceived: number, totalBytes: number) => void,
+  requestOptions?: RequestOptions
+): Promise<OutputResult>
 
 /**
  * Apply resize transformation to compressed image
@@ -97,6 +210,7 @@ export function shrinkFromUrl(imageUrl: string, apiKey: string): Promise<ShrinkR
  * @param resizeOptions - Resize options
  * @param apiKey - TinyPNG API key
  * @param onProgress - Optional progress callback (bytesReceived, totalBytes) for download tracking
+ * @param requestOptions - Request options (apiBase, fetch, signal)
  * @returns Resize result with response and compression count
  * @throws Error if resize fails
  */
@@ -104,7 +218,8 @@ export function resize(
   url: string,
   resizeOptions: ResizeOptions,
   apiKey: string,
-  onProgress?: (bytesReceived: number, totalBytes: number) => void
+  onProgress?: (bytesReceived: number, totalBytes: number) => void,
+  requestOptions?: RequestOptions
 ): Promise<ResizeResult>
 
 /**
@@ -113,6 +228,7 @@ export function resize(
  * @param convertOptions - Convert options
  * @param apiKey - TinyPNG API key
  * @param onProgress - Optional progress callback (bytesReceived, totalBytes) for download tracking
+ * @param requestOptions - Request options (apiBase, fetch, signal)
  * @returns Convert result with response and compression count
  * @throws Error if conversion fails
  */
@@ -120,19 +236,40 @@ export function convert(
   url: string,
   convertOptions: ConvertOptions,
   apiKey: string,
-  onProgress?: (bytesReceived: number, totalBytes: number) => void
+  onProgress?: (bytesReceived: number, totalBytes: number) => void,
+  requestOptions?: RequestOptions
 ): Promise<ConvertResult>
 
+/**
+ * Preserve metadata (copyright, creation, location) in compressed image
+ * @param url - Output URL from shrink operation
+ * @param preserveOptions - Metadata to preserve
+ * @param apiKey - TinyPNG API key
+ * @param onProgress - Optional progress callback (bytesReceived, totalBytes) for download tracking
+ * @param requestOptions - Request options (apiBase, fetch, signal)
+ * @returns Preserve result with response and compression count
+ * @throws Error if request fails
+ */
+export function preserve(
+  url: string,
+  preserveOptions: PreserveOptions,
+  apiKey: string,
+  onProgress?: (bytesReceived: number, totalBytes: number) => void,
+  requestOptions?: RequestOptions
+): Promise<PreserveResult>
+
 /**
  * Download processed image from TinyPNG with progress tracking
  * @param url - Output URL to download from
  * @param apiKey - TinyPNG API key
  * @param onProgress - Optional progress callback (bytesReceived, totalBytes)
+ * @param requestOptions - Request options (apiBase, fetch, signal)
  * @returns Fetch response object
  * @throws Error if download fails
  */
 export function download(
   url: string,
   apiKey: string,
-  onProgress?: (bytesReceived: number, totalBytes: number) => void
+  onProgress?: (bytesReceived: number, totalBytes: number) => void,
+  requestOptions?: RequestOptions
 ): Promise<Response>
@@ -7,8 +7,21 @@
 /**
  * TinyPNG API base URL
  */
-import { TINYPNG_API_BASE } from './constant.mjs'
-import { Readable } from 'node:stream'
+import { TINYPNG_API_BASE, TINYPNG_DEFAULT_LOCALE } from './constant.mjs'
+import { ServerError, ConnectionError } from './errors.mjs'
+import { parseRetryAfter, createApiError } from './utils/error.mjs'
+import { t } from './utils/i18n.mjs'
+import { Readable, Transform, pipeline } from 'node:stream'
+
+/**
+ * Resolve API base URL from request options
+ * @param {Object} [requestOptions] - Request options
+ * @param {string} [requestOptions.apiBase] - API base URL (default: https://api.tinify.com)
+ * @returns {string} API base URL without trailing slash
+ */
+export function getApiBase(requestOptions = {}) {
+  return (requestOptions.apiBase || TINYPNG_API_BASE).replace(/\/+$/, '')
+}
 
 /**
  * Create Basic Auth header for TinyPNG API
@@ -51,27 +64,50 @@ export async function parseApiError(response) {
  * @param {string} url - Request URL
  * @param {Object} options - Fetch options (method, headers, body)
  * @param {string} apiKey - TinyPNG API key
+ * @param {Object} [requestOptions] - Request options
+ * @param {Function} [requestOptions.fetch] - Fetch implementation (default: global fetch)
+ * @param {AbortSignal} [requestOptions.signal] - Cancels the request, including reading the body
+ * @param {string} [requestOptions.locale] - Message locale (default: zh)
  * @returns {Promise<Object>} Response and compression count
- * @throws {Error} If request fails
+ * @throws {AccountError|ClientError|ServerError} If the API responds with an error status
+ * @throws {ConnectionError} If TinyPNG can't be reached
  */
-async function request(url, options, apiKey) {
-  const response = await fetch(url, {
-    ...options,
-    headers: {
-      Authorization: createAuthHeader(apiKey),
-      ...options.headers,
-    },
-  })
+async function request(url, options, apiKey, requestOptions = {}) {
+  const fetchFn = requestOptions.fetch || fetch
+  let response
+
+  try {
+    response = await fetchFn(url, {
+      ...options,
+      signal: requestOptions.signal,
+      headers: {
+        Authorization: createAuthHeader(apiKey),
+        ...options.headers,
+      },
+    })
+  } catch (error) {
+    // Cancellation is reported by the caller, not as a connection failure
+    if (requestOptions.signal?.aborted) {
+      throw error
+    }
+
+    const locale = requestOptions.locale ?? TINYPNG_DEFAULT_LOCALE
+    throw new ConnectionError(t(locale, 'connectionFailed', { message: error.message }), { cause: error })
+  }
 
   const compressionCount = response.headers.get('Compression-Count')
 
   if (!response.ok) {
     const error = await parseApiError(response)
-    const apiError = new Error(error.message)
-    apiError.status = error.status
-    apiError.statusText = error.statusText
-    apiError.errorType = error.errorType
-    throw apiError
+    throw createApiError({
+      status: error.status,
+      message: error.message,
+      errorType: error.errorType,
+      // TinyPNG reports the count on most errors too, e.g. 400 and 429
+      compressionCount: compressionCount ? parseInt(compressionCount, 10) : null,
+      // Only short-term throttling comes with Retry-After; a 429 without it means the monthly limit
+      retryAfter: parseRetryAfter(response.headers.get('Retry-After')),
+    })
   }
 
   return {
@@ -118,31 +154,80 @@ function createProgressTrackingStream(buffer, onProgress) {
 }
 
 /**
- * Upload and compress image using TinyPNG API (local file/buffer)
- * @param {Buffer} buffer - Image buffer to compress
+ * Pass a source stream through, reporting bytes read as it is uploaded
+ * @private
+ * @param {Readable} stream - Source stream
+ * @param {Function} onProgress - Progress callback (bytesUploaded, null); the total is unknown
+ * @returns {Readable}
+ */
+function trackStreamProgress(stream, onProgress) {
+  let bytesUploaded = 0
+
+  const progressStream = new Transform({
+    transform(chunk, encoding, callback) {
+      bytesUploaded += chunk.length
+      onProgress(bytesUploaded, null)
+      callback(null, chunk)
+    },
+  })
+
+  // Errors from the source fail the request body instead of leaving it hanging
+  return pipeline(stream, progressStream, () => {})
+}
+
+/**
+ * Read output URL from a shrink response
+ * Relative locations are resolved against the API base
+ * @private
+ * @param {Response} response - Fetch response object
+ * @param {Object} requestOptions - Request options (apiBase, locale)
+ * @returns {string} Absolute output URL
+ * @throws {ServerError} If the Location header is missing
+ */
+function getOutputUrl(response, requestOptions) {
+  const location = response.headers.get('Location')
+
+  if (!location) {
+    throw new ServerError(t(requestOptions.locale ?? TINYPNG_DEFAULT_LOCALE, 'locationMissing'), {
+      status: response.status,
+    })
+  }
+
+  return new URL(location, `${getApiBase(requestOptions)}/`).href
+}
+
+/**
+ * Upload and compress image using TinyPNG API (local file/buffer/stream)
+ * A Readable is sent as it is read, without buffering, so it can only be sent once
+ * @param {Buffer|Readable} source - Image buffer or stream to compress
  * @param {string} apiKey - TinyPNG API key
- * @param {Function} onProgress - Optional progress callback (bytesUploaded, totalBytes)
+ * @param {Function} onProgress - Optional progress callback (bytesUploaded, totalBytes); totalBytes is null for streams
+ * @param {Object} [requestOptions] - Request options (apiBase, fetch, signal)
  * @returns {Promise<Object>} Compression result with output URL and compression count
  * @throws {Error} If compression fails
  */
-export async function shrink(buffer, apiKey, onProgress = null) {
-  const options = {
-    method: 'POST',
-    body: onProgress ? createProgressTrackingStream(buffer, onProgress) : buffer,
+export async function shrink(source, apiKey, onProgress = null, requestOptions = {}) {
+  const options = { method: 'POST' }
+
+  if (source instanceof Readable) {
+    options.body = onProgress ? trackStreamProgress(source, onProgress) : source
+  } else {
+    options.body = onProgress ? createProgressTrackingStream(source, onProgress) : source
   }
 
   // When using stream as body, Node.js fetch requires duplex option
-  if (onProgress) {
+  if (options.body instanceof Readable) {
     options.duplex = 'half'
   }
 
-  const { response, compressionCount } = await request(`${TINYPNG_API_BASE}/shrink`, options, apiKey)
-
-  const outputUrl = response.headers.get('Location')
+  const { response, compressionCount } = await request(
+    `${getApiBase(requestOptions)}/shrink`,
+    options,
+    apiKey,
+    requestOptions
+  )
 
-  if (!outputUrl) {
-    throw new Error('TinyPNG API 未返回 Location 头')
-  }
+  const outputUrl = getOutputUrl(response, requestOptions)
 
   const data = await response.json()
 
@@ -153,16 +238,54 @@ export async function shrink(buffer, apiKey, onProgress = null) {
   }
 }
 
+/**
+ * Check an API key and read its compression count without using quota
+ * Sends an empty /shrink request, which TinyPNG rejects with 400 but still reports Compression-Count
+ * @param {string} apiKey - TinyPNG API key
+ * @param {Object} [requestOptions] - Request options (apiBase, fetch, signal)
+ * @returns {Promise<Object>} Whether the key is valid, its compression count, and the 401 or 429 error
+ * @throws {ConnectionError|ServerError} On network errors and unexpected API errors (e.g. 5xx)
+ */
+export async function probe(apiKey, requestOptions = {}) {
+  try {
+    const { compressionCount } = await request(
+      `${getApiBase(requestOptions)}/shrink`,
+      { method: 'POST' },
+      apiKey,
+      requestOptions
+    )
+
+    return { valid: true, compressionCount, error: null }
+  } catch (error) {
+    if (error.status === 401) {
+      return { valid: false, compressionCount: null, error }
+    }
+
+    // Missing input (400) means the key itself is fine
+    if (error.status === 400) {
+      return { valid: true, compressionCount: error.compressionCount, error: null }
+    }
+
+    // So does a 429, but the key may be over its monthly limit; the error tells which
+    if (error.status === 429) {
+      return { valid: true, compressionCount: error.compressionCount, error }
+    }
+
+    throw error
+  }
+}
+
 /**
  * Compress image from URL using TinyPNG API
  * @param {string} imageUrl - URL of the image to compress
  * @param {string} apiKey - TinyPNG API key
+ * @param {Object} [requestOptions] - Request options (apiBase, fetch, signal)
  * @returns {Promise<Object>} Compression result with output URL and compression count
  * @throws {Error} If compression fails
  */
-export async function shrinkFromUrl(imageUrl, apiKey) {
+export async function shrinkFromUrl(imageUrl, apiKey, requestOptions = {}) {
   const { response, compressionCount } = await request(
-    `${TINYPNG_API_BASE}/shrink`,
+    `${getApiBase(requestOptions)}/shrink`,
     {
       method: 'POST',
       headers: {
@@ -170,14 +293,11 @@ export async function shrinkFromUrl(imageUrl, apiKey) {
       },
       body: JSON.stringify({ source: { url: imageUrl } }),
     },
-    apiKey
+    apiKey,
+    requestOptions
   )
 
-  const outputUrl = response.headers.get('Location')
-
-  if (!outputUrl) {
-    throw new Error('TinyPNG API 未返回 Location 头')
-  }
+  const outputUrl = getOutputUrl(response, requestOptions)
 
   const data = await response.json()
 
@@ -189,18 +309,59 @@ export async function shrinkFromUrl(imageUrl, apiKey) {
 }
 
 /**
- * Apply resize transformation to compressed image
+ * Report download progress as the response body is read
+ * The body is passed through, not buffered, so callers can stream it to disk
+ * @private
+ * @param {Response} response - Fetch response object
+ * @param {Function} onProgress - Progress callback (bytesReceived, totalBytes)
+ * @returns {Response} New response whose body reports progress while it is consumed
+ */
+function trackDownloadProgress(response, onProgress) {
+  const contentLength = parseInt(response.headers.get('Content-Length') || '0', 10)
+  let bytesReceived = 0
+
+  const progressStream = new TransformStream({
+    transform(chunk, controller) {
+      bytesReceived += chunk.length
+      controller.enqueue(chunk)
+
+      // Call progress callback with bytes received and total
+      onProgress(bytesReceived, contentLength)
+    },
+  })
+
+  return new Response(response.body.pipeThrough(progressStream), {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  })
+}
+
+/**
+ * Apply output options to compressed image in a single request
+ * Any combination of resize, convert, preserve and transform is sent as one request body
  * @param {string} url - Output URL from shrink operation
- * @param {Object} resizeOptions - Resize options
- * @param {string} resizeOptions.method - Resize method (scale, fit, cover, thumb)
- * @param {number} [resizeOptions.width] - Target width
- * @param {number} [resizeOptions.height] - Target height
+ * @param {Object} outputOptions - Output options
+ * @param {Object} [outputOptions.resize] - Resize options (method, width, height)
+ * @param {Object} [outputOptions.convert] - Convert options (type)
+ * @param {string[]} [outputOptions.preserve] - Metadata to preserve (copyright, creation, location)
+ * @param {Object} [outputOptions.transform] - Transform options (background)
  * @param {string} apiKey - TinyPNG API key
  * @param {Function} [onProgress] - Progress callback (bytesReceived, totalBytes)
- * @returns {Promise<Object>} Resize result with response and compression count
- * @throws {Error} If resize fails
+ * @param {Object} [requestOptions] - Request options (apiBase, fetch, signal)
+ * @returns {Promise<Object>} Output result with response and compression count
+ * @throws {Error} If request fails
+ * @see https://tinypng.com/developers/reference#request-options
  */
-export async function resize(url, resizeOptions, apiKey, onProgress = null) {
+export async function output(url, outputOptions, apiKey, onProgress = null, requestOptions = {}) {
+  const body = {}
+
+  for (const option of ['resize', 'convert', 'preserve', 'transform']) {
+    if (outputOptions[option]) {
+      body[option] = outputOptions[option]
+    }
+  }
+
   const { response, compressionCount } = await request(
     url,
     {
@@ -208,51 +369,35 @@ export async function resize(url, resizeOptions, apiKey, onProgress = null) {
       headers: {
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify({ resize: resizeOptions }),
+      body: JSON.stringify(body),
     },
-    apiKey
+    apiKey,
+    requestOptions
   )
 
-  // If no progress callback, return response directly
-  if (!onProgress) {
+  // If no progress callback or no body stream, return response directly
+  if (!onProgress || !response.body) {
     return { response, compressionCount }
   }
 
-  // Track download progress of resized image
-  const contentLength = parseInt(response.headers.get('Content-Length') || '0', 10)
-  let bytesReceived = 0
-  const chunks = []
-
-  if (response.body) {
-    const reader = response.body.getReader()
-
-    try {
-      while (true) {
-        const { done, value } = await reader.read()
-
-        if (done) break
-
-        chunks.push(value)
-        bytesReceived += value.length
-
-        onProgress(bytesReceived, contentLength)
-      }
-    } finally {
-      reader.releaseLock()
-    }
-
-    // Create a new response with the collected data
-    const buffer = Buffer.concat(chunks.map(chunk => Buffer.from(chunk)))
-    const progressResponse = new Response(buffer, {
-      status: response.status,
-      statusText: response.statusText,
-      headers: response.headers,
-    })
-
-    return { response: progressResponse, compressionCount }
-  }
+  return { response: trackDownloadProgress(response, onProgress), compressionCount }
+}
 
-  return { response, compressionCount }
+/**
+ * Apply resize transformation to compressed image
+ * @param {string} url - Output URL from shrink operation
+ * @param {Object} resizeOptions - Resize options
+ * @param {string} resizeOptions.method - Resize method (scale, fit, cover, thumb)
+ * @param {number} [resizeOptions.width] - Target width
+ * @param {number} [resizeOptions.height] - Target height
+ * @param {string} apiKey - TinyPNG API key
+ * @param {Function} [onProgress] - Progress callback (bytesReceived, totalBytes)
+ * @param {Object} [requestOptions] - Request options (apiBase, fetch, signal)
+ * @returns {Promise<Object>} Resize result with response and compression count
+ * @throws {Error} If resize fails
+ */
+export async function resize(url, resizeOptions, apiKey, onProgress = null, requestOptions = {}) {
+  return output(url, { resize: resizeOptions }, apiKey, onProgress, requestOptions)
 }
 
 /**
@@ -262,62 +407,26 @@ export async function resize(url, resizeOptions, apiKey, onProgress = null) {
  * @param {string|string[]} convertOptions.type - Target format(s) (e.g., 'image/webp', ['image/webp', 'image/png'])
  * @param {string} apiKey - TinyPNG API key
  * @param {Function} [onProgress] - Progress callback (bytesReceived, totalBytes)
+ * @param {Object} [requestOptions] - Request options (apiBase, fetch, signal)
  * @returns {Promise<Object>} Convert result with response and compression count
  * @throws {Error} If conversion fails
  */
-export async function convert(url, convertOptions, apiKey, onProgress = null) {
-  const { response, compressionCount } = await request(
-    url,
-    {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ convert: convertOptions }),
-    },
-    apiKey
-  )
-
-  // If no progress callback, return response directly
-  if (!onProgress) {
-    return { response, compressionCount }
-  }
-
-  // Track download progress of converted image
-  const contentLength = parseInt(response.headers.get('Content-Length') || '0', 10)
-  let bytesReceived = 0
-  const chunks = []
-
-  if (response.body) {
-    const reader = response.body.getReader()
-
-    try {
-      while (true) {
-        const { done, value } = await reader.read()
-
-        if (done) break
-
-        chunks.push(value)
-        bytesReceived += value.length
-
-        onProgress(bytesReceived, contentLength)
-      }
-    } finally {
-      reader.releaseLock()
-    }
-
-    // Create a new response with the collected data
-    const buffer = Buffer.concat(chunks.map(chunk => Buffer.from(chunk)))
-    const progressResponse = new Response(buffer, {
-      status: response.status,
-      statusText: response.statusText,
-      headers: response.headers,
-    })
-
-    return { response: progressResponse, compressionCount }
-  }
+export async function convert(url, convertOptions, apiKey, onProgress = null, requestOptions = {}) {
+  return output(url, { convert: convertOptions }, apiKey, onProgress, requestOptions)
+}
 
-  return { response, compressionCount }
+/**
+ * Preserve metadata (copyright, creation, location) in compressed image
+ * @param {string} url - Output URL from shrink operation
+ * @param {string[]} preserveOptions - Metadata to preserve (e.g., ['copyright', 'creation'])
+ * @param {string} apiKey - TinyPNG API key
+ * @param {Function} [onProgress] - Progress callback (bytesReceived, totalBytes)
+ * @param {Object} [requestOptions] - Request options (apiBase, fetch, signal)
+ * @returns {Promise<Object>} Preserve result with response and compression count
+ * @throws {Error} If request fails
+ */
+export async function preserve(url, preserveOptions, apiKey, onProgress = null, requestOptions = {}) {
+  return output(url, { preserve: preserveOptions }, apiKey, onProgress, requestOptions)
 }
 
 /**
@@ -325,16 +434,18 @@ export async function convert(url, convertOptions, apiKey, onProgress = null) {
  * @param {string} url - Output URL to download from
  * @param {string} apiKey - TinyPNG API key
  * @param {Function} [onProgress] - Progress callback (bytesReceived, totalBytes)
+ * @param {Object} [requestOptions] - Request options (apiBase, fetch, signal)
  * @returns {Promise<Response>} Fetch response object
  * @throws {Error} If download fails
  */
-export async function download(url, apiKey, onProgress = null) {
+export async function download(url, apiKey, onProgress = null, requestOptions = {}) {
   const { response } = await request(
     url,
     {
       method: 'GET',
     },
-    apiKey
+    apiKey,
+    requestOptions
   )
 
   // If no progress callback or no body stream, return response directly
@@ -342,36 +453,5 @@ export async function download(url, apiKey, onProgress = null) {
     return response
   }
 
-  // Track download progress with ReadableStream
-  const contentLength = parseInt(response.headers.get('Content-Length') || '0', 10)
-  let bytesReceived = 0
-  const chunks = []
-
-  const reader = response.body.getReader()
-
-  try {
-    while (true) {
-      const { done, value } = await reader.read()
-
-      if (done) {
-        break
-      }
-
-      chunks.push(value)
-      bytesReceived += value.length
-
-      // Call progress callback with bytes received and total
-      onProgress(bytesReceived, contentLength)
-    }
-  } finally {
-    reader.releaseLock()
-  }
-
-  // Create a new response with the collected data
-  const buffer = Buffer.concat(chunks.map(chunk => Buffer.from(chunk)))
-  return new Response(buffer, {
-    status: response.status,
-    statusText: response.statusText,
-    headers: response.headers,
-  })
+  return trackDownloadProgress(response, onProgress)
 }
@@ -5,9 +5,11 @@
 
 import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest'
 import * as TinyPNGService from './service.mjs'
+import { AccountError, ConnectionError, AbortError } from './errors.mjs'
 import { readFileSync, writeFileSync, mkdirSync, rmSync, existsSync } from 'node:fs'
 import { join, dirname } from 'node:path'
 import { fileURLToPath } from 'node:url'
+import { Readable } from 'node:stream'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -132,14 +134,212 @@ describe('Service Layer - Unit Tests', () => {
     })
   })
 
+  describe('getApiBase()', () => {
+    it('should default to the TinyPNG API', () => {
+      expect(TinyPNGService.getApiBase()).toBe('https://api.tinify.com')
+      expect(TinyPNGService.getApiBase({})).toBe('https://api.tinify.com')
+    })
+
+    it('should use a custom base without trailing slash', () => {
+      expect(TinyPNGService.getApiBase({ apiBase: 'https://gateway.example.com/tinify/' })).toBe(
+        'https://gateway.example.com/tinify'
+      )
+    })
+  })
+
+  describe('requestOptions', () => {
+    const createFetch = (status, headers = {}, body = '{}') =>
+      vi.fn().mockImplementation(async () => new Response(body, { status, headers }))
+
+    it('should send shrink to the custom API base with the injected fetch', async () => {
+      const fetchMock = createFetch(201, { Location: 'https://gateway.test/output/abc' })
+
+      const result = await TinyPNGService.shrink(Buffer.from('png'), 'key', null, {
+        apiBase: 'https://gateway.test',
+        fetch: fetchMock,
+      })
+
+      expect(fetchMock).toHaveBeenCalledOnce()
+      expect(fetchMock.mock.calls[0][0]).toBe('https://gateway.test/shrink')
+      expect(fetchMock.mock.calls[0][1].headers.Authorization).toBe(TinyPNGService.createAuthHeader('key'))
+      expect(result.outputUrl).toBe('https://gateway.test/output/abc')
+    })
+
+    it('should upload a stream as it is read, reporting bytes without a total', async () => {
+      const received = []
+      const fetchMock = vi.fn().mockImplementation(async (url, init) => {
+        for await (const chunk of init.body) {
+          received.push(chunk)
+        }
+        return new Response('{}', { status: 201, headers: { Location: '/output/abc' } })
+      })
+      const onProgress = vi.fn()
+
+      await TinyPNGService.shrink(Readable.from([Buffer.from('ima'), Buffer.from('ge')]), 'key', onProgress, {
+        fetch: fetchMock,
+      })
+
+      expect(fetchMock.mock.calls[0][1].duplex).toBe('half')
+      expect(Buffer.concat(received).toString()).toBe('image')
+      expect(onProgress.mock.calls).toEqual([
+        [3, null],
+        [5, null],
+      ])
+    })
+
+    it('should resolve a relative Location against the API base', async () => {
+      const fetchMock = createFetch(201, { Location: '/output/abc' })
+
+      const result = await TinyPNGService.shrinkFromUrl('https://example.com/a.png', 'key', {
+        apiBase: 'http://localhost:8080',
+        fetch: fetchMock,
+      })
+
+      expect(fetchMock.mock.calls[0][0]).toBe('http://localhost:8080/shrink')
+      expect(result.outputUrl).toBe('http://localhost:8080/output/abc')
+    })
+
+    it('should use the injected fetch for output and download', async () => {
+      const fetchMock = createFetch(200, {}, 'image')
+
+      await TinyPNGService.output(
+        'http://localhost/output/abc',
+        { convert: { type: 'image/webp' } },
+        'key',
+        null,
+        {
+          fetch: fetchMock,
+        }
+      )
+      await TinyPNGService.download('http://localhost/output/abc', 'key', null, { fetch: fetchMock })
+
+      expect(fetchMock).toHaveBeenCalledTimes(2)
+      expect(fetchMock.mock.calls[0][1].method).toBe('POST')
+      expect(fetchMock.mock.calls[1][1].method).toBe('GET')
+    })
+
+    it('should report download progress while the body is read, without buffering it', async () => {
+      const fetchMock = createFetch(200, { 'Content-Length': '5' }, 'image')
+      const onProgress = vi.fn()
+
+      const response = await TinyPNGService.download('http://localhost/output/abc', 'key', onProgress, {
+        fetch: fetchMock,
+      })
+
+      expect(onProgress).not.toHaveBeenCalled()
+      expect(Buffer.from(await response.arrayBuffer()).toString()).toBe('image')
+      expect(onProgress).toHaveBeenLastCalledWith(5, 5)
+    })
+
+    it('should probe a key with an empty shrink request', async () => {
+      const fetchMock = createFetch(
+        400,
+        { 'Content-Type': 'application/json', 'Compression-Count': '12' },
+        '{"error":"InputMissing","message":"Input is missing"}'
+      )
+
+      const result = await TinyPNGService.probe('key', { fetch: fetchMock })
+
+      expect(fetchMock.mock.calls[0][0]).toBe('https://api.tinify.com/shrink')
+      expect(fetchMock.mock.calls[0][1].body).toBeUndefined()
+      expect(result).toEqual({ valid: true, compressionCount: 12, error: null })
+    })
+
+    it('should report a key rejected with 401 as invalid', async () => {
+      const fetchMock = createFetch(401, { 'Content-Type': 'application/json' }, '{"error":"Unauthorized"}')
+
+      const result = await TinyPNGService.probe('key', { fetch: fetchMock })
+
+      expect(result.valid).toBe(false)
+      expect(result.error.status).toBe(401)
+    })
+
+    it('should report a key over its monthly limit with the 429 error', async () => {
+      const fetchMock = createFetch(
+        429,
+        { 'Content-Type': 'application/json' },
+        '{"error":"TooManyRequests","message":"Your monthly limit has been exceeded"}'
+      )
+
+      const result = await TinyPNGService.probe('key', { fetch: fetchMock })
+
+      expect(result).toMatchObject({ valid: true, compressionCount: null })
+      expect(result.error.status).toBe(429)
+    })
+
+    it('should throw unexpected probe errors', async () => {
+      await expect(TinyPNGService.probe('key', { fetch: createFetch(503) })).rejects.toMatchObject({
+        status: 503,
+      })
+    })
+
+    it('should throw API errors from the injected fetch', async () => {
+      const fetchMock = createFetch(401, { 'Content-Type': 'application/json' }, '{"error":"Unauthorized"}')
+
+      await expect(
+        TinyPNGService.download('http://localhost/output/abc', 'key', null, { fetch: fetchMock })
+      ).rejects.toMatchObject({ status: 401, errorType: 'Unauthorized', retryAfter: null })
+    })
+
+    it('should parse Retry-After on throttled requests', async () => {
+      const fetchMock = createFetch(
+        429,
+        { 'Content-Type': 'application/json', 'Retry-After': '30' },
+        '{"error":"TooManyRequests","message":"Too many requests"}'
+      )
+
+      await expect(
+        TinyPNGService.download('http://localhost/output/abc', 'key', null, { fetch: fetchMock })
+      ).rejects.toMatchObject({ status: 429, errorType: 'TooManyRequests', retryAfter: 30000 })
+    })
+
+    it('should throw typed errors', async () => {
+      const fetchMock = createFetch(401, { 'Content-Type': 'application/json' }, '{"error":"Unauthorized"}')
+
+      await expect(
+        TinyPNGService.download('http://localhost/output/abc', 'key', null, { fetch: fetchMock })
+      ).rejects.toBeInstanceOf(AccountError)
+    })
+
+    it('should wrap fetch failures in ConnectionError', async () => {
+      const fetchError = new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } })
+      const fetchMock = vi.fn().mockRejectedValue(fetchError)
+
+      const error = await TinyPNGService.shrink(Buffer.from('image'), 'key', null, {
+        fetch: fetchMock,
+      }).catch(e => e)
+
+      expect(error).toBeInstanceOf(ConnectionError)
+      expect(error.code).toBe('ECONNREFUSED')
+      expect(error.cause).toBe(fetchError)
+    })
+
+    it('should not wrap cancellation', async () => {
+      const controller = new AbortController()
+      controller.abort(new AbortError())
+      const fetchMock = vi.fn().mockRejectedValue(controller.signal.reason)
+
+      await expect(
+        TinyPNGService.shrink(Buffer.from('image'), 'key', null, {
+          fetch: fetchMock,
+          signal: controller.signal,
+        })
+      ).rejects.toBeInstanceOf(AbortError)
+    })
+  })
+
   describe('Module Exports', () => {
     it('should export all required functions', () => {
       expect(TinyPNGService.createAuthHeader).toBeTypeOf('function')
       expect(TinyPNGService.parseApiError).toBeTypeOf('function')
+      expect(TinyPNGService.getApiBase).toBeTypeOf('function')
       expect(TinyPNGService.shrink).toBeTypeOf('function')
       expect(TinyPNGService.resize).toBeTypeOf('function')
       expect(TinyPNGService.convert).toBeTypeOf('function')
+      expect(TinyPNGService.preserve).toBeTypeOf('function')
+      expect(TinyPNGService.output).toBeTypeOf('function')
       expect(TinyPNGService.download).toBeTypeOf('function')
+      expect(TinyPNGService.probe).toBeTypeOf('function')
     })
 
     it('should have correct function signatures', () => {
@@ -149,7 +349,10 @@ describe('Service Layer - Unit Tests', () => {
       expect(TinyPNGService.shrink.length).toBe(2)
       expect(TinyPNGService.resize.length).toBe(3)
       expect(TinyPNGService.convert.length).toBe(3)
+      expect(TinyPNGService.preserve.length).toBe(3)
+      expect(TinyPNGService.output.length).toBe(3)
       expect(TinyPNGService.download.length).toBe(2)
+      expect(TinyPNGService.probe.length).toBe(1)
     })
   })
 })
@@ -349,6 +552,45 @@ describe.skipIf(!API_KEY || !existsSync(TEST_IMAGE))('Service Layer - Integratio
     }, 30000)
   })
 
+  describe('preserve()', () => {
+    it('should keep copyright metadata', async () => {
+      const buffer = readFileSync(TEST_IMAGE)
+      const shrinkRes = await TinyPNGService.shrink(buffer, API_KEY)
+
+      const result = await TinyPNGService.preserve(shrinkRes.outputUrl, ['copyright'], API_KEY)
+
+      expect(result.response.ok).toBe(true)
+      expect(result.compressionCount).toSatisfy(val => val === null || typeof val === 'number')
+
+      const preservedBuffer = Buffer.from(await result.response.arrayBuffer())
+      expect(preservedBuffer.length).toBeGreaterThan(0)
+    }, 30000)
+  })
+
+  describe('output()', () => {
+    it('should resize and convert in a single request', async () => {
+      const buffer = readFileSync(TEST_IMAGE)
+      const shrinkRes = await TinyPNGService.shrink(buffer, API_KEY)
+
+      const result = await TinyPNGService.output(
+        shrinkRes.outputUrl,
+        {
+          resize: { method: 'scale', width: 200 },
+          convert: { type: 'image/webp' },
+        },
+        API_KEY
+      )
+
+      expect(result.response.ok).toBe(true)
+      expect(result.response.headers.get('Content-Type')).toBe('image/webp')
+
+      const outputBuffer = Buffer.from(await result.response.arrayBuffer())
+      const outputPath = join(OUTPUT_DIR, 'service-output.webp')
+      writeFileSync(outputPath, outputBuffer)
+      expect(existsSync(outputPath)).toBe(true)
+    }, 30000)
+  })
+
   describe('Full Workflow', () => {
     it('should complete shrink → resize → download workflow', async () => {
       const buffer = readFileSync(TEST_IMAGE)
@@ -0,0 +1,70 @@
+/**
+ * Type definitions for the tinify-compatible facade
+ */
+
+import { ResizeOptions, TransformOptions, PreserveField } from './tinypng'
+import { TinyPNGError, AccountError, ClientError, ServerError, ConnectionError } from './errors'
+import { Locale } from './utils/i18n'
+
+/**
+ * Image source with chainable output options
+ * Every chained call returns a new Source; nothing is sent until toBuffer() or toFile().
+ * The image is uploaded once per source: later calls, on it or on sources chained from it,
+ * apply their options to the output URL of the first upload
+ */
+export class Source {
+  /** Resize the image */
+  resize(options: ResizeOptions): Source
+
+  /** Convert the image to another format */
+  convert(options: { type: string | string[] }): Source
+
+  /** Transform the image, e.g. set a background color for transparent areas */
+  transform(options: TransformOptions): Source
+
+  /** Preserve metadata, as separate arguments or a single array */
+  preserve(...fields: Array<PreserveField | PreserveField[]>): Source
+
+  /** Compress the image and return its data */
+  toBuffer(callback?: (error: Error | null, data?: Buffer) => void): Promise<Buffer>
+
+  /** Compress the image and write it to a file, renamed into place once complete */
+  toFile(path: string, callback?: (error: Error | null) => void): Promise<void>
+}
+
+/** Create a source from a local file */
+export function fromFile(path: string): Source
+
+/** Create a source from image data */
+export function fromBuffer(data: Buffer | Uint8Array): Source
+
+/** Create a source from a URL; TinyPNG fetches the image itself */
+export function fromUrl(url: string): Source
+
+declare const tinify: {
+  /** API key or keys; setting it replaces the key pool */
+  key: string | string[] | null
+
+  /** HTTP(S) proxy URL; HTTPS_PROXY/HTTP_PROXY are used when not set */
+  proxy: string | null
+
+  /** Language of error and event messages; zh when not set */
+  locale: Locale | null
+
+  /** Compressions made this month across all keys in the pool, undefined until the first image */
+  readonly compressionCount: number | undefined
+
+  Source: typeof Source
+  fromFile: typeof fromFile
+  fromBuffer: typeof fromBuffer
+  fromUrl: typeof fromUrl
+
+  /** Base class of all errors, as tinify.Error */
+  Error: typeof TinyPNGError
+  AccountError: typeof AccountError
+  ClientError: typeof ClientError
+  ServerError: typeof ServerError
+  ConnectionError: typeof ConnectionError
+}
+
+export default tinify
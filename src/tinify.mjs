@@ -0,0 +1,252 @@
+/**
+ * tinify-compatible facade
+ * Mirrors the fluent Source API of the official `tinify` package,
+ * backed by TinyPNGCompressor's multi-key rotation
+ *
+ * @example
+ * import tinify from 'tinypng-enhanced/tinify'
+ * tinify.key = ['key1', 'key2']
+ * await tinify.fromFile('in.png').resize({ method: 'fit', width: 800, height: 600 }).toFile('out.png')
+ */
+
+import TinyPNGCompressor from './tinypng.mjs'
+import { TinyPNGError, AccountError, ClientError, ServerError, ConnectionError } from './errors.mjs'
+import { t } from './utils/i18n.mjs'
+
+let apiKey = null
+let proxy = null
+let locale = null
+let compressor = null
+
+/**
+ * Get the shared compressor, created lazily from the configured key(s)
+ * @returns {TinyPNGCompressor}
+ */
+function getCompressor() {
+  if (!compressor) {
+    if (!apiKey || apiKey.length === 0) {
+      throw new Error(t(locale, 'tinifyKeyRequired'))
+    }
+
+    compressor = new TinyPNGCompressor({ apiKey, proxy: proxy || undefined, locale })
+  }
+
+  return compressor
+}
+
+/**
+ * Settle a promise through an optional Node-style callback, like tinify does
+ * @param {Promise} promise - Operation to settle
+ * @param {Function} [callback] - (error, value) callback
+ * @returns {Promise}
+ */
+function withCallback(promise, callback) {
+  if (typeof callback === 'function') {
+    promise.then(
+      value => callback(null, value),
+      error => callback(error)
+    )
+  }
+
+  return promise
+}
+
+/**
+ * Image source with chainable output options
+ * Every chained call returns a new Source; nothing is sent until toBuffer() or toFile().
+ * The image is uploaded once per source: later calls, on it or on sources chained from it,
+ * apply their options to the output URL of the first upload
+ */
+export class Source {
+  /**
+   * @param {string|Buffer} source - File path, URL or image data
+   * @param {Object} [options] - Accumulated compression options
+   * @param {Object} [upload] - Upload shared with the source this one was chained from
+   */
+  constructor(source, options = {}, upload = { shrink: null, pending: null }) {
+    this._source = source
+    this._options = options
+    this._upload = upload
+  }
+
+  /**
+   * Resize the image
+   * @param {Object} options - Resize options (method, width, height)
+   * @returns {Source}
+   */
+  resize(options) {
+    return new Source(this._source, { ...this._options, resize: options }, this._upload)
+  }
+
+  /**
+   * Convert the image to another format
+   * @param {Object} options - Convert options
+   * @param {string|string[]} options.type - Target MIME type(s)
+   * @returns {Source}
+   */
+  convert(options) {
+    return new Source(this._source, { ...this._options, convert: options }, this._upload)
+  }
+
+  /**
+   * Transform the image, e.g. set a background color for transparent areas
+   * @param {Object} options - Transform options
+   * @param {string} options.background - white, black or #RRGGBB
+   * @returns {Source}
+   */
+  transform(options) {
+    return new Source(this._source, { ...this._options, transform: options }, this._upload)
+  }
+
+  /**
+   * Preserve metadata, as separate arguments or a single array
+   * @param {...(string|string[])} fields - copyright, creation, location
+   * @returns {Source}
+   */
+  preserve(...fields) {
+    return new Source(this._source, { ...this._options, preserve: fields.flat() }, this._upload)
+  }
+
+  /**
+   * Compress the image and return its data
+   * @param {Function} [callback] - Optional (error, buffer) callback
+   * @returns {Promise<Buffer>}
+   */
+  toBuffer(callback) {
+    const promise = this._run(compressor =>
+      compressor._process(this._source, this._options, null, this._upload)
+    ).then(({ buffer }) => buffer)
+
+    return withCallback(promise, callback)
+  }
+
+  /**
+   * Compress the image and write it to a file, renamed into place once complete
+   * @param {string} path - Output file path
+   * @param {Function} [callback] - Optional (error) callback
+   * @returns {Promise<void>}
+   */
+  toFile(path, callback) {
+    const promise = this._run(compressor =>
+      compressor._processToFile(this._source, path, this._options, this._upload)
+    ).then(() => {})
+
+    return withCallback(promise, callback)
+  }
+
+  /**
+   * Run a compression after any upload of this source still in flight, so its shrink is reused
+   * @private
+   * @param {Function} fn - Receives the shared compressor
+   * @returns {Promise}
+   */
+  _run(fn) {
+    const upload = this._upload
+    const ready = upload.shrink ? Promise.resolve() : (upload.pending ?? Promise.resolve())
+    // Missing key surfaces as a rejection, not a synchronous throw
+    const promise = ready.then(() => fn(getCompressor()))
+
+    if (!upload.shrink && !upload.pending) {
+      // After a failed upload the next call uploads again
+      upload.pending = promise.then(
+        () => {},
+        () => {
+          upload.pending = null
+        }
+      )
+    }
+
+    return promise
+  }
+}
+
+/**
+ * Create a source from a local file
+ * @param {string} path - File path
+ * @returns {Source}
+ */
+export function fromFile(path) {
+  return new Source(path)
+}
+
+/**
+ * Create a source from image data
+ * @param {Buffer|Uint8Array} data - Image data
+ * @returns {Source}
+ */
+export function fromBuffer(data) {
+  return new Source(Buffer.isBuffer(data) ? data : Buffer.from(data))
+}
+
+/**
+ * Create a source from a URL; TinyPNG fetches the image itself
+ * @param {string} url - Image URL
+ * @returns {Source}
+ */
+export function fromUrl(url) {
+  return new Source(url)
+}
+
+const tinify = {
+  /**
+   * API key or keys; setting it replaces the key pool
+   * @type {string|string[]|null}
+   */
+  get key() {
+    return apiKey
+  },
+
+  set key(value) {
+    apiKey = value
+    compressor = null
+  },
+
+  /**
+   * HTTP(S) proxy URL; HTTPS_PROXY/HTTP_PROXY are used when not set
+   * @type {string|null}
+   */
+  get proxy() {
+    return proxy
+  },
+
+  set proxy(value) {
+    proxy = value
+    compressor = null
+  },
+
+  /**
+   * Language of error and event messages (en, zh); zh when not set
+   * @type {string|null}
+   */
+  get locale() {
+    return locale
+  },
+
+  set locale(value) {
+    locale = value
+    compressor = null
+  },
+
+  /**
+   * Compressions made this month across all keys in the pool,
+   * undefined until the first image has been processed
+   * @type {number|undefined}
+   */
+  get compressionCount() {
+    return compressor?.getSummary().totalUsed ?? undefined
+  },
+
+  Source,
+  fromFile,
+  fromBuffer,
+  fromUrl,
+
+  // Error classes under the names tinify uses
+  Error: TinyPNGError,
+  AccountError,
+  ClientError,
+  ServerError,
+  ConnectionError,
+}
+
+export default tinify
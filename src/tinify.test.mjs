@@ -0,0 +1,279 @@
+/**
+ * Unit tests for tinify.mjs
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import { readFileSync, readdirSync, mkdtempSync, rmSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+import TinyPNGCompressor from './tinypng.mjs'
+import tinify, { Source, fromFile, fromBuffer, fromUrl } from './tinify.mjs'
+import { TinyPNGError, ClientError, BudgetExceededError } from './errors.mjs'
+
+const COMPRESSED = Buffer.from('compressed')
+
+/**
+ * Answer TinyPNG requests through the global fetch: shrinks get a new output URL, outputs the image
+ */
+function mockFetch() {
+  let uploads = 0
+
+  return vi.spyOn(globalThis, 'fetch').mockImplementation(async url => {
+    if (url.includes('/output/')) return new Response(COMPRESSED, { status: 200 })
+
+    return new Response('{}', {
+      status: 201,
+      headers: { Location: `http://localhost/output/${++uploads}`, 'Compression-Count': String(uploads) },
+    })
+  })
+}
+
+/**
+ * Get the shrink requests made through a fetch mock
+ */
+function shrinkCalls(fetchMock) {
+  return fetchMock.mock.calls.filter(([url]) => url.endsWith('/shrink'))
+}
+
+describe('tinify facade', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+    tinify.key = null
+    tinify.proxy = null
+    tinify.locale = null
+  })
+
+  describe('sources', () => {
+    it('should create sources from file, buffer and URL', () => {
+      expect(fromFile('in.png')).toBeInstanceOf(Source)
+      expect(fromBuffer(Buffer.from('png'))).toBeInstanceOf(Source)
+      expect(fromUrl('https://example.com/a.png')).toBeInstanceOf(Source)
+      expect(tinify.fromFile).toBe(fromFile)
+    })
+
+    it('should convert Uint8Array data to a Buffer', () => {
+      const source = fromBuffer(new Uint8Array([1, 2, 3]))
+      expect(Buffer.isBuffer(source._source)).toBe(true)
+    })
+
+    it('should return a new source for every chained call', () => {
+      const source = fromFile('in.png')
+      const resized = source.resize({ method: 'fit', width: 100, height: 100 })
+
+      expect(resized).not.toBe(source)
+      expect(source._options).toEqual({})
+    })
+  })
+
+  describe('toBuffer()', () => {
+    it('should reject when no key is set', async () => {
+      await expect(fromFile('in.png').toBuffer()).rejects.toThrow('tinify.key')
+    })
+
+    it('should pass accumulated options in one compress call', async () => {
+      const compress = vi
+        .spyOn(TinyPNGCompressor.prototype, '_process')
+        .mockResolvedValue({ buffer: COMPRESSED })
+      tinify.key = ['key1', 'key2']
+
+      const result = await fromFile('in.png')
+        .resize({ method: 'scale', width: 200 })
+        .convert({ type: 'image/webp' })
+        .transform({ background: 'white' })
+        .preserve('copyright', 'creation')
+        .toBuffer()
+
+      expect(result).toBe(COMPRESSED)
+      expect(compress).toHaveBeenCalledWith(
+        'in.png',
+        {
+          resize: { method: 'scale', width: 200 },
+          convert: { type: 'image/webp' },
+          transform: { background: 'white' },
+          preserve: ['copyright', 'creation'],
+        },
+        null,
+        expect.any(Object)
+      )
+    })
+
+    it('should accept preserve fields as an array', async () => {
+      const compress = vi
+        .spyOn(TinyPNGCompressor.prototype, '_process')
+        .mockResolvedValue({ buffer: COMPRESSED })
+      tinify.key = 'key1'
+
+      await fromFile('in.png').preserve(['location']).toBuffer()
+
+      expect(compress.mock.calls[0][1]).toEqual({ preserve: ['location'] })
+    })
+
+    it('should call a Node-style callback', async () => {
+      vi.spyOn(TinyPNGCompressor.prototype, '_process').mockResolvedValue({ buffer: COMPRESSED })
+      tinify.key = 'key1'
+
+      const data = await new Promise((resolve, reject) => {
+        fromFile('in.png').toBuffer((error, buffer) => (error ? reject(error) : resolve(buffer)))
+      })
+
+      expect(data).toBe(COMPRESSED)
+    })
+  })
+
+  describe('uploads', () => {
+    it('should upload the image once for repeated and chained calls', async () => {
+      const fetchMock = mockFetch()
+      tinify.key = 'key1'
+      const source = fromBuffer(Buffer.from('png'))
+
+      await source.toBuffer()
+      await source.toBuffer()
+      const resized = await source.resize({ method: 'fit', width: 100, height: 100 }).toBuffer()
+
+      expect(resized).toEqual(COMPRESSED)
+      expect(shrinkCalls(fetchMock)).toHaveLength(1)
+      expect(fetchMock.mock.calls.slice(1).map(([url, init]) => [url, init.method])).toEqual([
+        ['http://localhost/output/1', 'GET'],
+        ['http://localhost/output/1', 'GET'],
+        ['http://localhost/output/1', 'POST'],
+      ])
+    })
+
+    it('should upload once for calls made at the same time', async () => {
+      const fetchMock = mockFetch()
+      tinify.key = 'key1'
+      const source = fromBuffer(Buffer.from('png'))
+
+      await Promise.all([source.toBuffer(), source.convert({ type: 'image/webp' }).toBuffer()])
+
+      expect(shrinkCalls(fetchMock)).toHaveLength(1)
+    })
+
+    it('should keep the output options of chained calls within the cap of a paid key', async () => {
+      let count = 599
+      const fetchMock = vi.spyOn(globalThis, 'fetch').mockImplementation(async url => {
+        const headers = { 'Compression-Count': String(++count) }
+        if (url.includes('/output/')) return new Response(COMPRESSED, { status: 200, headers })
+        return new Response('{}', {
+          status: 201,
+          headers: { ...headers, Location: 'http://localhost/output/1' },
+        })
+      })
+      // $0.90 for the first 600 compressions of the month, then $0.009 each
+      tinify.key = [{ key: 'key1', paid: true, maxSpend: 0.91 }]
+      const source = fromBuffer(Buffer.from('png'))
+      const resize = () => source.resize({ method: 'scale', width: 100 }).toBuffer()
+
+      await resize()
+      await expect(resize()).rejects.toBeInstanceOf(BudgetExceededError)
+
+      expect(shrinkCalls(fetchMock)).toHaveLength(1)
+      expect(count).toBe(601)
+    })
+
+    it('should upload again after a failed upload', async () => {
+      const fetchMock = mockFetch()
+      fetchMock.mockResolvedValueOnce(new Response('{"error":"Unsupported media type"}', { status: 415 }))
+      tinify.key = 'key1'
+      const source = fromBuffer(Buffer.from('png'))
+
+      await expect(source.toBuffer()).rejects.toBeInstanceOf(ClientError)
+      await source.toBuffer()
+
+      expect(shrinkCalls(fetchMock)).toHaveLength(2)
+    })
+  })
+
+  describe('toFile()', () => {
+    it('should write the compressed image to disk', async () => {
+      mockFetch()
+      tinify.key = 'key1'
+      const dir = mkdtempSync(join(tmpdir(), 'tinify-'))
+
+      try {
+        const outputPath = join(dir, 'out.png')
+        await fromBuffer(Buffer.from('png')).toFile(outputPath)
+        expect(readFileSync(outputPath)).toEqual(COMPRESSED)
+        expect(readdirSync(dir)).toEqual(['out.png'])
+      } finally {
+        rmSync(dir, { recursive: true, force: true })
+      }
+    })
+
+    it('should leave no file behind when the download fails', async () => {
+      const fetchMock = mockFetch()
+      tinify.key = 'key1'
+      const dir = mkdtempSync(join(tmpdir(), 'tinify-'))
+
+      try {
+        const source = fromBuffer(Buffer.from('png'))
+        await source.toBuffer()
+        fetchMock.mockResolvedValue(new Response('{"error":"Unsupported media type"}', { status: 415 }))
+
+        await expect(source.toFile(join(dir, 'out.png'))).rejects.toBeInstanceOf(ClientError)
+        expect(readdirSync(dir)).toEqual([])
+      } finally {
+        rmSync(dir, { recursive: true, force: true })
+      }
+    })
+  })
+
+  describe('key and compressionCount', () => {
+    it('should be undefined before any image is processed', () => {
+      tinify.key = 'key1'
+      expect(tinify.compressionCount).toBeUndefined()
+    })
+
+    it('should create a new key pool when the key changes', async () => {
+      const compress = vi
+        .spyOn(TinyPNGCompressor.prototype, '_process')
+        .mockResolvedValue({ buffer: COMPRESSED })
+
+      tinify.key = 'key1'
+      await fromFile('a.png').toBuffer()
+      tinify.key = 'key2'
+      await fromFile('b.png').toBuffer()
+
+      expect(compress.mock.contexts[0]).not.toBe(compress.mock.contexts[1])
+      expect(compress.mock.contexts[1].keyManager.keyStats[0].key).toBe('key2')
+    })
+
+    it('should reject an invalid proxy when the pool is created', async () => {
+      tinify.key = 'key1'
+      tinify.proxy = 'not a url'
+
+      await expect(fromFile('in.png').toBuffer()).rejects.toThrow(TypeError)
+    })
+
+    it('should pass the locale to the key pool', async () => {
+      const compress = vi
+        .spyOn(TinyPNGCompressor.prototype, '_process')
+        .mockResolvedValue({ buffer: COMPRESSED })
+
+      tinify.locale = 'en'
+      await expect(fromFile('in.png').toBuffer()).rejects.toThrow('Set tinify.key first')
+
+      tinify.key = 'key1'
+      await fromFile('in.png').toBuffer()
+
+      expect(compress.mock.contexts[0].locale).toBe('en')
+    })
+  })
+
+  describe('error classes', () => {
+    it('should expose the error classes under tinify names', async () => {
+      vi.spyOn(TinyPNGCompressor.prototype, '_process').mockRejectedValue(
+        new ClientError('Input file has an unsupported format', { status: 415 })
+      )
+      tinify.key = 'key1'
+
+      const error = await fromBuffer(Buffer.from('txt'))
+        .toBuffer()
+        .catch(e => e)
+
+      expect(error).toBeInstanceOf(tinify.ClientError)
+      expect(error).toBeInstanceOf(tinify.Error)
+      expect(tinify.Error).toBe(TinyPNGError)
+    })
+  })
+})
@@ -1,14 +1,57 @@
 import { EventEmitter } from 'node:events'
-import { Readable } from 'node:stream'
+import { Readable, Writable } from 'node:stream'
+import { Locale } from './utils/i18n'
+import { ApiKeyEntry, PricingTier, RetryOptions } from './utils/options'
+import { UsageStore } from './usage-store'
+import { KeyStrategy, KeyStrategyName } from './key-strategies'
+import { KeyLedger } from './key-ledger'
+
+export {
+  TinyPNGError,
+  AccountError,
+  QuotaExhaustedError,
+  BudgetExceededError,
+  ClientError,
+  ServerError,
+  ConnectionError,
+  AbortError,
+} from './errors'
+
+export { FileUsageStore, UsageStore, UsageEntry } from './usage-store'
+export { FileKeyLedger, KeyLedger, LedgerEntry } from './key-ledger'
+export { ApiKeyEntry, PricingTier } from './utils/options'
+export { KEY_STRATEGIES, KeyStrategy, KeyStrategyName, StrategyContext } from './key-strategies'
 
 /**
  * TinyPNG compressor options
  */
 export interface TinyPNGOptions {
-  /** Single API key or array of API keys */
-  apiKey: string | string[]
-  /** Compressions per key per month (default: 500) */
+  /** API key or array of keys; an object gives a key its own label, limit and paid plan */
+  apiKey: string | ApiKeyEntry | Array<string | ApiKeyEntry>
+  /** Compressions per key per month, unless a key sets its own (default: 500) */
   compressionCount?: number
+  /** API base URL, e.g. a gateway or local mock (default: https://api.tinify.com) */
+  apiBase?: string
+  /** Fetch implementation (default: global fetch) */
+  fetch?: typeof fetch
+  /** HTTP(S) proxy URL, credentials allowed (default: HTTPS_PROXY/HTTP_PROXY, honouring NO_PROXY); false disables */
+  proxy?: string | false
+  /** Language of error and event messages (default: 'zh') */
+  locale?: Locale
+  /** Retry policy for transient failures; switching away from a rejected key is not counted */
+  retry?: RetryOptions
+  /** Keeps key usage across runs: a store, a file path, or true for ~/.tinypng/usage.json */
+  usageStore?: UsageStore | string | boolean
+  /** IANA time zone in which monthly quotas reset (default: 'UTC') */
+  resetTimeZone?: string
+  /** Key selection strategy, or a function picking one of the usable keys (default: 'least-used') */
+  strategy?: KeyStrategyName | KeyStrategy
+  /** Pricing tiers used to estimate the cost of paid keys (default: TinyPNG's published tiers) */
+  pricing?: PricingTier[]
+  /** Budget in USD for everything this compressor compresses; work over it throws BudgetExceededError */
+  maxSpend?: number
+  /** Coordinates keys with other processes: a ledger, a file path, or true for ~/.tinypng/usage.json */
+  sharedLedger?: KeyLedger | string | boolean
 }
 
 /**
@@ -23,12 +66,99 @@ export interface ResizeOptions {
   height?: number
 }
 
+/**
+ * Transform options
+ */
+export interface TransformOptions {
+  /** Background color used when flattening transparent images: 'white', 'black' or '#RRGGBB' */
+  background?: string
+}
+
+/**
+ * Metadata that can be preserved in the output image
+ */
+export type PreserveField = 'copyright' | 'creation' | 'location'
+
+/**
+ * Cancellation options
+ */
+export interface AbortOptions {
+  /** Cancels uploads, downloads and retry delays; the call rejects with AbortError */
+  signal?: AbortSignal
+  /** Time limit in ms for the whole call, including retries */
+  timeout?: number
+}
+
 /**
  * Compression options
  */
-export interface CompressionOptions {
+export interface CompressionOptions extends AbortOptions {
   /** Resize options */
   resize?: ResizeOptions
+  /** Convert options, applied in the same request as resize */
+  convert?: { type: string | string[] }
+  /** Transform options */
+  transform?: TransformOptions
+  /** Metadata to preserve */
+  preserve?: PreserveField[]
+}
+
+/**
+ * Options for format conversion
+ */
+export interface ConvertOptions extends AbortOptions {
+  /** Target MIME type, or several to let TinyPNG pick the smallest */
+  type: string | string[]
+  /** Background color for transparent areas: 'white', 'black' or '#RRGGBB' */
+  background?: string
+  /** Resize options, applied in the same request */
+  resize?: ResizeOptions
+  /** Metadata to preserve */
+  preserve?: PreserveField[]
+}
+
+/**
+ * Result of a format conversion
+ */
+export interface ConvertResult {
+  /** Converted image data */
+  buffer: Buffer
+  /** MIME type of the converted image */
+  type: string | null
+  /** TinyPNG output URL of the compressed image, reusable for further output requests */
+  outputUrl: string
+}
+
+/**
+ * Detailed compression result
+ */
+export interface CompressionDetails {
+  /** Compressed image data */
+  buffer: Buffer
+  /** Original image info (size is reported by TinyPNG for URL sources) */
+  input: {
+    size: number | null
+    type: string | null
+  }
+  /** Output image info */
+  output: {
+    size: number
+    type: string | null
+    width: number | null
+    height: number | null
+  }
+  /** Output size divided by input size (e.g. 0.3936) */
+  ratio: number | null
+  /** Percentage saved (e.g. "60.64") */
+  savedPercent: string
+  /** Index of the API key used */
+  keyIndex: number
+  /** Label of the API key used */
+  label: string
+  /** Compression count of that key after this request */
+  compressionCount: number | null
+  /** TinyPNG output URL of the compressed image */
+  outputUrl: string
 }
 
 /**
@@ -37,22 +167,43 @@ export interface CompressionOptions {
 export interface KeyStats {
   /** Key index */
   keyIndex: number
+  /** Key label, 'Key 1' etc. unless one was given */
+  label: string
+  /** Whether this is a paid plan key */
+  paid: boolean
+  /** Monthly spending cap in USD, null if none */
+  maxSpend: number | null
+  /** Estimated spend this month in USD, 0 for free keys */
+  spend: number
+  /** Estimated spend since the compressor was created in USD */
+  runSpend: number
+  /** Compressions in flight whose count hasn't come back yet */
+  reserved: number
   /** Number of compressions used */
   compressionCount: number
-  /** Monthly limit */
+  /** Monthly limit, Infinity for keys without one */
   monthlyLimit: number
   /** Remaining compressions */
   remaining: number
   /** Whether the key is disabled */
   disabled: boolean
+  /** 'quota' until the month rolls over, 'invalid' until resetCounts(), null if enabled */
+  disabledReason: 'quota' | 'invalid' | null
+  /** End of the current throttling cooldown, null if not cooling down */
+  cooldownUntil: number | null
   /** Last error message if any */
   lastError: string | null
 }
 
+/**
+ * Compression result for streamed output; the image itself is not held in memory
+ */
+export type CompressionStreamResult = Omit<CompressionDetails, 'buffer'>
+
 /**
  * Compression result for file output
  */
-export interface CompressionFileResult {
+export interface CompressionFileResult extends CompressionStreamResult {
   /** Output file path */
   outputPath: string
   /** Compressed file size */
@@ -64,13 +215,16 @@ export interface CompressionFileResult {
  */
 export interface TinyPNGEvents {
   init: [data: { totalKeys: number; keysConfigured: string[] }]
-  keySwitch: [data: { keyIndex: number; compressionCount: number; monthlyLimit: number }]
-  keyError: [data: { keyIndex: number; error: string }]
+  keySwitch: [data: { keyIndex: number; label: string; compressionCount: number; monthlyLimit: number }]
+  keyError: [data: { keyIndex: number; label: string; error: string }]
+  keyCooldown: [data: { keyIndex: number; label: string; retryAfter: number; error: string }]
+  quotaUpdate: [data: { keyIndex: number; label: string; compressionCount: number; remaining: number }]
   start: [data: { type: 'file' | 'stream' | 'buffer'; filename?: string; size?: number }]
-  compressing: [data: { keyIndex: number; attempt: number; maxRetries: number }]
+  compressing: [data: { keyIndex: number; label: string; attempt: number; maxRetries: number }]
   success: [
     data: {
       keyIndex: number
+      label: string
       originalSize: number
       compressedSize: number
       savedBytes: number
@@ -78,8 +232,28 @@ export interface TinyPNGEvents {
       filename?: string
     }
   ]
-  error: [data: { type: string; keyIndex?: number; message?: string; error: Error }]
+  error: [data: { type: string; keyIndex?: number; label?: string; message?: string; error: Error }]
+  retry: [
+    data: {
+      attempt: number
+      attempts: number
+      reason: 'throttled' | 'server' | 'connection' | 'client' | 'account' | 'unknown'
+      delay: number
+      keyIndex: number | null
+      label?: string
+      error: string
+    }
+  ]
   reset: [data: { message: string }]
+  monthlyReset: [
+    data: {
+      month: string
+      keyIndexes: number[]
+      labels: string[]
+      reenabledKeys: number[]
+      reenabledLabels: string[]
+    }
+  ]
 }
 
 /**
@@ -89,10 +263,18 @@ export default class TinyPNGCompressor extends EventEmitter {
   /** Array of API keys */
   apiKeys: string[]
 
+  /** Language of error and event messages */
+  readonly locale: Locale
+
+  /** Retry policy, with defaults filled in */
+  readonly retry: Required<RetryOptions>
+
   /** Statistics for each API key */
   keyStats: Array<{
     key: string
     index: number
+    label: string
+    paid: boolean
     compressionCount: number
     monthlyLimit: number
     lastError: Error | null
@@ -110,18 +292,43 @@ export default class TinyPNGCompressor extends EventEmitter {
 
   /**
    * Compress a file or buffer
+   * Readable streams are uploaded as they are read and cannot be re-sent for a retry once read
    * @param source - File path, buffer, or readable stream
    * @param options - Compression options
    * @returns Compressed image buffer
+   * @throws {ClientError} If TinyPNG rejects the image, e.g. an unsupported format
+   * @throws {QuotaExhaustedError} If no key in the pool can be used; cause holds the last key error
+   * @throws {BudgetExceededError} If the compression would go over maxSpend or every paid key's cap
+   * @throws {ServerError|ConnectionError} If TinyPNG fails or can't be reached on the last attempt
+   * @throws {AbortError} If cancelled through options.signal or options.timeout elapsed
    */
   compress(source: string | Buffer | Readable, options?: CompressionOptions): Promise<Buffer>
 
   /**
-   * Compress and save to file
-   * @param source - File path, buffer, or stream
+   * Compress a file, buffer, or URL and return details reported by TinyPNG
+   * @param source - File path, URL, buffer, or readable stream
+   * @param options - Compression options
+   * @returns Buffer with input/output size and type, dimensions, ratio, key and output URL
+   */
+  compressDetailed(
+    source: string | Buffer | Readable,
+    options?: CompressionOptions
+  ): Promise<CompressionDetails>
+
+  /**
+   * Compress and convert a file, buffer, or URL to another format
+   * @param source - File path, URL, buffer, or readable stream
+   * @param options - Convert options, or the target MIME type as a shorthand
+   * @returns Converted image buffer and its MIME type
+   */
+  convert(source: string | Buffer | Readable, options: ConvertOptions | string): Promise<ConvertResult>
+
+  /**
+   * Compress and stream the result to a file, renamed into place once complete
+   * @param source - File path, URL, buffer, or readable stream
    * @param outputPath - Output file path
    * @param options - Compression options
-   * @returns Compression result with file info
+   * @returns Output path and size, with the details from compressDetailed() except buffer
    */
   compressToFile(
     source: string | Buffer | Readable,
@@ -129,6 +336,20 @@ export default class TinyPNGCompressor extends EventEmitter {
     options?: CompressionOptions
   ): Promise<CompressionFileResult>
 
+  /**
+   * Compress and pipe the result to a writable stream, without holding the image in memory
+   * The writable is ended when done and destroyed if the download fails part way
+   * @param source - File path, URL, buffer, or readable stream
+   * @param writable - Destination stream
+   * @param options - Compression options
+   * @returns Details from compressDetailed() except buffer, once the writable has finished
+   */
+  compressToStream(
+    source: string | Buffer | Readable,
+    writable: Writable,
+    options?: CompressionOptions
+  ): Promise<CompressionStreamResult>
+
   /**
    * Get compression stats for all API keys
    * @returns Stats for each API key
@@ -136,7 +357,17 @@ export default class TinyPNGCompressor extends EventEmitter {
   getStats(): KeyStats[]
 
   /**
-   * Reset compression counts (call at the start of each month)
+   * Read the real compression count of every key from TinyPNG without using quota
+   * Keys rejected with 401 are disabled and keys over their monthly limit (429) stay disabled;
+   * valid keys under the limit are re-enabled
+   * @param options - Cancellation options
+   * @returns Stats for each API key after the refresh
+   */
+  refreshQuota(options?: AbortOptions): Promise<KeyStats[]>
+
+  /**
+   * Reset compression counts and re-enable every key, including rejected ones
+   * Counts already roll over by themselves when a new month starts
    */
   resetCounts(): void
 
@@ -1,24 +1,78 @@
 import { EventEmitter } from 'node:events'
-import { writeFileSync } from 'node:fs'
+import { createWriteStream, renameSync, rmSync } from 'node:fs'
 import { Readable } from 'node:stream'
-import { createCompressingEvent, createProgressEvent } from './utils/event.mjs'
+import { createCompressingEvent, createProgressEvent, createQuotaUpdateEvent } from './utils/event.mjs'
+import { normalizePreserve, normalizeBackground, normalizeRetry } from './utils/options.mjs'
+import { createProxyFetch } from './utils/proxy.mjs'
+import { createOperationSignal, toAbortError } from './utils/abort.mjs'
 import { KeyManager } from './key-manager.mjs'
+import { createUsageStore } from './usage-store.mjs'
+import { createKeyLedger } from './key-ledger.mjs'
 import * as CompressionWorkflow from './workflows/compression.mjs'
+import * as TinyPNGService from './service.mjs'
+
+import { TinyPNGError, AccountError, QuotaExhaustedError, BudgetExceededError } from './errors.mjs'
+import { isApiError } from './utils/error.mjs'
+import { resolveLocale, t } from './utils/i18n.mjs'
+
+export {
+  TinyPNGError,
+  AccountError,
+  QuotaExhaustedError,
+  BudgetExceededError,
+  ClientError,
+  ServerError,
+  ConnectionError,
+  AbortError,
+} from './errors.mjs'
+
+export { FileUsageStore } from './usage-store.mjs'
+export { FileKeyLedger } from './key-ledger.mjs'
+export { KEY_STRATEGIES } from './key-strategies.mjs'
 
 /**
  * TinyPNG Compressor with multiple API key support
  * Automatically rotates between API keys to handle rate limits
- * Uses native fetch API without external dependencies
+ * Uses native fetch API, switching to undici when requests go through a proxy
  */
 export default class TinyPNGCompressor extends EventEmitter {
   /**
    * @param {Object} options - Configuration options
-   * @param {string|string[]} options.apiKey - Single API key or array of API keys
-   * @param {number} [options.compressionCount=500] - Compressions per key per month
+   * @param {string|Object|Array<string|Object>} options.apiKey - API key or array of keys; a key may be an
+   * object { key, label, monthlyLimit, paid, maxSpend } with its own settings
+   * @param {number} [options.compressionCount=500] - Compressions per key per month, unless a key sets its own
+   * @param {string} [options.apiBase] - API base URL, e.g. a gateway or local mock (default: https://api.tinify.com)
+   * @param {Function} [options.fetch] - Fetch implementation (default: global fetch)
+   * @param {string|false} [options.proxy] - HTTP(S) proxy URL, or false to ignore HTTPS_PROXY/HTTP_PROXY
+   * @param {string} [options.locale='zh'] - Language of error and event messages (en, zh)
+   * @param {Object} [options.retry] - Retry policy for transient failures
+   * @param {number} [options.retry.attempts=3] - Retries after the first attempt; switching away from a
+   * rejected key is not counted
+   * @param {number} [options.retry.minDelay=1000] - Delay before the first retry in ms
+   * @param {number} [options.retry.maxDelay=30000] - Upper bound for the delay in ms
+   * @param {number} [options.retry.factor=2] - Growth of the delay per retry
+   * @param {number} [options.retry.jitter=0.2] - Share of the delay (0-1) that is randomised
+   * @param {Array<string|number>|Function} [options.retry.retryOn] - HTTP statuses and network error codes
+   * to retry, or a function deciding from the error
+   * @param {Object|string|boolean} [options.usageStore] - Keeps key usage across runs: a store with load()
+   * and save(), a usage file path, or true for ~/.tinypng/usage.json (default: memory only)
+   * @param {string} [options.resetTimeZone='UTC'] - Time zone in which TinyPNG's monthly counts reset
+   * @param {string|Function} [options.strategy='least-used'] - Key selection: least-used, round-robin, drain,
+   * priority, weighted, or a function (keys, context) => key picking one of the usable keys
+   * @param {Object[]} [options.pricing] - Pricing tiers [{ upTo, price }] used to estimate the cost of paid
+   * keys (default: TinyPNG's published tiers)
+   * @param {number} [options.maxSpend] - Budget in USD for everything this compressor compresses; work that
+   * would go over it is refused with BudgetExceededError
+   * @param {Object|string|boolean} [options.sharedLedger] - Coordinates key selection and reservations with
+   * other processes on the machine: a ledger with update(), a ledger file path, or true for
+   * ~/.tinypng/usage.json; it also keeps usage across runs in place of usageStore (default: not shared)
    */
   constructor(options) {
     super()
 
+    this.locale = resolveLocale(options.locale)
+    this.retry = normalizeRetry(options.retry, this.locale)
+
     // Normalize to array of API keys
     const apiKeys = Array.isArray(options.apiKey) ? options.apiKey : [options.apiKey]
 
@@ -26,136 +80,428 @@ export default class TinyPNGCompressor extends EventEmitter {
     this.keyManager = new KeyManager({
       apiKeys,
       monthlyLimit: options.compressionCount || 500,
+      locale: this.locale,
+      store: createUsageStore(options.usageStore, this.locale),
+      timeZone: options.resetTimeZone,
+      strategy: options.strategy,
+      pricing: options.pricing,
+      maxSpend: options.maxSpend,
+      ledger: createKeyLedger(options.sharedLedger, this.locale),
     })
+    this.keyManager.on('monthlyReset', data => this.emit('monthlyReset', data))
+
+    // Passed to every service call; proxying falls back to HTTPS_PROXY/HTTP_PROXY/NO_PROXY
+    this.requestOptions = {
+      apiBase: options.apiBase,
+      fetch: createProxyFetch(options.proxy, options.fetch, this.locale),
+      locale: this.locale,
+    }
 
     this.emit('init', {
       totalKeys: this.keyManager.getTotalKeys(),
-      keysConfigured: apiKeys.map((_, i) => `Key ${i + 1}`),
+      keysConfigured: this.keyManager.keyStats.map(stat => stat.label),
     })
   }
 
   /**
    * Compress a file, buffer, or URL using TinyPNG API
+   * Readable streams are uploaded as they are read and cannot be re-sent for a retry once read
    * @param {string|Buffer|Readable} source - File path, URL, buffer, or readable stream
    * @param {Object} [options] - Compression options
    * @param {Object} [options.resize] - Resize options
    * @param {string} [options.resize.method] - Resize method (scale, fit, cover, thumb)
    * @param {number} [options.resize.width] - Target width
    * @param {number} [options.resize.height] - Target height
+   * @param {Object} [options.convert] - Convert options
+   * @param {string|string[]} [options.convert.type] - Target MIME type(s)
+   * @param {Object} [options.transform] - Transform options
+   * @param {string} [options.transform.background] - Background color for flattening transparent images
+   * @param {string[]} [options.preserve] - Metadata to preserve (copyright, creation, location)
+   * @param {AbortSignal} [options.signal] - Cancels uploads, downloads and retry delays
+   * @param {number} [options.timeout] - Time limit in ms for the whole call, including retries
    * @returns {Promise<Buffer>} Compressed image buffer
+   * @throws {ClientError} If TinyPNG rejects the image, e.g. an unsupported format
+   * @throws {QuotaExhaustedError} If no key in the pool can be used; cause holds the last key error
+   * @throws {BudgetExceededError} If the compression would go over maxSpend or every paid key's cap
+   * @throws {ServerError|ConnectionError} If TinyPNG fails or can't be reached on the last attempt
+   * @throws {AbortError} If cancelled through options.signal or options.timeout elapsed
    * @see https://tinypng.com/developers/reference#request-options
    */
   async compress(source, options = {}) {
+    const { buffer } = await this._process(source, options)
+    return buffer
+  }
+
+  /**
+   * Compress a file, buffer, or URL and return details reported by TinyPNG
+   * @param {string|Buffer|Readable} source - File path, URL, buffer, or readable stream
+   * @param {Object} [options] - Compression options, same as compress()
+   * @returns {Promise<Object>} Buffer with input/output size and type, dimensions, ratio, key and output URL
+   */
+  async compressDetailed(source, options = {}) {
+    return await this._process(source, options)
+  }
+
+  /**
+   * Compress and convert a file, buffer, or URL to another format
+   * @param {string|Buffer|Readable} source - File path, URL, buffer, or readable stream
+   * @param {Object|string} options - Convert options, or the target MIME type as a shorthand
+   * @param {string|string[]} options.type - Target MIME type(s) (e.g. 'image/webp', ['image/webp', 'image/avif'])
+   * @param {string} [options.background] - Background color for transparent areas (white, black or #RRGGBB)
+   * @param {Object} [options.resize] - Resize options applied in the same request
+   * @param {string[]} [options.preserve] - Metadata to preserve (copyright, creation, location)
+   * @param {AbortSignal} [options.signal] - Cancels uploads, downloads and retry delays
+   * @param {number} [options.timeout] - Time limit in ms for the whole call, including retries
+   * @returns {Promise<Object>} Converted image buffer, its MIME type and the TinyPNG output URL
+   * @see https://tinypng.com/developers/reference#converting-images
+   */
+  async convert(source, options) {
+    const convertOptions = typeof options === 'string' ? { type: options } : options
+
+    if (!convertOptions?.type || convertOptions.type.length === 0) {
+      throw new TypeError(t(this.locale, 'convertTypeRequired'))
+    }
+
+    const { buffer, output, outputUrl } = await this._process(source, {
+      resize: convertOptions.resize,
+      convert: { type: convertOptions.type },
+      transform: convertOptions.background ? { background: convertOptions.background } : undefined,
+      preserve: convertOptions.preserve,
+      signal: convertOptions.signal,
+      timeout: convertOptions.timeout,
+    })
+
+    return { buffer, type: output.type, outputUrl }
+  }
+
+  /**
+   * Run the compression pipeline with key rotation and retries
+   * @private
+   * @param {string|Buffer|Readable} source - File path, URL, buffer, or readable stream
+   * @param {Object} options - Compression options (any combination of resize, convert, preserve, transform)
+   * @param {Function} [openDestination] - Returns the writable to stream the image to, instead of buffering it
+   * @param {Object} [reuse] - Holds the shrink of the source between calls, so it is uploaded once
+   * @returns {Promise<Object>} Detailed result with buffer, size/type metadata and the output URL from shrink
+   */
+  async _process(source, options, openDestination = null, reuse = null) {
+    // Validate output options before any quota is used
+    if (options.preserve) {
+      options = { ...options, preserve: normalizePreserve(options.preserve, this.locale) }
+    }
+
+    if (options.transform?.background) {
+      options = {
+        ...options,
+        transform: {
+          ...options.transform,
+          background: normalizeBackground(options.transform.background, this.locale),
+        },
+      }
+    }
+
+    // One signal for the whole call: caller's signal and/or timeout
+    const { signal, cleanup } = createOperationSignal(options.signal, options.timeout, this.locale)
+
+    try {
+      return await this._runPipeline(source, options, signal, openDestination, reuse)
+    } finally {
+      cleanup()
+    }
+  }
+
+  /**
+   * Upload, apply output options and download, rotating keys between attempts
+   * @private
+   * @param {string|Buffer|Readable} source - File path, URL, buffer, or readable stream
+   * @param {Object} options - Validated compression options
+   * @param {AbortSignal} [signal] - Cancels requests and retry delays
+   * @param {Function} [openDestination] - Returns the writable to stream the image to
+   * @param {Object} [reuse] - Holds the shrink of the source between calls, see _process()
+   * @returns {Promise<Object>} Detailed result, without buffer when streamed
+   * @throws {AbortError} If the signal aborts
+   */
+  async _runPipeline(source, options, signal, openDestination, reuse) {
+    // An 'error' event without listeners would throw and replace the real error
+    const emit = (event, data) => {
+      if (event !== 'error' || this.listenerCount('error') > 0) {
+        this._emitWithLabel(event, data)
+      }
+    }
+    const delay = ms => this._delay(ms, signal)
+    const requestOptions = signal ? { ...this.requestOptions, signal } : this.requestOptions
+
     // Prepare source for compression
-    const sourceData = await CompressionWorkflow.prepareSource(source, this.emit.bind(this))
+    const sourceData = await CompressionWorkflow.prepareSource(source, emit, this.locale)
 
     // Try compression with key rotation
     let lastError
-    const maxRetries = this.keyManager.getTotalKeys()
+    let streaming = false
+    let retries = 0
 
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
+    // Every key may be rejected once, on top of the retries for transient failures
+    const maxAttempts = this.keyManager.getTotalKeys() + this.retry.attempts + 1
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
       let keyStat
+      let reservation
 
       try {
-        // Select best available key (least-used strategy)
-        keyStat = this.keyManager.selectBestKey()
-
-        this.emit(
-          'compressing',
-          createCompressingEvent(
-            keyStat.index,
-            attempt + 1,
-            maxRetries,
-            keyStat.compressionCount,
-            keyStat.monthlyLimit
+        if (signal?.aborted) {
+          throw toAbortError(signal, this.locale)
+        }
+
+        // Wait for a throttled key if every usable key is cooling down
+        const cooldown = this.keyManager.getCooldownRemaining()
+
+        if (cooldown > 0) {
+          await delay(cooldown)
+        }
+
+        let shrinkResult
+        const reused = this._reusableShrink(reuse, options)
+
+        if (reused) {
+          // Step 1 was done by an earlier call; only output options use the key again
+          keyStat = reused.keyStat
+          reservation = reused.reservation
+          shrinkResult = reuse.shrink.result
+        } else {
+          // Select best available key and hold back the compressions this call uses until their counts
+          // come back, so concurrent calls don't all pick a key that is nearly used up
+          const selection = this.keyManager.selectAndReserve(CompressionWorkflow.countCompressions(options))
+          keyStat = selection.keyStat
+          reservation = selection.reservation
+
+          this._emitWithLabel(
+            'compressing',
+            createCompressingEvent(
+              keyStat.index,
+              attempt + 1,
+              maxAttempts,
+              keyStat.compressionCount,
+              keyStat.monthlyLimit
+            )
           )
-        )
 
-        // Step 1: Upload and compress image
-        const shrinkResult = await CompressionWorkflow.uploadAndShrink(
-          sourceData,
-          source,
-          keyStat,
-          this.emit.bind(this)
-        )
+          // Step 1: Upload and compress image
+          shrinkResult = await CompressionWorkflow.uploadAndShrink(
+            sourceData,
+            source,
+            keyStat,
+            emit,
+            requestOptions
+          )
 
-        this.emit('progress', createProgressEvent('compressed', 0.4, 'Image compressed'))
+          this.emit('progress', createProgressEvent('compressed', 0.4, t(this.locale, 'imageCompressed')))
 
-        // Update quota after shrink
-        CompressionWorkflow.updateQuota(shrinkResult, keyStat, this.keyManager, this.emit.bind(this))
+          // Update quota after shrink
+          CompressionWorkflow.updateQuota(shrinkResult, keyStat, this.keyManager, emit, reservation)
+
+          if (reuse) {
+            reuse.shrink = { key: keyStat.key, result: shrinkResult }
+          }
+        }
 
         // Step 2: Download compressed or resized image
         const downloadResult = await CompressionWorkflow.downloadImage(
           shrinkResult.outputUrl,
           options,
           keyStat,
-          this.emit.bind(this)
+          emit,
+          requestOptions
         )
 
         // Update quota after download/resize if applicable
-        CompressionWorkflow.updateQuota(downloadResult, keyStat, this.keyManager, this.emit.bind(this))
+        CompressionWorkflow.updateQuota(downloadResult, keyStat, this.keyManager, emit, reservation)
+
+        // Step 3: Finalize and return result, reported for the key this call used
+
+        if (openDestination) {
+          streaming = true
+          return await CompressionWorkflow.finalizeToStream(
+            downloadResult,
+            shrinkResult,
+            sourceData,
+            keyStat,
+            emit,
+            openDestination(),
+            this.locale
+          )
+        }
 
-        // Step 3: Finalize and return result
-        const finalKeyStat = this.keyManager.getCurrentKey()
         return await CompressionWorkflow.finalizeResult(
-          downloadResult.response,
+          downloadResult,
+          shrinkResult,
           sourceData,
-          finalKeyStat,
-          this.emit.bind(this)
+          keyStat,
+          emit,
+          this.locale
         )
       } catch (error) {
+        // A failed request used no quota; give it back before any retry delay
+        if (reservation) {
+          this.keyManager.release(reservation)
+        }
+
+        // The earlier output URL may have expired; the next attempt uploads the image again
+        if (reuse) {
+          reuse.shrink = null
+        }
+
+        // Cancellation is never retried
+        if (signal?.aborted) {
+          throw toAbortError(signal, this.locale)
+        }
+
+        // Part of the image may already be written, so a failed stream can't be retried
+        if (streaming) {
+          throw error
+        }
+
+        // Going over a spending cap is not caused by a key error
+        if (error instanceof BudgetExceededError) {
+          throw error
+        }
+
+        // No key left to rotate to; keep the key error that used up the pool
+        if (error instanceof QuotaExhaustedError) {
+          throw lastError ? exhaustedBy(error.message, lastError) : error
+        }
+
+        if (error instanceof TinyPNGError && keyStat) {
+          error.keyIndex = keyStat.index
+        }
+
         lastError = error
 
-        // Handle API errors from service layer
-        if (error.status && keyStat) {
-          await CompressionWorkflow.handleServiceError(
-            error,
-            keyStat,
-            attempt,
-            maxRetries,
-            this.keyManager,
-            this.emit.bind(this),
-            this._delay.bind(this)
-          )
-        } else {
-          // Handle network and other errors
-          const shouldContinue = await CompressionWorkflow.handleNetworkError(
-            error,
-            attempt,
-            maxRetries,
-            keyStat?.index,
-            this.emit.bind(this),
-            this._delay.bind(this)
-          )
+        const retry = {
+          retries,
+          policy: this.retry,
+          canResend: CompressionWorkflow.canResendSource(sourceData),
+        }
 
-          if (shouldContinue) {
-            continue
+        try {
+          // Handle API errors from service layer
+          if (isApiError(error) && keyStat) {
+            await CompressionWorkflow.handleServiceError(
+              error,
+              keyStat,
+              retry,
+              this.keyManager,
+              emit,
+              delay,
+              this.locale
+            )
+          } else {
+            // Handle network and other errors
+            await CompressionWorkflow.handleNetworkError(
+              error,
+              keyStat?.index,
+              retry,
+              emit,
+              delay,
+              this.locale
+            )
+          }
+        } catch (finalError) {
+          // The failed key was the last usable one in the pool
+          if (finalError instanceof AccountError && !this.keyManager.hasUsableKeys()) {
+            throw exhaustedBy(t(this.locale, 'noUsableKeys'), finalError)
           }
+
+          throw finalError
+        }
+
+        // Moving on from a rejected key doesn't use up a retry
+        if (!keyStat?.disabled) {
+          retries++
         }
       }
     }
 
     // All retries failed
-    throw new Error(`压缩失败，已尝试 ${maxRetries} 次: ${lastError?.message || 'Unknown error'}`)
+    const message = t(this.locale, 'compressionFailed', {
+      attempts: maxAttempts,
+      message: lastError?.message || 'Unknown error',
+    })
+    throw new TinyPNGError(message, { cause: lastError })
+  }
+
+  /**
+   * Get the key of an earlier shrink and reserve the compression the output options use on it,
+   * if the shrink can still be used
+   * @private
+   * @param {Object} [reuse] - Holds the shrink of the source between calls, see _process()
+   * @param {Object} options - Compression options of the call
+   * @returns {Object|null} Stats of the key that made the shrink and the reservation, null to upload
+   * the image again
+   * @throws {BudgetExceededError} If the output options would go over the key's cap or the budget
+   */
+  _reusableShrink(reuse, options) {
+    if (!reuse?.shrink) return null
+
+    // The key pool may have changed since, e.g. a key was disabled
+    const keyStat = this.keyManager.keyStats.find(stat => stat.key === reuse.shrink.key)
+    if (!keyStat) return null
+
+    const count = CompressionWorkflow.hasOutputOptions(options) ? 1 : 0
+    const reservation = this.keyManager.reserveKey(keyStat.index, count)
+    return reservation && { keyStat, reservation }
   }
 
   /**
-   * Compress and save to file
-   * @param {string|Buffer|Readable} source - File path, buffer, or stream
+   * Compress and stream the result to a file
+   * The image is written to a temporary file next to outputPath and renamed once complete,
+   * so a failed call never leaves a partial image behind
+   * @param {string|Buffer|Readable} source - File path, URL, buffer, or readable stream
    * @param {string} outputPath - Output file path
-   * @param {Object} [options] - Compression options
-   * @returns {Promise<Object>} Compression result with file info
+   * @param {Object} [options] - Compression options, same as compress()
+   * @returns {Promise<Object>} Output path and size, with the details from compressDetailed() except buffer
    */
   async compressToFile(source, outputPath, options = {}) {
-    const compressedBuffer = await this.compress(source, options)
-    writeFileSync(outputPath, compressedBuffer)
+    return await this._processToFile(source, outputPath, options)
+  }
+
+  /**
+   * Run the pipeline into a temporary file next to outputPath and rename it once complete
+   * @private
+   * @param {string|Buffer|Readable} source - File path, URL, buffer, or readable stream
+   * @param {string} outputPath - Output file path
+   * @param {Object} options - Compression options
+   * @param {Object} [reuse] - Holds the shrink of the source between calls, see _process()
+   * @returns {Promise<Object>} Output path and size, with the details from compressDetailed() except buffer
+   */
+  async _processToFile(source, outputPath, options, reuse = null) {
+    const tempPath = `${outputPath}.${process.pid}.tmp`
 
-    return {
-      outputPath,
-      size: compressedBuffer.length,
+    try {
+      const result = await this._process(source, options, () => createWriteStream(tempPath), reuse)
+      renameSync(tempPath, outputPath)
+
+      return {
+        ...result,
+        outputPath,
+        size: result.output.size,
+      }
+    } catch (error) {
+      rmSync(tempPath, { force: true })
+      throw error
     }
   }
 
+  /**
+   * Compress and pipe the result to a writable stream, without holding the image in memory
+   * Progress events fire as the image is written; the writable is ended when done and
+   * destroyed if the download fails part way
+   * @param {string|Buffer|Readable} source - File path, URL, buffer, or readable stream
+   * @param {Writable} writable - Destination stream, e.g. an HTTP response or file stream
+   * @param {Object} [options] - Compression options, same as compress()
+   * @returns {Promise<Object>} Details from compressDetailed() except buffer, once the writable has finished
+   */
+  async compressToStream(source, writable, options = {}) {
+    return await this._process(source, options, () => writable)
+  }
+
   /**
    * Get compression stats for all API keys
    * @returns {Array<Object>} Stats for each API key
@@ -173,21 +519,104 @@ export default class TinyPNGCompressor extends EventEmitter {
   }
 
   /**
-   * Reset compression counts (call at the start of each month)
+   * Read the real compression count of every key from TinyPNG without using quota
+   * Keys rejected with 401 are disabled and keys over their monthly limit (429) stay disabled;
+   * valid keys under the limit are re-enabled
+   * @param {Object} [options] - Refresh options
+   * @param {AbortSignal} [options.signal] - Cancels the probes
+   * @param {number} [options.timeout] - Time limit in ms for all probes
+   * @returns {Promise<Array<Object>>} Stats for each API key after the refresh
+   * @throws {AbortError} If cancelled through options.signal or options.timeout elapsed
+   */
+  async refreshQuota(options = {}) {
+    const { signal, cleanup } = createOperationSignal(options.signal, options.timeout, this.locale)
+    const requestOptions = signal ? { ...this.requestOptions, signal } : this.requestOptions
+
+    try {
+      const results = await this.keyManager.refresh(key => TinyPNGService.probe(key, requestOptions))
+
+      if (signal?.aborted) {
+        throw toAbortError(signal, this.locale)
+      }
+
+      for (const { keyIndex, valid, compressionCount, error } of results) {
+        if (valid === false) {
+          this._emitWithLabel('keyError', { keyIndex, error: error.message })
+        } else if (compressionCount !== null) {
+          const { monthlyLimit } = this.keyManager.keyStats[keyIndex]
+          this._emitWithLabel('quotaUpdate', createQuotaUpdateEvent(keyIndex, compressionCount, monthlyLimit))
+        }
+      }
+
+      return this.getStats()
+    } finally {
+      cleanup()
+    }
+  }
+
+  /**
+   * Reset compression counts and re-enable every key, including rejected ones
+   * Counts already roll over by themselves when a new month starts
    */
   resetCounts() {
     this.keyManager.reset()
 
     this.emit('reset', {
-      message: '所有 API Key 的使用统计已重置',
+      message: t(this.locale, 'countsReset'),
     })
   }
 
   /**
-   * Delay helper
+   * Emit an event, adding the label of the key when the data names one
    * @private
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
    */
-  _delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms))
+  _emitWithLabel(event, data) {
+    if (typeof data?.keyIndex === 'number') {
+      this.emit(event, { ...data, label: this.keyManager.getLabel(data.keyIndex) })
+    } else {
+      this.emit(event, data)
+    }
   }
+
+  /**
+   * Delay helper, rejecting early with an AbortError if the signal aborts
+   * @private
+   * @param {number} ms - Delay in milliseconds
+   * @param {AbortSignal} [signal] - Abort signal
+   */
+  _delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(toAbortError(signal, this.locale))
+        return
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer)
+        reject(toAbortError(signal, this.locale))
+      }
+
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort)
+        resolve()
+      }, ms)
+
+      signal?.addEventListener('abort', onAbort, { once: true })
+    })
+  }
+}
+
+/**
+ * Create the error for a key pool that has no usable key left
+ * @param {string} message - Why the pool is exhausted
+ * @param {Error} keyError - Error from the last key that was tried
+ * @returns {QuotaExhaustedError}
+ */
+function exhaustedBy(message, keyError) {
+  return new QuotaExhaustedError(`${message}: ${keyError.message}`, {
+    keyIndex: keyError.keyIndex,
+    cause: keyError,
+  })
 }
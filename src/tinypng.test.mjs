@@ -4,11 +4,22 @@
  */
 
 import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest'
-import TinyPNGCompressor from './tinypng.mjs'
-import { writeFileSync, readFileSync, mkdirSync, rmSync, existsSync } from 'node:fs'
+import TinyPNGCompressor, {
+  AbortError,
+  AccountError,
+  QuotaExhaustedError,
+  BudgetExceededError,
+  ClientError,
+  ConnectionError,
+  ServerError,
+  FileKeyLedger,
+} from './tinypng.mjs'
+import { writeFileSync, readFileSync, mkdirSync, mkdtempSync, rmSync, existsSync } from 'node:fs'
+import { tmpdir } from 'node:os'
 import { join, dirname } from 'node:path'
 import { fileURLToPath } from 'node:url'
-import { Readable } from 'node:stream'
+import { Readable, Writable } from 'node:stream'
+import { EventEmitter } from 'node:events'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -202,6 +213,841 @@ describe('TinyPNGCompressor - Unit Tests', () => {
     })
   })
 
+  describe('convert()', () => {
+    it('should reject when no target type is given', async () => {
+      const compressor = new TinyPNGCompressor({
+        apiKey: 'test-key',
+      })
+
+      await expect(compressor.convert(Buffer.from('image'), {})).rejects.toThrow(TypeError)
+      await expect(compressor.convert(Buffer.from('image'))).rejects.toThrow(TypeError)
+    })
+  })
+
+  describe('apiBase and fetch options', () => {
+    it('should send every request through the injected fetch and API base', async () => {
+      const fetchMock = vi.fn().mockImplementation(async url => {
+        if (url.endsWith('/shrink')) {
+          return new Response('{"input":{"size":5,"type":"image/png"}}', {
+            status: 201,
+            headers: { Location: '/output/abc', 'Compression-Count': '1' },
+          })
+        }
+        return new Response('tiny', { status: 200, headers: { 'Content-Type': 'image/png' } })
+      })
+
+      const compressor = new TinyPNGCompressor({
+        apiKey: 'test-key',
+        apiBase: 'http://localhost:8080',
+        fetch: fetchMock,
+      })
+
+      const result = await compressor.compressDetailed(Buffer.from('image'))
+
+      expect(fetchMock.mock.calls.map(([url]) => url)).toEqual([
+        'http://localhost:8080/shrink',
+        'http://localhost:8080/output/abc',
+      ])
+      expect(result.buffer.toString()).toBe('tiny')
+      expect(result.outputUrl).toBe('http://localhost:8080/output/abc')
+    })
+  })
+
+  describe('refreshQuota()', () => {
+    it('should probe every key without compressing and fill in real counts', async () => {
+      const fetchMock = vi.fn().mockImplementation(async (url, init) => {
+        const valid = init.headers.Authorization !== 'Basic YXBpOmJhZA=='
+        return new Response(valid ? '{"error":"InputMissing"}' : '{"error":"Unauthorized"}', {
+          status: valid ? 400 : 401,
+          headers: valid ? { 'Compression-Count': '7' } : {},
+        })
+      })
+      const compressor = new TinyPNGCompressor({ apiKey: ['good', 'bad'], fetch: fetchMock })
+      const quotaUpdates = []
+      const keyErrors = []
+      compressor.on('quotaUpdate', data => quotaUpdates.push(data))
+      compressor.on('keyError', data => keyErrors.push(data))
+
+      const stats = await compressor.refreshQuota()
+
+      expect(fetchMock).toHaveBeenCalledTimes(2)
+      expect(fetchMock.mock.calls.every(([url, init]) => url.endsWith('/shrink') && !init.body)).toBe(true)
+      expect(stats[0]).toMatchObject({ compressionCount: 7, disabled: false })
+      expect(stats[1]).toMatchObject({ compressionCount: null, disabled: true })
+      expect(quotaUpdates).toEqual([{ keyIndex: 0, label: 'Key 1', compressionCount: 7, remaining: 493 }])
+      expect(keyErrors.map(({ keyIndex }) => keyIndex)).toEqual([1])
+    })
+  })
+
+  describe('throttling and key errors', () => {
+    // Answers shrink requests with the response factory for the request's key
+    const createKeyFetch = responses =>
+      vi.fn().mockImplementation(async (url, init) => {
+        if (url.includes('/output/')) {
+          return new Response('tiny', { status: 200, headers: { 'Content-Type': 'image/png' } })
+        }
+
+        const key = Buffer.from(init.headers.Authorization.slice(6), 'base64').toString().slice(4)
+        return responses[key]()
+      })
+    const success = () =>
+      new Response('{"output":{"url":"http://localhost/output/abc"}}', {
+        status: 201,
+        headers: { Location: 'http://localhost/output/abc', 'Compression-Count': '1' },
+      })
+
+    it('should cool down a throttled key and continue with the next one', async () => {
+      const fetchMock = createKeyFetch({
+        first: () =>
+          new Response('{"error":"TooManyRequests"}', { status: 429, headers: { 'Retry-After': '60' } }),
+        second: success,
+      })
+      const compressor = new TinyPNGCompressor({ apiKey: ['first', 'second'], fetch: fetchMock })
+      const cooldowns = []
+      const keyErrors = []
+      compressor.on('keyCooldown', data => cooldowns.push(data))
+      compressor.on('keyError', data => keyErrors.push(data))
+      compressor.on('error', () => {})
+
+      const result = await compressor.compress(Buffer.from('image'))
+
+      expect(result.toString()).toBe('tiny')
+      expect(cooldowns).toEqual([
+        { keyIndex: 0, label: 'Key 1', retryAfter: 60000, error: 'API Key 请求过于频繁，60 秒后可再次使用' },
+      ])
+      expect(keyErrors).toEqual([])
+
+      const [first] = compressor.getStats()
+      expect(first.disabled).toBe(false)
+      expect(first.cooldownUntil).toBeGreaterThan(Date.now())
+    })
+
+    it('should wait for the cooldown when every key is throttled', async () => {
+      const fetchMock = createKeyFetch({ only: success })
+      const compressor = new TinyPNGCompressor({ apiKey: 'only', fetch: fetchMock })
+      const delays = []
+      vi.useFakeTimers({ toFake: ['Date'] })
+      compressor._delay = async ms => {
+        delays.push(ms)
+        vi.setSystemTime(Date.now() + ms)
+      }
+      compressor.keyManager.markKeyThrottled(0, 5000)
+
+      await compressor.compress(Buffer.from('image')).finally(() => vi.useRealTimers())
+
+      expect(delays).toEqual([5000])
+    })
+
+    it('should disable a key rejected with 401 and continue with the next one', async () => {
+      const fetchMock = createKeyFetch({
+        bad: () => new Response('{"error":"Unauthorized"}', { status: 401 }),
+        good: success,
+      })
+      const compressor = new TinyPNGCompressor({ apiKey: ['bad', 'good'], fetch: fetchMock })
+      compressor.on('error', () => {})
+
+      await compressor.compress(Buffer.from('image'))
+
+      expect(compressor.getStats()[0]).toMatchObject({ disabled: true, cooldownUntil: null })
+    })
+
+    it('should disable a key whose monthly limit is exhausted', async () => {
+      const fetchMock = createKeyFetch({
+        used: () => new Response('{"error":"TooManyRequests"}', { status: 429 }),
+        fresh: success,
+      })
+      const compressor = new TinyPNGCompressor({ apiKey: ['used', 'fresh'], fetch: fetchMock })
+      compressor.on('error', () => {})
+
+      await compressor.compress(Buffer.from('image'))
+
+      expect(compressor.getStats()[0]).toMatchObject({
+        disabled: true,
+        lastError: expect.any(String),
+      })
+    })
+  })
+
+  describe('retry policy', () => {
+    const shrunk = () =>
+      new Response('{"output":{"url":"http://localhost/output/abc"}}', {
+        status: 201,
+        headers: { Location: 'http://localhost/output/abc', 'Compression-Count': '1' },
+      })
+    const image = () => new Response('tiny', { status: 200, headers: { 'Content-Type': 'image/png' } })
+    // Answers shrink requests with the given responses in turn, then with success
+    const createSequenceFetch = (...responses) =>
+      vi.fn().mockImplementation(async url => {
+        if (url.includes('/output/')) return image()
+        const next = responses.shift()
+        if (next instanceof Error) throw next
+        return next ? next() : shrunk()
+      })
+    const unavailable = () => new Response('{"error":"ServiceUnavailable"}', { status: 503 })
+    const createCompressor = options => {
+      const compressor = new TinyPNGCompressor(options)
+      const delays = []
+      compressor._delay = async ms => delays.push(ms)
+      compressor.on('error', () => {})
+      return { compressor, delays }
+    }
+
+    it('should retry a server error with a single key and report it with a retry event', async () => {
+      const fetchMock = createSequenceFetch(unavailable, unavailable)
+      const { compressor, delays } = createCompressor({
+        apiKey: 'only',
+        fetch: fetchMock,
+        retry: { minDelay: 100, jitter: 0 },
+      })
+      const retries = []
+      compressor.on('retry', data => retries.push(data))
+
+      const result = await compressor.compress(Buffer.from('image'))
+
+      expect(result.toString()).toBe('tiny')
+      expect(delays).toEqual([100, 200])
+      expect(retries).toEqual([
+        expect.objectContaining({ attempt: 1, attempts: 3, reason: 'server', delay: 100, keyIndex: 0 }),
+        expect.objectContaining({ attempt: 2, attempts: 3, reason: 'server', delay: 200, keyIndex: 0 }),
+      ])
+    })
+
+    it('should give up once the retries are used', async () => {
+      const fetchMock = createSequenceFetch(unavailable, unavailable)
+      const { compressor } = createCompressor({ apiKey: 'only', fetch: fetchMock, retry: { attempts: 1 } })
+
+      const error = await compressor.compress(Buffer.from('image')).catch(e => e)
+
+      expect(error).toBeInstanceOf(ServerError)
+      expect(fetchMock).toHaveBeenCalledTimes(2)
+    })
+
+    it('should not retry with attempts set to 0', async () => {
+      const fetchMock = createSequenceFetch(unavailable)
+      const { compressor } = createCompressor({ apiKey: 'only', fetch: fetchMock, retry: { attempts: 0 } })
+
+      await expect(compressor.compress(Buffer.from('image'))).rejects.toBeInstanceOf(ServerError)
+      expect(fetchMock).toHaveBeenCalledOnce()
+    })
+
+    it('should still move on from a rejected key with attempts set to 0', async () => {
+      const fetchMock = createSequenceFetch(() => new Response('{"error":"Unauthorized"}', { status: 401 }))
+      const { compressor, delays } = createCompressor({
+        apiKey: ['bad', 'good'],
+        fetch: fetchMock,
+        retry: { attempts: 0 },
+      })
+      const retries = []
+      compressor.on('retry', data => retries.push(data))
+
+      await compressor.compress(Buffer.from('image'))
+
+      expect(compressor.getStats()[0].disabled).toBe(true)
+      expect(retries).toEqual([])
+      expect(delays).toEqual([])
+    })
+
+    it('should retry a reset connection', async () => {
+      const reset = new TypeError('fetch failed', { cause: { code: 'ECONNRESET' } })
+      const fetchMock = createSequenceFetch(reset)
+      const { compressor } = createCompressor({ apiKey: 'only', fetch: fetchMock })
+      const retries = []
+      compressor.on('retry', data => retries.push(data))
+
+      await compressor.compress(Buffer.from('image'))
+
+      expect(retries).toEqual([expect.objectContaining({ attempt: 1, reason: 'connection' })])
+    })
+
+    it('should decide with a retryOn function', async () => {
+      const conflict = () => new Response('{"error":"Conflict"}', { status: 409 })
+      const fetchMock = createSequenceFetch(conflict)
+      const retryOn = vi.fn(error => error instanceof ClientError && error.status === 409)
+      const { compressor } = createCompressor({ apiKey: 'only', fetch: fetchMock, retry: { retryOn } })
+
+      await compressor.compress(Buffer.from('image'))
+
+      expect(retryOn).toHaveBeenCalledWith(expect.any(ClientError))
+      expect(fetchMock).toHaveBeenCalledTimes(3)
+    })
+
+    it('should reject an invalid retry option', () => {
+      expect(() => new TinyPNGCompressor({ apiKey: 'key1', retry: { attempts: -1 } })).toThrow(TypeError)
+      expect(() => new TinyPNGCompressor({ apiKey: 'key1', retry: { factor: 0.5 } })).toThrow(TypeError)
+    })
+  })
+
+  describe('usageStore option', () => {
+    it('should keep key usage across compressor instances', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'tinypng-usage-'))
+      const usageStore = join(dir, 'usage.json')
+      const fetchMock = vi.fn().mockImplementation(async url => {
+        if (url.includes('/output/')) return new Response('tiny', { status: 200 })
+        return new Response('{}', {
+          status: 201,
+          headers: { Location: 'http://localhost/output/abc', 'Compression-Count': '42' },
+        })
+      })
+
+      try {
+        await new TinyPNGCompressor({ apiKey: 'key1', fetch: fetchMock, usageStore }).compress(
+          Buffer.from('image')
+        )
+        const compressor = new TinyPNGCompressor({ apiKey: 'key1', usageStore })
+
+        expect(compressor.getStats()[0]).toMatchObject({ compressionCount: 42, remaining: 458 })
+        expect(readFileSync(usageStore, 'utf-8')).not.toContain('key1')
+      } finally {
+        rmSync(dir, { recursive: true, force: true })
+      }
+    })
+  })
+
+  describe('concurrent calls', () => {
+    it('should report the key each call used', async () => {
+      const counts = { key1: 10, key2: 20 }
+      const fetchMock = vi.fn().mockImplementation(async (url, init) => {
+        if (url.includes('/output/')) return new Response('tiny', { status: 200 })
+
+        // The call on key1 finishes last, after key2 was selected
+        const key = Buffer.from(init.headers.Authorization.slice(6), 'base64').toString().slice(4)
+        await new Promise(resolve => setTimeout(resolve, key === 'key1' ? 30 : 5))
+        return new Response('{}', {
+          status: 201,
+          headers: { Location: `http://localhost/output/${key}`, 'Compression-Count': String(++counts[key]) },
+        })
+      })
+      const compressor = new TinyPNGCompressor({ apiKey: ['key1', 'key2'], fetch: fetchMock })
+      const successes = []
+      compressor.on('success', data => successes.push(data))
+
+      const results = await Promise.all([
+        compressor.compressDetailed(Buffer.from('first')),
+        compressor.compressDetailed(Buffer.from('second')),
+      ])
+
+      expect(
+        results.map(({ keyIndex, label, compressionCount, outputUrl }) => [
+          keyIndex,
+          label,
+          compressionCount,
+          outputUrl,
+        ])
+      ).toEqual([
+        [0, 'Key 1', 11, 'http://localhost/output/key1'],
+        [1, 'Key 2', 21, 'http://localhost/output/key2'],
+      ])
+      expect(successes.map(data => [data.keyIndex, data.label]).sort()).toEqual([
+        [0, 'Key 1'],
+        [1, 'Key 2'],
+      ])
+    })
+  })
+
+  describe('reservations', () => {
+    it('should reserve both compressions of a call with output options', async () => {
+      const fetchMock = vi.fn().mockImplementation(async url => {
+        if (url.includes('/output/')) {
+          return new Response('tiny', { status: 200, headers: { 'Compression-Count': '2' } })
+        }
+
+        return new Response('{}', {
+          status: 201,
+          headers: { Location: 'http://localhost/output/abc', 'Compression-Count': '1' },
+        })
+      })
+      const compressor = new TinyPNGCompressor({
+        apiKey: ['key1', 'key2'],
+        strategy: 'priority',
+        fetch: fetchMock,
+      })
+      const reserved = []
+      compressor.on('compressing', () => reserved.push(compressor.getStats().map(stat => stat.reserved)))
+
+      // One compression left on key 1: enough for a shrink, not for a shrink and a resize
+      compressor.keyManager.updateStats(0, 499)
+      const result = await compressor.compressDetailed(Buffer.from('png'), { resize: { width: 100 } })
+
+      expect(result).toMatchObject({ keyIndex: 1, compressionCount: 2 })
+      expect(reserved).toEqual([[0, 2]])
+      expect(compressor.getStats().map(stat => stat.reserved)).toEqual([0, 0])
+    })
+
+    it('should keep holding the output compression after a shrink without a count', async () => {
+      const reserved = []
+      const fetchMock = vi.fn().mockImplementation(async url => {
+        if (url.includes('/output/')) {
+          reserved.push(compressor.getStats()[0].reserved)
+          return new Response('tiny', { status: 200, headers: { 'Compression-Count': '2' } })
+        }
+
+        return new Response('{}', { status: 201, headers: { Location: 'http://localhost/output/abc' } })
+      })
+      const compressor = new TinyPNGCompressor({ apiKey: 'key1', fetch: fetchMock })
+
+      await compressor.compressDetailed(Buffer.from('png'), { resize: { width: 100 } })
+
+      expect(reserved).toEqual([1])
+      expect(compressor.getStats()[0]).toMatchObject({ compressionCount: 2, reserved: 0 })
+    })
+  })
+
+  describe('sharedLedger option', () => {
+    it('should coordinate key selection with compressors in other processes', () => {
+      const dir = mkdtempSync(join(tmpdir(), 'tinypng-ledger-'))
+      const sharedLedger = join(dir, 'usage.json')
+
+      try {
+        const first = new TinyPNGCompressor({ apiKey: ['key1', 'key2'], sharedLedger })
+        const second = new TinyPNGCompressor({ apiKey: ['key1', 'key2'], sharedLedger })
+
+        expect(first.keyManager.ledger).toBeInstanceOf(FileKeyLedger)
+        expect(first.keyManager.store).toBeNull()
+
+        first.keyManager.reserve(first.keyManager.selectBestKey().index)
+
+        expect(second.getStats().map(stat => stat.reserved)).toEqual([1, 0])
+        expect(second.keyManager.selectBestKey().index).toBe(1)
+      } finally {
+        rmSync(dir, { recursive: true, force: true })
+      }
+    })
+
+    it('should reject a ledger without update()', () => {
+      expect(() => new TinyPNGCompressor({ apiKey: 'key1', sharedLedger: {} })).toThrow(TypeError)
+    })
+  })
+
+  describe('monthly rollover', () => {
+    it('should re-enable keys over quota in a new month and emit monthlyReset', () => {
+      vi.useFakeTimers({ toFake: ['Date'] })
+      vi.setSystemTime(new Date('2026-10-31T23:00:00Z'))
+      const compressor = new TinyPNGCompressor({
+        apiKey: [{ key: 'key1', label: 'Team' }, 'key2'],
+        resetTimeZone: 'UTC',
+      })
+      const resets = []
+      compressor.on('monthlyReset', data => resets.push(data))
+      compressor.keyManager.updateStats(0, 500)
+
+      vi.setSystemTime(new Date('2026-11-01T01:00:00Z'))
+      const [first] = compressor.getStats()
+      vi.useRealTimers()
+
+      expect(first).toMatchObject({ disabled: false, compressionCount: null })
+      expect(resets).toEqual([
+        {
+          month: '2026-11',
+          keyIndexes: [0, 1],
+          labels: ['Team', 'Key 2'],
+          reenabledKeys: [0],
+          reenabledLabels: ['Team'],
+        },
+      ])
+    })
+  })
+
+  describe('per-key settings', () => {
+    it('should accept key objects and label events, stats and results', async () => {
+      const fetchMock = vi.fn().mockImplementation(async url => {
+        if (url.includes('/output/')) return new Response('tiny', { status: 200 })
+        return new Response('{}', {
+          status: 201,
+          headers: { Location: 'http://localhost/output/abc', 'Compression-Count': '1200' },
+        })
+      })
+      const compressor = new TinyPNGCompressor({
+        apiKey: { key: 'key1', label: 'Paid plan', paid: true },
+        fetch: fetchMock,
+      })
+      const events = []
+      compressor.on('compressing', data => events.push(data))
+      compressor.on('quotaUpdate', data => events.push(data))
+      compressor.on('success', data => events.push(data))
+
+      const result = await compressor.compressDetailed(Buffer.from('image'))
+
+      expect(result.label).toBe('Paid plan')
+      expect(events).toHaveLength(3)
+      expect(events.every(data => data.label === 'Paid plan')).toBe(true)
+      expect(compressor.getStats()[0]).toMatchObject({ label: 'Paid plan', paid: true, disabled: false })
+    })
+
+    it('should list key labels in the init event', () => {
+      const emit = vi.spyOn(EventEmitter.prototype, 'emit')
+      new TinyPNGCompressor({ apiKey: [{ key: 'key1', label: 'Team' }, 'key2'] })
+
+      expect(emit).toHaveBeenCalledWith('init', { totalKeys: 2, keysConfigured: ['Team', 'Key 2'] })
+      emit.mockRestore()
+    })
+  })
+
+  describe('spend tracking', () => {
+    it('should refuse work over maxSpend with BudgetExceededError before any request', async () => {
+      const fetchMock = vi.fn()
+      const compressor = new TinyPNGCompressor({
+        apiKey: { key: 'key1', paid: true },
+        fetch: fetchMock,
+        maxSpend: 0,
+        locale: 'en',
+      })
+      compressor.keyManager.updateStats(0, 800)
+
+      const error = await compressor.compress(Buffer.from('image')).catch(e => e)
+
+      expect(error).toBeInstanceOf(BudgetExceededError)
+      expect(error).toMatchObject({ maxSpend: 0, spent: 0.009 })
+      expect(fetchMock).not.toHaveBeenCalled()
+    })
+
+    it('should report estimated spend in the summary', () => {
+      const compressor = new TinyPNGCompressor({
+        apiKey: [{ key: 'key1', paid: true }, 'key2'],
+        pricing: [{ upTo: 500, price: 0 }, { price: 0.01 }],
+        maxSpend: 10,
+      })
+      compressor.keyManager.updateStats(0, 700)
+
+      expect(compressor.getSummary()).toMatchObject({ totalSpend: 2, runSpend: 0.01, maxSpend: 10 })
+    })
+  })
+
+  describe('quota reservations', () => {
+    // Counts per key go up with every shrink request, answered only after all requests were sent
+    const createCountingFetch = counts =>
+      vi.fn().mockImplementation(async (url, init) => {
+        if (url.includes('/output/')) return new Response('tiny', { status: 200 })
+
+        const key = Buffer.from(init.headers.Authorization.slice(6), 'base64').toString().slice(4)
+        counts[key]++
+        await new Promise(resolve => setTimeout(resolve, 10))
+        return new Response('{}', {
+          status: 201,
+          headers: { Location: 'http://localhost/output/abc', 'Compression-Count': String(counts[key]) },
+        })
+      })
+
+    it('should spread concurrent compressions across keys near their limit', async () => {
+      const counts = { key1: 498, key2: 499 }
+      const compressor = new TinyPNGCompressor({
+        apiKey: ['key1', 'key2'],
+        fetch: createCountingFetch(counts),
+      })
+      compressor.keyManager.updateStats(0, 498)
+      compressor.keyManager.updateStats(1, 499)
+
+      const results = await Promise.allSettled(
+        Array.from({ length: 4 }, () => compressor.compress(Buffer.from('image')))
+      )
+
+      expect(results.map(result => result.status)).toEqual([
+        'fulfilled',
+        'fulfilled',
+        'fulfilled',
+        'rejected',
+      ])
+      expect(results[3].reason).toBeInstanceOf(QuotaExhaustedError)
+      expect(counts).toEqual({ key1: 500, key2: 500 })
+      expect(compressor.getStats().map(stat => stat.reserved)).toEqual([0, 0])
+    })
+
+    it('should release the reservation of a failed request', async () => {
+      const fetchMock = vi
+        .fn()
+        .mockResolvedValue(new Response('{"error":"UnsupportedFile"}', { status: 415 }))
+      const compressor = new TinyPNGCompressor({ apiKey: 'key1', fetch: fetchMock })
+
+      await expect(compressor.compress(Buffer.from('text'))).rejects.toBeInstanceOf(ClientError)
+      expect(compressor.getStats()[0].reserved).toBe(0)
+    })
+  })
+
+  describe('typed errors', () => {
+    const reject = (status, body) => vi.fn().mockResolvedValue(new Response(body, { status }))
+
+    it('should reject an invalid image with ClientError without retrying, even without error listeners', async () => {
+      const fetchMock = reject(415, '{"error":"UnsupportedFile","message":"File type is not supported"}')
+      const compressor = new TinyPNGCompressor({ apiKey: ['key1', 'key2'], fetch: fetchMock })
+
+      const error = await compressor.compress(Buffer.from('text')).catch(e => e)
+
+      expect(error).toBeInstanceOf(ClientError)
+      expect(error).toMatchObject({ status: 415, errorType: 'UnsupportedFile', keyIndex: 0 })
+      expect(fetchMock).toHaveBeenCalledTimes(1)
+    })
+
+    it('should reject with QuotaExhaustedError once every key is rejected', async () => {
+      const fetchMock = reject(401, '{"error":"Unauthorized","message":"Credentials are invalid"}')
+      const compressor = new TinyPNGCompressor({ apiKey: ['key1', 'key2'], fetch: fetchMock })
+
+      const error = await compressor.compress(Buffer.from('image')).catch(e => e)
+
+      expect(error).toBeInstanceOf(QuotaExhaustedError)
+      expect(error.cause).toBeInstanceOf(AccountError)
+      expect(error.cause).toMatchObject({ status: 401, keyIndex: 1 })
+      expect(fetchMock).toHaveBeenCalledTimes(2)
+    })
+
+    it('should reject with QuotaExhaustedError when the pool is already empty', async () => {
+      const compressor = new TinyPNGCompressor({ apiKey: 'key1', fetch: vi.fn() })
+      compressor.keyManager.markKeyError(0, new Error('Unauthorized'))
+
+      await expect(compressor.compress(Buffer.from('image'))).rejects.toBeInstanceOf(QuotaExhaustedError)
+    })
+
+    it('should reject with ConnectionError when TinyPNG is unreachable', async () => {
+      const fetchMock = vi
+        .fn()
+        .mockRejectedValue(new TypeError('fetch failed', { cause: { code: 'ENOTFOUND' } }))
+      const compressor = new TinyPNGCompressor({ apiKey: 'key1', fetch: fetchMock })
+
+      const error = await compressor.compress(Buffer.from('image')).catch(e => e)
+
+      expect(error).toBeInstanceOf(ConnectionError)
+      expect(error).toMatchObject({ code: 'ENOTFOUND', keyIndex: 0 })
+    })
+  })
+
+  describe('locale option', () => {
+    const succeed = () =>
+      vi
+        .fn()
+        .mockImplementation(async url =>
+          url.endsWith('/shrink')
+            ? new Response('{"input":{"size":5}}', { status: 201, headers: { Location: '/output/abc' } })
+            : new Response('tiny', { status: 200 })
+        )
+
+    const collectProgress = compressor => {
+      const messages = []
+      compressor.on('progress', data => messages.push(data.message))
+      return messages
+    }
+
+    it('should default to Chinese messages', async () => {
+      const compressor = new TinyPNGCompressor({ apiKey: 'key1', fetch: succeed() })
+      const messages = collectProgress(compressor)
+
+      await compressor.compress(Buffer.from('image'))
+
+      expect(compressor.locale).toBe('zh')
+      expect(messages).toContain('上传完成')
+      expect(messages.at(-1)).toBe('压缩完成')
+      await expect(compressor.convert(Buffer.from('image'), {})).rejects.toThrow(
+        'convert() 需要指定目标格式 type'
+      )
+    })
+
+    it('should localise progress messages and errors in English', async () => {
+      const compressor = new TinyPNGCompressor({ apiKey: 'key1', fetch: succeed(), locale: 'en' })
+      const messages = collectProgress(compressor)
+
+      await compressor.compress(Buffer.from('image'), { resize: { method: 'scale', width: 10 } })
+
+      expect(messages).toContain('Upload complete')
+      expect(messages).toContain('Resize complete')
+      expect(messages.at(-1)).toBe('Compression complete')
+      await expect(compressor.convert(Buffer.from('image'), {})).rejects.toThrow(
+        'convert() requires a target format type'
+      )
+      await expect(compressor.compress(Buffer.from('image'), { preserve: 'gps' })).rejects.toThrow(
+        'Unsupported preserve field(s): gps'
+      )
+    })
+
+    it('should localise key pool and network errors in English', async () => {
+      const rejected = vi.fn().mockResolvedValue(new Response('{"error":"Unauthorized"}', { status: 401 }))
+      const compressor = new TinyPNGCompressor({ apiKey: 'key1', fetch: rejected, locale: 'en' })
+      const keyErrors = []
+      compressor.on('error', data => keyErrors.push(data.message))
+
+      const error = await compressor.compress(Buffer.from('image')).catch(e => e)
+
+      expect(error).toBeInstanceOf(QuotaExhaustedError)
+      expect(error.message).toMatch(/^No usable API keys left: /)
+      expect(keyErrors).toEqual(['Invalid API key'])
+
+      const offline = vi.fn().mockRejectedValue(new TypeError('fetch failed'))
+      const unreachable = new TinyPNGCompressor({ apiKey: 'key1', fetch: offline, locale: 'en' })
+      unreachable._delay = () => Promise.resolve()
+
+      const connectionError = await unreachable.compress(Buffer.from('image')).catch(e => e)
+
+      expect(connectionError.message).toBe('Cannot reach TinyPNG: fetch failed')
+    })
+
+    it('should reject an unsupported locale', () => {
+      expect(() => new TinyPNGCompressor({ apiKey: 'key1', locale: 'fr' })).toThrow(TypeError)
+    })
+  })
+
+  describe('signal and timeout options', () => {
+    // Never settles until the request signal aborts, like a hung connection
+    const hangingFetch = vi.fn().mockImplementation(
+      (url, init) =>
+        new Promise((resolve, reject) => {
+          init.signal?.addEventListener('abort', () => reject(init.signal.reason))
+        })
+    )
+
+    it('should reject with AbortError when the timeout elapses', async () => {
+      const compressor = new TinyPNGCompressor({ apiKey: 'test-key', fetch: hangingFetch })
+
+      const error = await compressor.compress(Buffer.from('image'), { timeout: 50 }).catch(e => e)
+
+      expect(error).toBeInstanceOf(AbortError)
+      expect(error.timeout).toBe(50)
+    })
+
+    it('should reject with AbortError when the signal aborts', async () => {
+      const compressor = new TinyPNGCompressor({ apiKey: 'test-key', fetch: hangingFetch })
+      const controller = new AbortController()
+
+      const promise = compressor.compress(Buffer.from('image'), { signal: controller.signal })
+      controller.abort()
+
+      await expect(promise).rejects.toBeInstanceOf(AbortError)
+    })
+
+    it('should cancel a pending retry delay', async () => {
+      const refused = Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNREFUSED' } })
+      const compressor = new TinyPNGCompressor({
+        apiKey: ['key1', 'key2'],
+        fetch: vi.fn().mockRejectedValue(refused),
+      })
+      const controller = new AbortController()
+      compressor.on('error', () => controller.abort())
+
+      const start = Date.now()
+      await expect(
+        compressor.compress(Buffer.from('image'), { signal: controller.signal })
+      ).rejects.toBeInstanceOf(AbortError)
+      expect(Date.now() - start).toBeLessThan(1000)
+    })
+
+    it('should not start when the signal is already aborted', async () => {
+      const fetchMock = vi.fn()
+      const compressor = new TinyPNGCompressor({ apiKey: 'test-key', fetch: fetchMock })
+
+      await expect(
+        compressor.compress(Buffer.from('image'), { signal: AbortSignal.abort() })
+      ).rejects.toBeInstanceOf(AbortError)
+      expect(fetchMock).not.toHaveBeenCalled()
+    })
+
+    it('should reject an invalid timeout', async () => {
+      const compressor = new TinyPNGCompressor({ apiKey: 'test-key' })
+
+      await expect(compressor.compress(Buffer.from('image'), { timeout: -1 })).rejects.toThrow(TypeError)
+    })
+  })
+
+  describe('stream sources', () => {
+    const refused = Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNRESET' } })
+
+    it('should upload the stream without buffering and report bytes sent', async () => {
+      const fetchMock = vi.fn().mockImplementation(async (url, init) => {
+        if (url.endsWith('/shrink')) {
+          expect(init.body).toBeInstanceOf(Readable)
+          for await (const chunk of init.body);
+          return new Response('{"input":{"size":5}}', { status: 201, headers: { Location: '/output/abc' } })
+        }
+        return new Response('tiny', { status: 200 })
+      })
+      const compressor = new TinyPNGCompressor({ apiKey: 'test-key', fetch: fetchMock, locale: 'en' })
+      const uploads = []
+      compressor.on(
+        'progress',
+        data => data.stage === 'uploading' && data.bytesUploaded && uploads.push(data)
+      )
+
+      const result = await compressor.compressDetailed(Readable.from([Buffer.from('image')]))
+
+      expect(uploads).toEqual([expect.objectContaining({ bytesUploaded: 5, totalBytes: null })])
+      expect(uploads[0].message).toBe('Uploading... (5 B)')
+      expect(result.input.size).toBe(5)
+    })
+
+    it('should say a stream that has been read cannot be re-sent for a retry', async () => {
+      const fetchMock = vi.fn().mockImplementation(async (url, init) => {
+        for await (const chunk of init.body);
+        throw refused
+      })
+      const compressor = new TinyPNGCompressor({ apiKey: ['key1', 'key2'], fetch: fetchMock })
+      compressor.on('error', () => {})
+
+      const error = await compressor.compress(Readable.from([Buffer.from('image')])).catch(e => e)
+
+      expect(fetchMock).toHaveBeenCalledOnce()
+      expect(error.message).toContain('无法重新发送')
+      expect(error.cause).toBeInstanceOf(ConnectionError)
+      expect(error.cause.cause).toBe(refused)
+    })
+  })
+
+  describe('streaming output', () => {
+    const createFetch = body =>
+      vi.fn().mockImplementation(async url => {
+        if (url.endsWith('/shrink')) {
+          return new Response('{}', { status: 201, headers: { Location: '/output/abc' } })
+        }
+        return new Response(body, {
+          status: 200,
+          headers: { 'Content-Type': 'image/png', 'Content-Length': '4' },
+        })
+      })
+
+    it('should pipe the image to a writable and still emit progress', async () => {
+      const compressor = new TinyPNGCompressor({ apiKey: 'test-key', fetch: createFetch('tiny') })
+      const stages = []
+      compressor.on('progress', ({ stage }) => stages.push(stage))
+
+      const chunks = []
+      const writable = new Writable({
+        write(chunk, encoding, callback) {
+          chunks.push(chunk)
+          callback()
+        },
+      })
+
+      const result = await compressor.compressToStream(Buffer.from('image'), writable)
+
+      expect(Buffer.concat(chunks).toString()).toBe('tiny')
+      expect(writable.writableFinished).toBe(true)
+      expect(result.buffer).toBeUndefined()
+      expect(result.output).toMatchObject({ size: 4, type: 'image/png' })
+      expect(stages.slice(-3)).toEqual(['downloading', 'downloading', 'complete'])
+    })
+
+    it('should write the image to a file', async () => {
+      const compressor = new TinyPNGCompressor({ apiKey: 'test-key', fetch: createFetch('tiny') })
+      const outputPath = join(OUTPUT_DIR, 'streamed.png')
+
+      const result = await compressor.compressToFile(Buffer.from('image'), outputPath)
+
+      expect(readFileSync(outputPath, 'utf-8')).toBe('tiny')
+      expect(result).toMatchObject({ outputPath, size: 4, savedPercent: '20.00' })
+    })
+
+    it('should not leave a partial file when the download fails', async () => {
+      const failingBody = new ReadableStream({
+        start(controller) {
+          controller.enqueue(new TextEncoder().encode('ti'))
+          controller.error(new Error('connection reset'))
+        },
+      })
+      const compressor = new TinyPNGCompressor({ apiKey: 'test-key', fetch: createFetch(failingBody) })
+      compressor.on('error', () => {})
+      const outputPath = join(OUTPUT_DIR, 'partial.png')
+
+      await expect(compressor.compressToFile(Buffer.from('image'), outputPath)).rejects.toThrow(
+        'connection reset'
+      )
+      expect(existsSync(outputPath)).toBe(false)
+      expect(existsSync(`${outputPath}.${process.pid}.tmp`)).toBe(false)
+    })
+  })
+
   describe('Event Emitter', () => {
     it('should emit events for different operations', () => {
       const compressor = new TinyPNGCompressor({
@@ -298,6 +1144,52 @@ describe.skipIf(!API_KEY || !existsSync(TEST_IMAGE))('TinyPNGCompressor - Integr
     }, 30000)
   })
 
+  describe('convert()', () => {
+    it('should convert image to WebP', async () => {
+      const compressor = new TinyPNGCompressor({
+        apiKey: API_KEY,
+      })
+
+      const result = await compressor.convert(TEST_IMAGE, { type: 'image/webp' })
+
+      expect(result.buffer).toBeInstanceOf(Buffer)
+      expect(result.buffer.length).toBeGreaterThan(0)
+      expect(result.type).toBe('image/webp')
+      expect(result.outputUrl).toMatch(/^https:\/\//)
+    }, 30000)
+
+    it('should accept a MIME type string shorthand', async () => {
+      const compressor = new TinyPNGCompressor({
+        apiKey: API_KEY,
+      })
+
+      const result = await compressor.convert(TEST_IMAGE, 'image/webp')
+
+      expect(result.type).toBe('image/webp')
+    }, 30000)
+  })
+
+  describe('compressDetailed()', () => {
+    it('should return buffer with size, type and dimension metadata', async () => {
+      const compressor = new TinyPNGCompressor({
+        apiKey: API_KEY,
+      })
+
+      const original = readFileSync(TEST_IMAGE)
+      const result = await compressor.compressDetailed(TEST_IMAGE)
+
+      expect(result.buffer).toBeInstanceOf(Buffer)
+      expect(result.input.size).toBe(original.length)
+      expect(result.input.type).toBe('image/png')
+      expect(result.output.size).toBe(result.buffer.length)
+      expect(result.output.width).toBeGreaterThan(0)
+      expect(result.output.height).toBeGreaterThan(0)
+      expect(result.ratio).toBeLessThan(1)
+      expect(result.keyIndex).toBe(0)
+      expect(result.outputUrl).toMatch(/^https:\/\//)
+    }, 30000)
+  })
+
   describe('compressToFile()', () => {
     it('should compress and save to file', async () => {
       const compressor = new TinyPNGCompressor({
@@ -0,0 +1,111 @@
+import { Locale } from './utils/i18n'
+
+/**
+ * Persisted usage of one API key
+ */
+export interface UsageEntry {
+  /** Compressions used this month (null if never reported) */
+  compressionCount: number | null
+  /** Timestamp of the last update from the API */
+  lastUpdated: number | null
+  /** Whether the key is disabled */
+  disabled: boolean
+  /** Why the key is disabled: 'quota' or 'invalid' */
+  disabledReason: 'quota' | 'invalid' | null
+  /** Message of the last error */
+  lastError: string | null
+  /** End of a throttling cooldown */
+  cooldownUntil: number | null
+  /** Month the count belongs to, as YYYY-MM */
+  month: string
+}
+
+/**
+ * Store for key usage, keyed by key hash; load() and save() are called synchronously
+ */
+export interface UsageStore {
+  /** Read all entries */
+  load(): Record<string, UsageEntry>
+  /** Write entries, keeping the ones for other keys */
+  save(entries: Record<string, UsageEntry>): void
+}
+
+/**
+ * Default location of the usage file (~/.tinypng/usage.json)
+ */
+export const DEFAULT_USAGE_PATH: string
+
+/**
+ * Identify an API key without storing it
+ * @param key - API key
+ * @returns SHA-256 hex digest of the key
+ */
+export function hashKey(key: string): string
+
+/**
+ * Usage store options
+ */
+export interface FileUsageStoreOptions {
+  /** Age in ms after which a lock is taken to be left behind by a process that died (default: 10000) */
+  staleAfter?: number
+}
+
+/**
+ * Key usage store backed by a JSON file, written under a lock file next to it
+ */
+export class FileUsageStore implements UsageStore {
+  /** Usage file path */
+  readonly path: string
+
+  /** Lock file path, the usage file path with .lock appended */
+  readonly lockPath: string
+
+  /** Age in ms after which a lock is broken */
+  readonly staleAfter: number
+
+  /** Token written into the lock file while this store holds the lock, otherwise null */
+  readonly token: string | null
+
+  /**
+   * @param path - Usage file path (default: ~/.tinypng/usage.json)
+   * @param options - Lock timing
+   */
+  constructor(path?: string, options?: FileUsageStoreOptions)
+
+  /**
+   * Read all entries; a missing or unreadable file counts as empty
+   * @returns Usage entries by key hash
+   */
+  load(): Record<string, UsageEntry>
+
+  /**
+   * Write entries under the lock, keeping those of other keys already in the file
+   * An entry keeps the reservations a ledger recorded for it, and a higher count of the same month
+   * @param entries - Usage entries by key hash
+   */
+  save(entries: Record<string, UsageEntry>): void
+
+  /**
+   * Take the lock, waiting while another process holds it
+   * The lock file holds a token of its owner; a lock older than staleAfter is broken. The wait blocks
+   * the thread, for up to staleAfter when a process died holding the lock
+   */
+  lock(): void
+
+  /**
+   * Release the lock, unless it was broken as stale and is held by another process now
+   */
+  unlock(): void
+}
+
+/**
+ * Resolve the usageStore option
+ * @param usageStore - Store, usage file path, true for the default file, or false
+ * @param locale - Message locale (default: zh)
+ * @returns Store, or null when usage is not persisted
+ * @throws {TypeError} If an object without load() and save() is given
+ */
+export function createUsageStore(
+  usageStore?: UsageStore | string | boolean,
+  locale?: Locale
+): UsageStore | null
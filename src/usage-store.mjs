@@ -0,0 +1,262 @@
+import { createHash, randomUUID } from 'node:crypto'
+import { mkdirSync, readFileSync, renameSync, rmSync, statSync, writeFileSync } from 'node:fs'
+import { homedir } from 'node:os'
+import { dirname, join } from 'node:path'
+import { TINYPNG_DEFAULT_LOCALE } from './constant.mjs'
+import { t } from './utils/i18n.mjs'
+
+/**
+ * Default location of the usage file
+ */
+export const DEFAULT_USAGE_PATH = join(homedir(), '.tinypng', 'usage.json')
+
+/**
+ * How long to wait between attempts to take the lock, in ms
+ */
+const LOCK_RETRY_DELAY = 5
+
+/**
+ * Block the thread for a moment; the usage file is read and written synchronously
+ * @private
+ * @param {number} ms - Milliseconds to wait
+ */
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms)
+}
+
+/**
+ * Identify an API key without storing it
+ * @param {string} key - API key
+ * @returns {string} SHA-256 hex digest of the key
+ */
+export function hashKey(key) {
+  return createHash('sha256').update(key).digest('hex')
+}
+
+/**
+ * Key usage store backed by a JSON file
+ * Keeps one entry per key hash, so several key sets can share the file. Writes are made under a
+ * lock, the same one a FileKeyLedger on the file takes, so runs with and without a ledger can use it
+ *
+ * Any object with the same load() and save() methods can be passed to KeyManager instead
+ */
+export class FileUsageStore {
+  /**
+   * @param {string} [path] - Usage file path (default: ~/.tinypng/usage.json)
+   * @param {Object} [options] - Store options
+   * @param {number} [options.staleAfter=10000] - Age in ms after which a lock is taken to be left behind
+   * by a process that died, and is broken
+   */
+  constructor(path = DEFAULT_USAGE_PATH, { staleAfter = 10000 } = {}) {
+    this.path = path
+    this.lockPath = `${path}.lock`
+    this.staleAfter = staleAfter
+    this.token = null
+  }
+
+  /**
+   * Read all entries
+   * A missing or unreadable file counts as empty, so it is rebuilt on the next save
+   * @returns {Object<string, Object>} Usage entries by key hash
+   */
+  load() {
+    try {
+      const data = JSON.parse(readFileSync(this.path, 'utf-8'))
+      return data && typeof data.keys === 'object' ? data.keys : {}
+    } catch {
+      return {}
+    }
+  }
+
+  /**
+   * Write entries, keeping those of other keys already in the file
+   * An entry keeps the reservations a ledger recorded for it, and a higher count of the same month
+   * @param {Object<string, Object>} entries - Usage entries by key hash
+   */
+  save(entries) {
+    this.lock()
+
+    try {
+      const keys = this.load()
+
+      for (const [hash, entry] of Object.entries(entries)) {
+        keys[hash] = mergeEntry(keys[hash], entry)
+      }
+
+      this._write(keys)
+    } finally {
+      this.unlock()
+    }
+  }
+
+  /**
+   * Take the lock, waiting while another process holds it
+   * The lock file holds a token of its owner (process id and a random part). A lock older than
+   * staleAfter is broken, so a crashed process can't block the others for good.
+   *
+   * The wait blocks the thread, like the synchronous reads and writes of the file. The lock is only
+   * held for one read and write, but one left by a process that died blocks for up to staleAfter
+   */
+  lock() {
+    mkdirSync(dirname(this.path), { recursive: true })
+    const token = `${process.pid}:${randomUUID()}`
+
+    for (;;) {
+      try {
+        writeFileSync(this.lockPath, token, { flag: 'wx', mode: 0o600 })
+        this.token = token
+        return
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error
+      }
+
+      if (this._isStale(this.lockPath)) {
+        // Checked again under the guard, where the lock can't be replaced, so a fresh one is never removed
+        this._guarded(() => {
+          if (this._isStale(this.lockPath)) rmSync(this.lockPath, { force: true })
+        })
+        continue
+      }
+
+      sleep(LOCK_RETRY_DELAY)
+    }
+  }
+
+  /**
+   * Release the lock, unless it was broken as stale and is held by another process now
+   */
+  unlock() {
+    const token = this.token
+    if (!token) return
+
+    this.token = null
+    this._guarded(() => {
+      if (readLockToken(this.lockPath) === token) rmSync(this.lockPath, { force: true })
+    })
+  }
+
+  /**
+   * Replace the file with the given entries
+   * The file is replaced in one rename, so readers never see it half written
+   * @private
+   * @param {Object<string, Object>} keys - All entries by key hash
+   */
+  _write(keys) {
+    const tempPath = `${this.path}.${process.pid}.tmp`
+
+    mkdirSync(dirname(this.path), { recursive: true })
+    writeFileSync(tempPath, JSON.stringify({ keys }, null, 2), { encoding: 'utf-8', mode: 0o600 })
+    renameSync(tempPath, this.path)
+  }
+
+  /**
+   * Check if a lock file was left behind by a process that died
+   * @private
+   * @param {string} path - Lock file path
+   * @returns {boolean} True if it is older than staleAfter, false if it is fresh or gone
+   */
+  _isStale(path) {
+    try {
+      return Date.now() - statSync(path).mtimeMs > this.staleAfter
+    } catch (error) {
+      if (error.code === 'ENOENT') return false
+      throw error
+    }
+  }
+
+  /**
+   * Run fn while holding the guard file, which every removal of the lock takes
+   * A lock file can only be created while it is missing, so under the guard the lock seen is the one
+   * removed. The guard is held for a few file operations; one left by a process that died is removed
+   * once older than staleAfter
+   * @private
+   * @param {Function} fn - Checks and removes the lock
+   */
+  _guarded(fn) {
+    const guardPath = `${this.lockPath}.guard`
+
+    for (;;) {
+      try {
+        writeFileSync(guardPath, '', { flag: 'wx', mode: 0o600 })
+        break
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error
+      }
+
+      if (this._isStale(guardPath)) {
+        rmSync(guardPath, { force: true })
+      } else {
+        sleep(LOCK_RETRY_DELAY)
+      }
+    }
+
+    try {
+      fn()
+    } finally {
+      rmSync(guardPath, { force: true })
+    }
+  }
+}
+
+/**
+ * Read the token of a lock file
+ * @private
+ * @param {string} path - Lock file path
+ * @returns {string|null} Token, or null if there is no lock
+ */
+function readLockToken(path) {
+  try {
+    return readFileSync(path, 'utf-8')
+  } catch (error) {
+    if (error.code === 'ENOENT') return null
+    throw error
+  }
+}
+
+/**
+ * Merge an entry to save with the one in the file
+ * TinyPNG's count only goes up within a month, so a lower count is out of date
+ * @private
+ * @param {Object} [current] - Entry in the file
+ * @param {Object} entry - Entry to save
+ * @returns {Object} Entry to write
+ */
+function mergeEntry(current, entry) {
+  if (!current) return entry
+
+  const merged = { ...entry }
+
+  if (!entry.reservations && current.reservations) {
+    merged.reservations = current.reservations
+  }
+
+  // A count cleared by reset() is written as it is
+  const stale =
+    typeof entry.compressionCount === 'number' && current.compressionCount > entry.compressionCount
+
+  if (stale && current.month === entry.month) {
+    merged.compressionCount = current.compressionCount
+  }
+
+  return merged
+}
+
+/**
+ * Resolve the usageStore option
+ * @param {Object|string|boolean} [usageStore] - Store with load() and save(), a usage file path,
+ * true for ~/.tinypng/usage.json, or false to keep usage in memory only
+ * @param {string} [locale='zh'] - Message locale (en, zh)
+ * @returns {Object|null} Store, or null when usage is not persisted
+ * @throws {TypeError} If an object without load() and save() is given
+ */
+export function createUsageStore(usageStore, locale = TINYPNG_DEFAULT_LOCALE) {
+  if (!usageStore) return null
+  if (usageStore === true) return new FileUsageStore()
+  if (typeof usageStore === 'string') return new FileUsageStore(usageStore)
+
+  if (typeof usageStore.load !== 'function' || typeof usageStore.save !== 'function') {
+    throw new TypeError(t(locale, 'invalidUsageStore'))
+  }
+
+  return usageStore
+}
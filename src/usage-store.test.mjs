@@ -0,0 +1,135 @@
+/**
+ * Vitest tests for usage-store.mjs
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { existsSync, mkdtempSync, readFileSync, writeFileSync, rmSync, statSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { FileUsageStore, createUsageStore, hashKey, DEFAULT_USAGE_PATH } from './usage-store.mjs'
+
+const entry = { compressionCount: 12, lastUpdated: 1, disabled: false, lastError: null, cooldownUntil: null }
+
+describe('usage-store', () => {
+  let dir
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'tinypng-usage-'))
+  })
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  describe('hashKey()', () => {
+    it('should return a SHA-256 hex digest', () => {
+      expect(hashKey('key1')).toMatch(/^[0-9a-f]{64}$/)
+      expect(hashKey('key1')).toBe(hashKey('key1'))
+      expect(hashKey('key1')).not.toBe(hashKey('key2'))
+    })
+  })
+
+  describe('FileUsageStore', () => {
+    it('should default to ~/.tinypng/usage.json', () => {
+      expect(new FileUsageStore().path).toBe(DEFAULT_USAGE_PATH)
+      expect(DEFAULT_USAGE_PATH).toMatch(/\.tinypng[/\\]usage\.json$/)
+    })
+
+    it('should load nothing from a missing file', () => {
+      expect(new FileUsageStore(join(dir, 'usage.json')).load()).toEqual({})
+    })
+
+    it('should load nothing from a corrupt file', () => {
+      const path = join(dir, 'usage.json')
+      writeFileSync(path, '{not json')
+
+      expect(new FileUsageStore(path).load()).toEqual({})
+    })
+
+    it('should save entries and create the directory', () => {
+      const store = new FileUsageStore(join(dir, 'nested', 'usage.json'))
+
+      store.save({ abc: entry })
+
+      expect(store.load()).toEqual({ abc: entry })
+    })
+
+    it('should keep entries of other keys', () => {
+      const store = new FileUsageStore(join(dir, 'usage.json'))
+
+      store.save({ abc: entry })
+      store.save({ def: { ...entry, disabled: true } })
+
+      expect(Object.keys(store.load())).toEqual(['abc', 'def'])
+    })
+
+    it('should save under the lock and release it', () => {
+      const store = new FileUsageStore(join(dir, 'usage.json'))
+
+      store.save({ abc: entry })
+
+      expect(store.lockPath).toBe(join(dir, 'usage.json.lock'))
+      expect(existsSync(store.lockPath)).toBe(false)
+      expect(store.token).toBeNull()
+    })
+
+    it('should keep the reservations recorded by a ledger', () => {
+      const store = new FileUsageStore(join(dir, 'usage.json'))
+      const reservations = { 'a:1': Date.now() }
+
+      store.save({ abc: { ...entry, month: '2026-10', reservations } })
+      store.save({ abc: { ...entry, month: '2026-10', compressionCount: 13 } })
+
+      expect(store.load().abc).toEqual({ ...entry, month: '2026-10', compressionCount: 13, reservations })
+    })
+
+    it('should keep a higher count of the same month', () => {
+      const store = new FileUsageStore(join(dir, 'usage.json'))
+
+      store.save({ abc: { ...entry, month: '2026-10', compressionCount: 20 } })
+      store.save({ abc: { ...entry, month: '2026-10', compressionCount: 15, disabled: true } })
+      expect(store.load().abc).toMatchObject({ compressionCount: 20, disabled: true })
+
+      store.save({ abc: { ...entry, month: '2026-11', compressionCount: 3 } })
+      store.save({ abc: { ...entry, month: '2026-11', compressionCount: null } })
+      expect(store.load().abc.compressionCount).toBeNull()
+    })
+
+    it('should write the file readable by the owner only', () => {
+      const path = join(dir, 'usage.json')
+      new FileUsageStore(path).save({ abc: entry })
+
+      if (process.platform !== 'win32') {
+        expect(statSync(path).mode & 0o777).toBe(0o600)
+      }
+      expect(JSON.parse(readFileSync(path, 'utf-8'))).toEqual({ keys: { abc: entry } })
+    })
+  })
+
+  describe('createUsageStore()', () => {
+    it('should keep usage in memory when not set', () => {
+      expect(createUsageStore()).toBeNull()
+      expect(createUsageStore(false)).toBeNull()
+    })
+
+    it('should create a file store', () => {
+      expect(createUsageStore(true).path).toBe(DEFAULT_USAGE_PATH)
+      expect(createUsageStore(join(dir, 'usage.json')).path).toBe(join(dir, 'usage.json'))
+    })
+
+    it('should accept a custom store', () => {
+      const store = { load: () => ({}), save: () => {} }
+      expect(createUsageStore(store)).toBe(store)
+    })
+
+    it('should reject an object without load() and save()', () => {
+      expect(() => createUsageStore({ load: () => ({}) })).toThrow(TypeError)
+      expect(() => createUsageStore({ load: () => ({}) }, 'en')).toThrow(
+        'usageStore must have load() and save() methods'
+      )
+      expect(() => createUsageStore({ load: () => ({}) }, 'zh')).toThrow(
+        'usageStore 必须有 load() 和 save() 方法'
+      )
+    })
+  })
+})
@@ -0,0 +1,24 @@
+import { AbortError } from '../errors'
+import { Locale } from './i18n'
+
+/**
+ * Create one signal that aborts when the caller's signal aborts or the timeout elapses
+ * @param signal - Caller's abort signal
+ * @param timeout - Timeout in milliseconds for the whole operation
+ * @param locale - Message locale (default: zh)
+ * @returns Combined signal and a function to release the timer and listener
+ * @throws {TypeError} If timeout is not a positive number
+ */
+export function createOperationSignal(
+  signal?: AbortSignal,
+  timeout?: number,
+  locale?: Locale
+): { signal: AbortSignal | undefined; cleanup: () => void }
+
+/**
+ * Convert the reason of an aborted signal to an AbortError
+ * @param signal - Aborted signal
+ * @param locale - Message locale (default: zh)
+ * @returns The reason itself if it already is an AbortError
+ */
+export function toAbortError(signal: AbortSignal, locale?: Locale): AbortError
@@ -0,0 +1,72 @@
+/**
+ * Cancellation utilities
+ * Combines caller signals and timeouts without AbortSignal.any (not available on Node 18)
+ */
+
+import { AbortError } from '../errors.mjs'
+import { TINYPNG_DEFAULT_LOCALE } from '../constant.mjs'
+import { t } from './i18n.mjs'
+
+/**
+ * Create one signal that aborts when the caller's signal aborts or the timeout elapses
+ * @param {AbortSignal} [signal] - Caller's abort signal
+ * @param {number} [timeout] - Timeout in milliseconds for the whole operation
+ * @param {string} [locale='zh'] - Message locale (en, zh)
+ * @returns {{ signal: AbortSignal|undefined, cleanup: Function }} Combined signal and a function to release the timer and listener
+ * @throws {TypeError} If timeout is not a positive number
+ */
+export function createOperationSignal(signal, timeout, locale = TINYPNG_DEFAULT_LOCALE) {
+  if (timeout !== undefined && timeout !== null && !(Number.isFinite(timeout) && timeout > 0)) {
+    throw new TypeError(t(locale, 'invalidTimeout'))
+  }
+
+  if (!signal && !timeout) {
+    return { signal: undefined, cleanup: () => {} }
+  }
+
+  const controller = new AbortController()
+  const onAbort = () => controller.abort(signal.reason)
+  let timer = null
+
+  if (signal?.aborted) {
+    controller.abort(signal.reason)
+  } else if (signal) {
+    signal.addEventListener('abort', onAbort, { once: true })
+  }
+
+  if (timeout && !controller.signal.aborted) {
+    timer = setTimeout(
+      () => controller.abort(new AbortError(t(locale, 'operationTimedOutAfter', { timeout }), { timeout })),
+      timeout
+    )
+  }
+
+  return {
+    signal: controller.signal,
+    cleanup() {
+      clearTimeout(timer)
+      signal?.removeEventListener('abort', onAbort)
+    },
+  }
+}
+
+/**
+ * Convert the reason of an aborted signal to an AbortError
+ * @param {AbortSignal} signal - Aborted signal
+ * @param {string} [locale='zh'] - Message locale (en, zh)
+ * @returns {AbortError} The reason itself if it already is an AbortError
+ */
+export function toAbortError(signal, locale = TINYPNG_DEFAULT_LOCALE) {
+  const reason = signal.reason
+
+  if (reason instanceof AbortError) {
+    return reason
+  }
+
+  // e.g. AbortSignal.timeout() passed in by the caller
+  if (reason?.name === 'TimeoutError') {
+    return new AbortError(t(locale, 'operationTimedOut'), { cause: reason })
+  }
+
+  return new AbortError(t(locale, 'operationCancelled'), { cause: reason })
+}
@@ -0,0 +1,110 @@
+/**
+ * Unit tests for abort.mjs
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { createOperationSignal, toAbortError } from './abort.mjs'
+import { AbortError } from '../errors.mjs'
+
+describe('abort utils', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  describe('createOperationSignal()', () => {
+    it('should return no signal without signal or timeout', () => {
+      const { signal, cleanup } = createOperationSignal()
+
+      expect(signal).toBeUndefined()
+      expect(() => cleanup()).not.toThrow()
+    })
+
+    it('should reject invalid timeouts', () => {
+      expect(() => createOperationSignal(undefined, -1)).toThrow(TypeError)
+      expect(() => createOperationSignal(undefined, NaN)).toThrow(TypeError)
+      expect(() => createOperationSignal(undefined, '100')).toThrow(TypeError)
+    })
+
+    it('should follow the caller signal', () => {
+      const controller = new AbortController()
+      const { signal } = createOperationSignal(controller.signal)
+
+      expect(signal.aborted).toBe(false)
+      controller.abort('stop')
+      expect(signal.aborted).toBe(true)
+      expect(signal.reason).toBe('stop')
+    })
+
+    it('should be aborted already if the caller signal is', () => {
+      const { signal } = createOperationSignal(AbortSignal.abort('early'))
+
+      expect(signal.aborted).toBe(true)
+      expect(signal.reason).toBe('early')
+    })
+
+    it('should abort with a timeout AbortError', () => {
+      vi.useFakeTimers()
+      const { signal } = createOperationSignal(undefined, 500)
+
+      vi.advanceTimersByTime(499)
+      expect(signal.aborted).toBe(false)
+      vi.advanceTimersByTime(1)
+      expect(signal.aborted).toBe(true)
+      expect(signal.reason).toBeInstanceOf(AbortError)
+      expect(signal.reason.timeout).toBe(500)
+    })
+
+    it('should word the timeout in the given locale', () => {
+      vi.useFakeTimers()
+      const { signal } = createOperationSignal(undefined, 500, 'en')
+
+      vi.advanceTimersByTime(500)
+      expect(signal.reason.message).toBe('Operation timed out (500ms)')
+      expect(() => createOperationSignal(undefined, -1, 'en')).toThrow(
+        'timeout must be a positive number of milliseconds'
+      )
+    })
+
+    it('should release the timer and listener on cleanup', () => {
+      vi.useFakeTimers()
+      const controller = new AbortController()
+      const { signal, cleanup } = createOperationSignal(controller.signal, 500)
+
+      cleanup()
+      vi.advanceTimersByTime(1000)
+      controller.abort()
+
+      expect(signal.aborted).toBe(false)
+    })
+  })
+
+  describe('toAbortError()', () => {
+    it('should return an AbortError reason as-is', () => {
+      const reason = new AbortError('操作超时（10ms）', { timeout: 10 })
+      expect(toAbortError(AbortSignal.abort(reason))).toBe(reason)
+    })
+
+    it('should wrap other reasons as cause', () => {
+      const error = toAbortError(AbortSignal.abort('user'))
+
+      expect(error).toBeInstanceOf(AbortError)
+      expect(error.message).toBe('操作已取消')
+      expect(error.cause).toBe('user')
+    })
+
+    it('should report TimeoutError reasons as timeouts', () => {
+      const reason = new DOMException('timed out', 'TimeoutError')
+      const error = toAbortError(AbortSignal.abort(reason))
+
+      expect(error.message).toBe('操作超时')
+      expect(error.cause).toBe(reason)
+    })
+
+    it('should use the given locale', () => {
+      expect(toAbortError(AbortSignal.abort('user'), 'en').message).toBe('Operation cancelled')
+      expect(toAbortError(AbortSignal.abort(new DOMException('', 'TimeoutError')), 'en').message).toBe(
+        'Operation timed out'
+      )
+    })
+  })
+})
@@ -2,12 +2,48 @@
  * Error handling utilities for TinyPNG API
  */
 
+import { TinyPNGError } from '../errors'
+import { Locale } from './i18n'
+
+/**
+ * Create the typed error for a failed API response
+ * @param details - Response details
+ * @returns AccountError for 401/429, ClientError for other 4xx, ServerError for 5xx
+ */
+export function createApiError(details: {
+  status: number
+  message: string
+  errorType?: string | null
+  compressionCount?: number | null
+  retryAfter?: number | null
+}): TinyPNGError
+
 /**
- * Check if error should trigger retry
+ * Check if error came from an API response (AccountError, ClientError or ServerError)
  * @param error - Error object
+ * @returns True if the API responded with an error status
+ */
+export function isApiError(error: unknown): boolean
+
+/**
+ * Check if a network error is worth retrying, e.g. a reset connection or DNS hiccup
+ * @param error - Error object; the code is read from a ConnectionError or error.cause
+ * @param codes - Retryable error codes (default: TINYPNG_RETRY_CODES)
  * @returns True if should retry
  */
-export function shouldRetryOnNetworkError(error: Error): boolean
+export function shouldRetryOnNetworkError(error: Error, codes?: Array<string | number>): boolean
+
+/**
+ * Check if a failed attempt may be retried under a retry policy
+ * @param error - Error object
+ * @param retryOn - HTTP statuses and network error codes, or a function deciding from the error
+ * (default: TINYPNG_RETRY_ON)
+ * @returns True if the error is retryable
+ */
+export function isRetryableError(
+  error: Error & { status?: number },
+  retryOn?: Array<string | number> | ((error: Error) => boolean)
+): boolean
 
 /**
  * Check if error is an unauthorized error (401)
@@ -23,6 +59,28 @@ export function isUnauthorizedError(error: Error & { status?: number }): boolean
  */
 export function isRateLimitError(error: Error & { status?: number }): boolean
 
+/**
+ * Check if error is a short-term throttle (429 with Retry-After)
+ * @param error - Error object with status and retryAfter properties
+ * @returns True if the key can be used again after retryAfter
+ */
+export function isThrottledError(error: Error & { status?: number; retryAfter?: number | null }): boolean
+
+/**
+ * Check if error means the key's monthly quota is used up (429 without Retry-After)
+ * @param error - Error object with status and retryAfter properties
+ * @returns True if the key can't be used again this month
+ */
+export function isQuotaExhaustedError(error: Error & { status?: number; retryAfter?: number | null }): boolean
+
+/**
+ * Parse a Retry-After header value
+ * @param value - Delay in seconds or an HTTP date
+ * @param now - Current time, for HTTP dates
+ * @returns Delay in milliseconds, or null if missing or invalid
+ */
+export function parseRetryAfter(value: string | null, now?: number): number | null
+
 /**
  * Check if error is a client error (400, 415)
  * @param error - Error object with status property
@@ -38,29 +96,41 @@ export function isClientError(error: Error & { status?: number }): boolean
 export function isServerError(error: Error & { status?: number }): boolean
 
 /**
- * Get error type from error status
- * @param error - Error object with status property
- * @returns Error type (account, client, server, unknown)
+ * Get error type from error class, or status for untyped errors
+ * @param error - Error object
+ * @returns Error type (account, client, server, connection, unknown)
  */
-export function getErrorType(error: Error & { status?: number }): string
+export function getErrorType(error: Error & { status?: number | null }): string
 
 /**
  * Get user-friendly error message
  * @param error - Error object with status property
- * @returns User-friendly message in Chinese
+ * @param locale - Message locale (default: zh)
+ * @returns User-friendly message
  */
-export function getErrorMessage(error: Error & { status?: number; statusText?: string }): string
+export function getErrorMessage(
+  error: Error & { status?: number | null; statusText?: string },
+  locale?: Locale
+): string
 
 /**
- * Check if error should mark key as errored
+ * Check if error should mark key as errored, disabling it until reset
+ * Throttled keys are not marked; they get a cooldown instead
  * @param error - Error object with status property
  * @returns True if key should be marked as errored
  */
 export function shouldMarkKeyError(error: Error & { status?: number }): boolean
 
 /**
- * Calculate retry delay with exponential backoff
- * @param attempt - Current attempt number (0-based)
+ * Calculate retry delay with exponential backoff and jitter
+ * minDelay × factor^attempt, capped at maxDelay, then shortened by a random share of up to `jitter`
+ * @param attempt - Current retry number (0-based)
+ * @param policy - Backoff options (default: TINYPNG_RETRY_DEFAULTS)
+ * @param random - Random number source in [0, 1) (default: Math.random)
  * @returns Delay in milliseconds
  */
-export function calculateRetryDelay(attempt: number): number
+export function calculateRetryDelay(
+  attempt: number,
+  policy?: { minDelay?: number; maxDelay?: number; factor?: number; jitter?: number },
+  random?: () => number
+): number
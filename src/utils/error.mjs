@@ -2,13 +2,79 @@
  * Error handling utilities for TinyPNG API
  */
 
+import {
+  TINYPNG_DEFAULT_LOCALE,
+  TINYPNG_RETRY_CODES,
+  TINYPNG_RETRY_ON,
+  TINYPNG_RETRY_DEFAULTS,
+} from '../constant.mjs'
+import { TinyPNGError, AccountError, ClientError, ServerError, ConnectionError } from '../errors.mjs'
+import { t } from './i18n.mjs'
+
 /**
- * Check if error should trigger retry
+ * Create the typed error for a failed API response
+ * @param {Object} details - Response details
+ * @param {number} details.status - HTTP status
+ * @param {string} details.message - Message from the API, or a generic one
+ * @param {string|null} [details.errorType] - Error type reported by the API
+ * @param {number|null} [details.compressionCount] - Compression-Count header, if sent
+ * @param {number|null} [details.retryAfter] - Retry-After in milliseconds, if sent
+ * @returns {TinyPNGError} AccountError for 401/429, ClientError for other 4xx, ServerError for 5xx
+ */
+export function createApiError({
+  status,
+  message,
+  errorType = null,
+  compressionCount = null,
+  retryAfter = null,
+}) {
+  const options = { status, errorType, compressionCount }
+
+  if (status === 401 || status === 429) {
+    return new AccountError(message, { ...options, retryAfter })
+  }
+  if (status >= 400 && status < 500) {
+    return new ClientError(message, options)
+  }
+  if (status >= 500) {
+    return new ServerError(message, options)
+  }
+  return new TinyPNGError(message, options)
+}
+
+/**
+ * Check if error came from an API response (AccountError, ClientError or ServerError)
  * @param {Error} error - Error object
+ * @returns {boolean} True if the API responded with an error status
+ */
+export function isApiError(error) {
+  return error instanceof AccountError || error instanceof ClientError || error instanceof ServerError
+}
+
+/**
+ * Check if a network error is worth retrying, e.g. a reset connection or DNS hiccup
+ * @param {Error} error - Error object; the code is read from a ConnectionError or error.cause
+ * @param {Array<string|number>} [codes] - Retryable error codes (default: TINYPNG_RETRY_CODES)
  * @returns {boolean} True if should retry
  */
-export function shouldRetryOnNetworkError(error) {
-  return error.cause?.code === 'ECONNREFUSED' || error.cause?.code === 'ETIMEDOUT'
+export function shouldRetryOnNetworkError(error, codes = TINYPNG_RETRY_CODES) {
+  const code = error instanceof ConnectionError ? error.code : error.cause?.code
+  return typeof code === 'string' && codes.includes(code)
+}
+
+/**
+ * Check if a failed attempt may be retried under a retry policy
+ * @param {Error} error - Error object
+ * @param {Array<string|number>|Function} [retryOn] - HTTP statuses and network error codes,
+ * or a function deciding from the error (default: TINYPNG_RETRY_ON)
+ * @returns {boolean} True if the error is retryable
+ */
+export function isRetryableError(error, retryOn = TINYPNG_RETRY_ON) {
+  if (typeof retryOn === 'function') {
+    return Boolean(retryOn(error))
+  }
+
+  return retryOn.includes(error.status) || shouldRetryOnNetworkError(error, retryOn)
 }
 
 /**
@@ -29,6 +95,41 @@ export function isRateLimitError(error) {
   return error.status === 429
 }
 
+/**
+ * Check if error is a short-term throttle (429 with Retry-After)
+ * @param {Error} error - Error object with status and retryAfter properties
+ * @returns {boolean} True if the key can be used again after retryAfter
+ */
+export function isThrottledError(error) {
+  return isRateLimitError(error) && error.retryAfter != null
+}
+
+/**
+ * Check if error means the key's monthly quota is used up (429 without Retry-After)
+ * @param {Error} error - Error object with status and retryAfter properties
+ * @returns {boolean} True if the key can't be used again this month
+ */
+export function isQuotaExhaustedError(error) {
+  return isRateLimitError(error) && error.retryAfter == null
+}
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|null} value - Delay in seconds or an HTTP date
+ * @param {number} [now=Date.now()] - Current time, for HTTP dates
+ * @returns {number|null} Delay in milliseconds, or null if missing or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null
+
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000
+  }
+
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? null : Math.max(0, date - now)
+}
+
 /**
  * Check if error is a client error (400, 415)
  * @param {Error} error - Error object with status property
@@ -48,58 +149,80 @@ export function isServerError(error) {
 }
 
 /**
- * Get error type from error status
- * @param {Error} error - Error object with status property
- * @returns {string} Error type (account, client, server, unknown)
+ * Get error type from error class, or status for untyped errors
+ * @param {Error} error - Error object
+ * @returns {string} Error type (account, client, server, connection, unknown)
  */
 export function getErrorType(error) {
-  if (isUnauthorizedError(error) || isRateLimitError(error)) {
+  if (error instanceof AccountError || isUnauthorizedError(error) || isRateLimitError(error)) {
     return 'account'
   }
-  if (isClientError(error)) {
+  if (error instanceof ClientError || isClientError(error)) {
     return 'client'
   }
-  if (isServerError(error)) {
+  if (error instanceof ServerError || isServerError(error)) {
     return 'server'
   }
+  if (error instanceof ConnectionError) {
+    return 'connection'
+  }
   return 'unknown'
 }
 
 /**
  * Get user-friendly error message
  * @param {Error} error - Error object with status property
- * @returns {string} User-friendly message in Chinese
+ * @param {string} [locale='zh'] - Message locale (en, zh)
+ * @returns {string} User-friendly message
  */
-export function getErrorMessage(error) {
+export function getErrorMessage(error, locale = TINYPNG_DEFAULT_LOCALE) {
   if (isUnauthorizedError(error)) {
-    return 'API Key 无效'
+    return t(locale, 'errorUnauthorized')
+  }
+  if (isThrottledError(error)) {
+    return t(locale, 'errorThrottled', { seconds: Math.ceil(error.retryAfter / 1000) })
   }
   if (isRateLimitError(error)) {
-    return 'API Key 已达到月度限制'
+    return t(locale, 'errorMonthlyLimit')
   }
   if (isClientError(error)) {
-    return '请求错误，请检查输入图片格式'
+    return t(locale, 'errorClient')
   }
   if (isServerError(error)) {
-    return 'TinyPNG 服务器错误，稍后重试'
+    return t(locale, 'errorServer')
   }
-  return `HTTP ${error.status}: ${error.statusText}`
+  if (error instanceof ConnectionError) {
+    return t(locale, 'errorConnection')
+  }
+  return `HTTP ${error.status}: ${error.statusText ?? error.message}`
 }
 
 /**
- * Check if error should mark key as errored
+ * Check if error should mark key as errored, disabling it until reset
+ * Throttled keys are not marked; they get a cooldown instead
  * @param {Error} error - Error object with status property
  * @returns {boolean} True if key should be marked as errored
  */
 export function shouldMarkKeyError(error) {
-  return isUnauthorizedError(error) || isRateLimitError(error)
+  return isUnauthorizedError(error) || isQuotaExhaustedError(error)
 }
 
 /**
- * Calculate retry delay with exponential backoff
- * @param {number} attempt - Current attempt number (0-based)
+ * Calculate retry delay with exponential backoff and jitter
+ * minDelay × factor^attempt, capped at maxDelay, then shortened by a random share of up to `jitter`
+ * so that parallel uploads don't retry in lockstep
+ * @param {number} attempt - Current retry number (0-based)
+ * @param {Object} [policy] - Backoff options (default: TINYPNG_RETRY_DEFAULTS)
+ * @param {number} [policy.minDelay] - Delay before the first retry in ms
+ * @param {number} [policy.maxDelay] - Upper bound in ms
+ * @param {number} [policy.factor] - Growth per retry
+ * @param {number} [policy.jitter] - Share of the delay (0-1) that is randomised
+ * @param {Function} [random=Math.random] - Random number source in [0, 1)
  * @returns {number} Delay in milliseconds
  */
-export function calculateRetryDelay(attempt) {
-  return 1000 * (attempt + 1)
+export function calculateRetryDelay(attempt, policy = {}, random = Math.random) {
+  const { minDelay, maxDelay, factor, jitter } = { ...TINYPNG_RETRY_DEFAULTS, ...policy }
+  const delay = Math.min(maxDelay, minDelay * factor ** attempt)
+
+  return Math.round(delay * (1 - jitter * random()))
 }
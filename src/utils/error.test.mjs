@@ -4,9 +4,23 @@
 
 import { describe, it, expect } from 'vitest'
 import {
+  TinyPNGError,
+  AccountError,
+  ClientError,
+  ServerError,
+  ConnectionError,
+  AbortError,
+} from '../errors.mjs'
+import {
+  createApiError,
+  isApiError,
   shouldRetryOnNetworkError,
+  isRetryableError,
   isUnauthorizedError,
   isRateLimitError,
+  isThrottledError,
+  isQuotaExhaustedError,
+  parseRetryAfter,
   isClientError,
   isServerError,
   getErrorType,
@@ -16,6 +30,59 @@ import {
 } from './error.mjs'
 
 describe('error utils', () => {
+  describe('createApiError()', () => {
+    it('should create AccountError for 401 and 429', () => {
+      const unauthorized = createApiError({
+        status: 401,
+        message: 'Credentials are invalid',
+        errorType: 'Unauthorized',
+      })
+      const throttled = createApiError({ status: 429, message: 'Too many requests', retryAfter: 5000 })
+
+      expect(unauthorized).toBeInstanceOf(AccountError)
+      expect(unauthorized).toMatchObject({
+        status: 401,
+        errorType: 'Unauthorized',
+        message: 'Credentials are invalid',
+      })
+      expect(throttled).toBeInstanceOf(AccountError)
+      expect(throttled.retryAfter).toBe(5000)
+    })
+
+    it('should create ClientError for other 4xx', () => {
+      expect(createApiError({ status: 400, message: 'Bad' })).toBeInstanceOf(ClientError)
+      expect(createApiError({ status: 415, message: 'Unsupported' })).toBeInstanceOf(ClientError)
+    })
+
+    it('should create ServerError for 5xx', () => {
+      const error = createApiError({ status: 503, message: 'Unavailable', compressionCount: 12 })
+
+      expect(error).toBeInstanceOf(ServerError)
+      expect(error.compressionCount).toBe(12)
+    })
+
+    it('should fall back to TinyPNGError for other statuses', () => {
+      const error = createApiError({ status: 302, message: 'Found' })
+
+      expect(error).toBeInstanceOf(TinyPNGError)
+      expect(error).not.toBeInstanceOf(ClientError)
+    })
+  })
+
+  describe('isApiError()', () => {
+    it('should return true for errors from API responses', () => {
+      expect(isApiError(new AccountError('x', { status: 401 }))).toBe(true)
+      expect(isApiError(new ClientError('x', { status: 400 }))).toBe(true)
+      expect(isApiError(new ServerError('x', { status: 500 }))).toBe(true)
+    })
+
+    it('should return false for other errors', () => {
+      expect(isApiError(new ConnectionError('x'))).toBe(false)
+      expect(isApiError(new AbortError())).toBe(false)
+      expect(isApiError(Object.assign(new Error('x'), { status: 400 }))).toBe(false)
+    })
+  })
+
   describe('shouldRetryOnNetworkError()', () => {
     it('should return true for ECONNREFUSED', () => {
       const error = {
@@ -31,12 +98,34 @@ describe('error utils', () => {
       expect(shouldRetryOnNetworkError(error)).toBe(true)
     })
 
+    it('should return true for dropped connections, DNS hiccups and undici socket errors', () => {
+      expect(shouldRetryOnNetworkError({ cause: { code: 'ECONNRESET' } })).toBe(true)
+      expect(shouldRetryOnNetworkError({ cause: { code: 'EAI_AGAIN' } })).toBe(true)
+      expect(shouldRetryOnNetworkError({ cause: { code: 'UND_ERR_SOCKET' } })).toBe(true)
+    })
+
     it('should return false for other error codes', () => {
       expect(shouldRetryOnNetworkError({ cause: { code: 'ENOTFOUND' } })).toBe(false)
-      expect(shouldRetryOnNetworkError({ cause: { code: 'ECONNRESET' } })).toBe(false)
       expect(shouldRetryOnNetworkError({ cause: { code: 'EHOSTUNREACH' } })).toBe(false)
     })
 
+    it('should use the given codes', () => {
+      expect(shouldRetryOnNetworkError({ cause: { code: 'ENOTFOUND' } }, ['ENOTFOUND'])).toBe(true)
+      expect(shouldRetryOnNetworkError({ cause: { code: 'ECONNRESET' } }, ['ENOTFOUND'])).toBe(false)
+    })
+
+    it('should use the code of a ConnectionError', () => {
+      const refused = new ConnectionError('unreachable', {
+        cause: new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } }),
+      })
+      const notFound = new ConnectionError('unreachable', {
+        cause: new TypeError('fetch failed', { cause: { code: 'ENOTFOUND' } }),
+      })
+
+      expect(shouldRetryOnNetworkError(refused)).toBe(true)
+      expect(shouldRetryOnNetworkError(notFound)).toBe(false)
+    })
+
     it('should return false when no cause', () => {
       expect(shouldRetryOnNetworkError({})).toBe(false)
       expect(shouldRetryOnNetworkError({ cause: {} })).toBe(false)
@@ -82,6 +171,45 @@ describe('error utils', () => {
     })
   })
 
+  describe('isThrottledError() / isQuotaExhaustedError()', () => {
+    it('should treat a 429 with Retry-After as throttling', () => {
+      const error = { status: 429, retryAfter: 30000 }
+      expect(isThrottledError(error)).toBe(true)
+      expect(isQuotaExhaustedError(error)).toBe(false)
+    })
+
+    it('should treat a 429 without Retry-After as monthly exhaustion', () => {
+      const error = { status: 429, retryAfter: null }
+      expect(isThrottledError(error)).toBe(false)
+      expect(isQuotaExhaustedError(error)).toBe(true)
+      expect(isQuotaExhaustedError({ status: 429 })).toBe(true)
+    })
+
+    it('should return false for other statuses', () => {
+      expect(isThrottledError({ status: 503, retryAfter: 1000 })).toBe(false)
+      expect(isQuotaExhaustedError({ status: 401 })).toBe(false)
+    })
+  })
+
+  describe('parseRetryAfter()', () => {
+    it('should parse delay in seconds', () => {
+      expect(parseRetryAfter('30')).toBe(30000)
+      expect(parseRetryAfter(' 0 ')).toBe(0)
+    })
+
+    it('should parse an HTTP date relative to now', () => {
+      const now = Date.parse('Wed, 21 Oct 2026 07:28:00 GMT')
+      expect(parseRetryAfter('Wed, 21 Oct 2026 07:28:45 GMT', now)).toBe(45000)
+      expect(parseRetryAfter('Wed, 21 Oct 2026 07:27:00 GMT', now)).toBe(0)
+    })
+
+    it('should return null for missing or invalid values', () => {
+      expect(parseRetryAfter(null)).toBeNull()
+      expect(parseRetryAfter('')).toBeNull()
+      expect(parseRetryAfter('soon')).toBeNull()
+    })
+  })
+
   describe('isClientError()', () => {
     it('should return true for 400 status', () => {
       expect(isClientError({ status: 400 })).toBe(true)
@@ -152,6 +280,14 @@ describe('error utils', () => {
       expect(getErrorType({})).toBe('unknown')
     })
 
+    it('should classify typed errors by class', () => {
+      expect(getErrorType(new AccountError('x', { status: 401 }))).toBe('account')
+      expect(getErrorType(new ClientError('x', { status: 404 }))).toBe('client')
+      expect(getErrorType(new ServerError('Location missing', { status: 201 }))).toBe('server')
+      expect(getErrorType(new ConnectionError('x'))).toBe('connection')
+      expect(getErrorType(new AbortError())).toBe('unknown')
+    })
+
     it('should prioritize account errors over others', () => {
       // 401 should be account, not unknown
       expect(getErrorType({ status: 401 })).toBe('account')
@@ -169,6 +305,15 @@ describe('error utils', () => {
       expect(getErrorMessage({ status: 429 })).toBe('API Key 已达到月度限制')
     })
 
+    it('should return Chinese message with cooldown for throttled error', () => {
+      expect(getErrorMessage({ status: 429, retryAfter: 30000 })).toBe(
+        'API Key 请求过于频繁，30 秒后可再次使用'
+      )
+      expect(getErrorMessage({ status: 429, retryAfter: 1500 })).toBe(
+        'API Key 请求过于频繁，2 秒后可再次使用'
+      )
+    })
+
     it('should return Chinese message for client errors', () => {
       expect(getErrorMessage({ status: 400 })).toBe('请求错误，请检查输入图片格式')
       expect(getErrorMessage({ status: 415 })).toBe('请求错误，请检查输入图片格式')
@@ -185,6 +330,25 @@ describe('error utils', () => {
       expect(getErrorMessage(error)).toBe('HTTP 404: Not Found')
     })
 
+    it('should return Chinese message for connection errors', () => {
+      expect(getErrorMessage(new ConnectionError('fetch failed'))).toBe(
+        '无法连接 TinyPNG，请检查网络或代理设置'
+      )
+    })
+
+    it('should return English messages for the en locale', () => {
+      expect(getErrorMessage({ status: 401 }, 'en')).toBe('Invalid API key')
+      expect(getErrorMessage({ status: 429, retryAfter: 30000 }, 'en')).toBe(
+        'API key is throttled, usable again in 30s'
+      )
+      expect(getErrorMessage({ status: 503 }, 'en')).toBe('TinyPNG server error, try again later')
+      expect(getErrorMessage({ status: 404, statusText: 'Not Found' }, 'en')).toBe('HTTP 404: Not Found')
+    })
+
+    it('should use the API message for typed errors without a specific message', () => {
+      expect(getErrorMessage(new ClientError('Not Found', { status: 404 }))).toBe('HTTP 404: Not Found')
+    })
+
     it('should handle errors without statusText', () => {
       const error = { status: 999 }
       const message = getErrorMessage(error)
@@ -210,6 +374,10 @@ describe('error utils', () => {
       expect(shouldMarkKeyError({ status: 429 })).toBe(true)
     })
 
+    it('should return false for throttled error', () => {
+      expect(shouldMarkKeyError({ status: 429, retryAfter: 30000 })).toBe(false)
+    })
+
     it('should return false for client errors', () => {
       expect(shouldMarkKeyError({ status: 400 })).toBe(false)
       expect(shouldMarkKeyError({ status: 415 })).toBe(false)
@@ -242,45 +410,67 @@ describe('error utils', () => {
     })
   })
 
-  describe('calculateRetryDelay()', () => {
-    it('should calculate retry delay with linear backoff', () => {
-      expect(calculateRetryDelay(0)).toBe(1000) // First retry: 1s
-      expect(calculateRetryDelay(1)).toBe(2000) // Second retry: 2s
-      expect(calculateRetryDelay(2)).toBe(3000) // Third retry: 3s
-      expect(calculateRetryDelay(3)).toBe(4000) // Fourth retry: 4s
+  describe('isRetryableError()', () => {
+    it('should retry gateway errors and dropped connections by default', () => {
+      expect(isRetryableError(new ServerError('Bad Gateway', { status: 502 }))).toBe(true)
+      expect(isRetryableError(new ServerError('Service Unavailable', { status: 503 }))).toBe(true)
+      expect(isRetryableError({ cause: { code: 'ECONNRESET' } })).toBe(true)
     })
 
-    it('should handle attempt 0', () => {
-      expect(calculateRetryDelay(0)).toBe(1000)
+    it('should not retry client errors or unknown failures by default', () => {
+      expect(isRetryableError(new ClientError('Unsupported', { status: 415 }))).toBe(false)
+      expect(isRetryableError(new ServerError('Not Implemented', { status: 501 }))).toBe(false)
+      expect(isRetryableError(new Error('boom'))).toBe(false)
     })
 
-    it('should increase delay with each attempt', () => {
-      for (let attempt = 0; attempt < 10; attempt++) {
-        const delay = calculateRetryDelay(attempt)
-        expect(delay).toBe(1000 * (attempt + 1))
+    it('should match statuses and codes from a custom list', () => {
+      expect(isRetryableError({ status: 500 }, [500])).toBe(true)
+      expect(isRetryableError({ status: 502 }, [500])).toBe(false)
+      expect(isRetryableError({ cause: { code: 'ENOTFOUND' } }, [500, 'ENOTFOUND'])).toBe(true)
+    })
 
-        if (attempt > 0) {
-          const prevDelay = calculateRetryDelay(attempt - 1)
-          expect(delay).toBeGreaterThan(prevDelay)
-        }
-      }
+    it('should ask a retryOn function', () => {
+      const error = new ClientError('Too big', { status: 413 })
+
+      expect(isRetryableError(error, e => e.status === 413)).toBe(true)
+      expect(isRetryableError(error, () => undefined)).toBe(false)
+    })
+  })
+
+  describe('calculateRetryDelay()', () => {
+    const noJitter = { jitter: 0 }
+
+    it('should back off exponentially from minDelay', () => {
+      expect(calculateRetryDelay(0, noJitter)).toBe(1000) // First retry: 1s
+      expect(calculateRetryDelay(1, noJitter)).toBe(2000) // Second retry: 2s
+      expect(calculateRetryDelay(2, noJitter)).toBe(4000) // Third retry: 4s
+      expect(calculateRetryDelay(3, noJitter)).toBe(8000) // Fourth retry: 8s
     })
 
-    it('should handle large attempt numbers', () => {
-      expect(calculateRetryDelay(10)).toBe(11000)
-      expect(calculateRetryDelay(100)).toBe(101000)
+    it('should cap the delay at maxDelay', () => {
+      expect(calculateRetryDelay(10, noJitter)).toBe(30000)
+      expect(calculateRetryDelay(3, { ...noJitter, maxDelay: 5000 })).toBe(5000)
     })
 
-    it('should always return positive values', () => {
-      for (let attempt = 0; attempt < 20; attempt++) {
-        expect(calculateRetryDelay(attempt)).toBeGreaterThan(0)
-      }
+    it('should use minDelay and factor from the policy', () => {
+      expect(calculateRetryDelay(0, { ...noJitter, minDelay: 200 })).toBe(200)
+      expect(calculateRetryDelay(2, { ...noJitter, minDelay: 200, factor: 3 })).toBe(1800)
+      expect(calculateRetryDelay(5, { ...noJitter, factor: 1 })).toBe(1000)
     })
 
-    it('should use milliseconds as unit', () => {
-      // All values should be multiples of 1000
+    it('should shorten the delay by up to the jitter share', () => {
+      expect(calculateRetryDelay(0, { jitter: 0.5 }, () => 0)).toBe(1000)
+      expect(calculateRetryDelay(0, { jitter: 0.5 }, () => 0.5)).toBe(750)
+      expect(calculateRetryDelay(0, { jitter: 1 }, () => 0.9)).toBe(100)
+    })
+
+    it('should stay within the jittered range by default', () => {
       for (let attempt = 0; attempt < 10; attempt++) {
-        expect(calculateRetryDelay(attempt) % 1000).toBe(0)
+        const delay = calculateRetryDelay(attempt)
+        const base = Math.min(30000, 1000 * 2 ** attempt)
+
+        expect(delay).toBeGreaterThan(base * 0.8 - 1)
+        expect(delay).toBeLessThanOrEqual(base)
       }
     })
   })
@@ -44,7 +44,7 @@ export function createCompressingEvent(
 
 /**
  * Create progress event data
- * @param stage - Current stage (uploading, compressed, resizing, downloading, complete)
+ * @param stage - Current stage (uploading, compressed, resizing, converting, transforming, preserving, downloading, complete)
  * @param progress - Progress value (0-1)
  * @param message - Progress message
  * @param extra - Additional data (bytesUploaded, totalBytes, etc.)
@@ -111,7 +111,7 @@ export function createSuccessEvent(
 
 /**
  * Create error event data
- * @param type - Error type (account, client, server, unknown)
+ * @param type - Error type (account, client, server, connection, unknown)
  * @param keyIndex - API key index
  * @param message - Error message
  * @param error - Error object
@@ -145,3 +145,46 @@ export function createKeyErrorEvent(
   keyIndex: number
   error: string
 }
+
+/**
+ * Create key cooldown event data
+ * @param keyIndex - API key index
+ * @param retryAfter - Cooldown in milliseconds
+ * @param errorMessage - Error message
+ * @returns Event data
+ */
+export function createKeyCooldownEvent(
+  keyIndex: number,
+  retryAfter: number,
+  errorMessage: string
+): {
+  keyIndex: number
+  retryAfter: number
+  error: string
+}
+
+/**
+ * Create retry event data
+ * @param attempt - Retry number, starting at 1
+ * @param attempts - Retries allowed by the retry policy
+ * @param reason - Why the request is retried
+ * @param delay - Wait before the retry in milliseconds
+ * @param keyIndex - Index of the key that failed
+ * @param errorMessage - Error message
+ * @returns Event data
+ */
+export function createRetryEvent(
+  attempt: number,
+  attempts: number,
+  reason: string,
+  delay: number,
+  keyIndex: number | null,
+  errorMessage: string
+): {
+  attempt: number
+  attempts: number
+  reason: string
+  delay: number
+  keyIndex: number | null
+  error: string
+}
@@ -38,7 +38,7 @@ export function createCompressingEvent(keyIndex, attempt, maxRetries, compressio
 
 /**
  * Create progress event data
- * @param {string} stage - Current stage (uploading, compressed, resizing, downloading, complete)
+ * @param {string} stage - Current stage (uploading, compressed, resizing, converting, transforming, preserving, downloading, complete)
  * @param {number} progress - Progress value (0-1)
  * @param {string} message - Progress message
  * @param {Object} [extra] - Additional data (bytesUploaded, totalBytes, etc.)
@@ -102,7 +102,7 @@ export function createSuccessEvent(
 
 /**
  * Create error event data
- * @param {string} type - Error type (account, client, server, unknown)
+ * @param {string} type - Error type (account, client, server, connection, unknown)
  * @param {number|null} keyIndex - API key index
  * @param {string} message - Error message
  * @param {Error} error - Error object
@@ -136,3 +136,39 @@ export function createKeyErrorEvent(keyIndex, errorMessage) {
     error: errorMessage,
   }
 }
+
+/**
+ * Create key cooldown event data
+ * @param {number} keyIndex - API key index
+ * @param {number} retryAfter - Cooldown in milliseconds
+ * @param {string} errorMessage - Error message
+ * @returns {Object} Event data
+ */
+export function createKeyCooldownEvent(keyIndex, retryAfter, errorMessage) {
+  return {
+    keyIndex,
+    retryAfter,
+    error: errorMessage,
+  }
+}
+
+/**
+ * Create retry event data
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {number} attempts - Retries allowed by the retry policy
+ * @param {string} reason - Why the request is retried (throttled, server, connection, client, unknown)
+ * @param {number} delay - Wait before the retry in milliseconds
+ * @param {number|null} keyIndex - Index of the key that failed
+ * @param {string} errorMessage - Error message
+ * @returns {Object} Event data
+ */
+export function createRetryEvent(attempt, attempts, reason, delay, keyIndex, errorMessage) {
+  return {
+    attempt,
+    attempts,
+    reason,
+    delay,
+    keyIndex,
+    error: errorMessage,
+  }
+}
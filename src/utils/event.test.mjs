@@ -11,6 +11,8 @@ import {
   createSuccessEvent,
   createErrorEvent,
   createKeyErrorEvent,
+  createKeyCooldownEvent,
+  createRetryEvent,
 } from './event.mjs'
 
 describe('event utils', () => {
@@ -279,12 +281,44 @@ describe('event utils', () => {
     })
   })
 
+  describe('createKeyCooldownEvent()', () => {
+    it('should create key cooldown event', () => {
+      const event = createKeyCooldownEvent(1, 30000, 'API Key 请求过于频繁，30 秒后可再次使用')
+
+      expect(event).toEqual({
+        keyIndex: 1,
+        retryAfter: 30000,
+        error: 'API Key 请求过于频繁，30 秒后可再次使用',
+      })
+    })
+  })
+
+  describe('createRetryEvent()', () => {
+    it('should create retry event', () => {
+      const event = createRetryEvent(1, 3, 'server', 1000, 0, 'TinyPNG 服务器错误，稍后重试')
+
+      expect(event).toEqual({
+        attempt: 1,
+        attempts: 3,
+        reason: 'server',
+        delay: 1000,
+        keyIndex: 0,
+        error: 'TinyPNG 服务器错误，稍后重试',
+      })
+    })
+
+    it('should allow a missing key index for connection failures', () => {
+      expect(createRetryEvent(2, 3, 'connection', 2000, null, 'fetch failed').keyIndex).toBeNull()
+    })
+  })
+
   describe('Event data consistency', () => {
     it('should always include keyIndex in key-related events', () => {
       expect(createCompressingEvent(0, 1, 3, 50, 500)).toHaveProperty('keyIndex')
       expect(createQuotaUpdateEvent(0, 100, 500)).toHaveProperty('keyIndex')
       expect(createSuccessEvent(0, 100, 60, '40', 'test.png', 100, 500)).toHaveProperty('keyIndex')
       expect(createKeyErrorEvent(0, 'Error')).toHaveProperty('keyIndex')
+      expect(createKeyCooldownEvent(0, 1000, 'Error')).toHaveProperty('keyIndex')
     })
 
     it('should include progress in progress events', () => {
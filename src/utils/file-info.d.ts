@@ -1,4 +1,5 @@
 import { Readable } from 'node:stream'
+import { Locale } from './i18n'
 
 /**
  * File information result
@@ -15,6 +16,7 @@ export interface FileInfo {
 /**
  * Get file information from various input types
  * @param file - File path or readable stream
+ * @param locale - Message locale (default: zh)
  * @returns File information
  */
-export function getFileInfo(file: string | Readable): FileInfo
+export function getFileInfo(file: string | Readable, locale?: Locale): FileInfo
@@ -1,16 +1,19 @@
 import { createReadStream, statSync } from 'node:fs'
 import { Readable } from 'node:stream'
 import { basename } from 'node:path'
+import { TINYPNG_DEFAULT_LOCALE } from '../constant.mjs'
+import { t } from './i18n.mjs'
 
 /**
  * Get file information from various input types
  * @param {string|Readable} file - File path or readable stream
+ * @param {string} [locale='zh'] - Message locale (en, zh)
  * @returns {Object} File information
  * @returns {Readable} return.stream - Readable stream
  * @returns {string} return.filename - Filename
  * @returns {number} return.totalSize - Total file size (NaN if unknown)
  */
-export function getFileInfo(file) {
+export function getFileInfo(file, locale = TINYPNG_DEFAULT_LOCALE) {
   let stream
   let filename
   let totalSize = NaN
@@ -46,7 +49,7 @@ export function getFileInfo(file) {
       }
     }
   } else {
-    throw new TypeError('只支持传入文件路径或Stream实例')
+    throw new TypeError(t(locale, 'invalidFileInfoSource'))
   }
 
   return { stream, filename, totalSize }
@@ -0,0 +1,38 @@
+import { Locale } from './i18n'
+
+/**
+ * Supported format names and their MIME types
+ */
+export const FORMAT_MIME_TYPES: Record<'png' | 'jpg' | 'jpeg' | 'webp' | 'avif', string>
+
+/**
+ * Wildcard MIME type that lets TinyPNG pick the smallest format
+ */
+export const SMALLEST_MIME_TYPE: '*/*'
+
+/**
+ * Parse a format argument into a TinyPNG convert type
+ * Accepts a single format ('webp'), a comma-separated list ('webp,avif') or 'smallest'
+ * @param format - Format argument
+ * @param locale - Message locale (default: zh)
+ * @returns MIME type, list of MIME types, or the smallest wildcard
+ * @throws {TypeError} If a format is not supported
+ */
+export function parseFormat(format: string, locale?: Locale): string | string[]
+
+/**
+ * Get file extension for a MIME type
+ * @param mimeType - MIME type (e.g. 'image/webp'), parameters are ignored
+ * @returns Extension with leading dot (e.g. '.webp'), or null if unknown
+ */
+export function getExtensionForMimeType(mimeType: string | null): string | null
+
+/**
+ * Get file extension for a converted image
+ * A single format keeps the extension it was given with when the image has its type; with smallest or
+ * a list of formats the extension comes from the type
+ * @param format - Format argument, e.g. 'jpeg', 'webp,avif' or 'smallest'
+ * @param mimeType - MIME type of the converted image
+ * @returns Extension with leading dot, or null if the type is unknown
+ */
+export function getExtensionForFormat(format: string, mimeType: string | null): string | null
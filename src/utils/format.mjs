@@ -0,0 +1,102 @@
+/**
+ * Image format utilities for mapping CLI format names, MIME types and file extensions
+ */
+
+import { TINYPNG_DEFAULT_LOCALE } from '../constant.mjs'
+import { t } from './i18n.mjs'
+
+/**
+ * Supported format names and their MIME types
+ */
+export const FORMAT_MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  avif: 'image/avif',
+}
+
+/**
+ * Wildcard MIME type that lets TinyPNG pick the smallest format
+ */
+export const SMALLEST_MIME_TYPE = '*/*'
+
+/**
+ * Parse a format argument into a TinyPNG convert type
+ * Accepts a single format ('webp'), a comma-separated list ('webp,avif') or 'smallest'
+ * @param {string} format - Format argument
+ * @param {string} [locale='zh'] - Message locale (en, zh)
+ * @returns {string|string[]} MIME type, list of MIME types, or the smallest wildcard
+ * @throws {TypeError} If a format is not supported
+ */
+export function parseFormat(format, locale = TINYPNG_DEFAULT_LOCALE) {
+  const names = String(format)
+    .split(',')
+    .map(name => name.trim().toLowerCase().replace(/^\./, ''))
+    .filter(name => name.length > 0)
+
+  if (names.length === 1 && names[0] === 'smallest') {
+    return SMALLEST_MIME_TYPE
+  }
+
+  const invalid = names.filter(name => !FORMAT_MIME_TYPES[name])
+
+  if (names.length === 0 || invalid.length > 0) {
+    throw new TypeError(t(locale, 'unsupportedFormat', { formats: invalid.join(', ') || format }))
+  }
+
+  const mimeTypes = [...new Set(names.map(name => FORMAT_MIME_TYPES[name]))]
+
+  return mimeTypes.length === 1 ? mimeTypes[0] : mimeTypes
+}
+
+/**
+ * Get file extension for a MIME type
+ * @param {string} mimeType - MIME type (e.g. 'image/webp'), parameters are ignored
+ * @returns {string|null} Extension with leading dot (e.g. '.webp'), or null if unknown
+ */
+export function getExtensionForMimeType(mimeType) {
+  const type = normalizeMimeType(mimeType)
+
+  if (type === 'image/jpeg') {
+    return '.jpg'
+  }
+
+  const name = Object.keys(FORMAT_MIME_TYPES).find(key => FORMAT_MIME_TYPES[key] === type)
+
+  return name ? `.${name}` : null
+}
+
+/**
+ * Get file extension for a converted image
+ * A single format keeps the extension it was given with (jpeg writes .jpeg, jpg writes .jpg) when the
+ * image has its type; with smallest or a list of formats the extension comes from the type
+ * @param {string} format - Format argument, e.g. 'jpeg', 'webp,avif' or 'smallest'
+ * @param {string} mimeType - MIME type of the converted image
+ * @returns {string|null} Extension with leading dot, or null if the type is unknown
+ */
+export function getExtensionForFormat(format, mimeType) {
+  const name = String(format || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^\./, '')
+
+  if (Object.hasOwn(FORMAT_MIME_TYPES, name) && FORMAT_MIME_TYPES[name] === normalizeMimeType(mimeType)) {
+    return `.${name}`
+  }
+
+  return getExtensionForMimeType(mimeType)
+}
+
+/**
+ * Normalize a MIME type for comparison
+ * @private
+ * @param {string} mimeType - MIME type, possibly with parameters
+ * @returns {string} Lower-case type without parameters
+ */
+function normalizeMimeType(mimeType) {
+  return String(mimeType || '')
+    .split(';')[0]
+    .trim()
+    .toLowerCase()
+}
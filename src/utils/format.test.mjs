@@ -0,0 +1,94 @@
+/**
+ * Unit tests for format.mjs
+ */
+
+import { describe, it, expect } from 'vitest'
+import { parseFormat, getExtensionForMimeType, getExtensionForFormat, SMALLEST_MIME_TYPE } from './format.mjs'
+
+describe('format utils', () => {
+  describe('parseFormat()', () => {
+    it('should map a single format to its MIME type', () => {
+      expect(parseFormat('webp')).toBe('image/webp')
+      expect(parseFormat('avif')).toBe('image/avif')
+      expect(parseFormat('png')).toBe('image/png')
+    })
+
+    it('should map both jpg and jpeg to image/jpeg', () => {
+      expect(parseFormat('jpg')).toBe('image/jpeg')
+      expect(parseFormat('jpeg')).toBe('image/jpeg')
+    })
+
+    it('should accept leading dots and mixed case', () => {
+      expect(parseFormat('.WebP')).toBe('image/webp')
+    })
+
+    it('should return the wildcard for smallest', () => {
+      expect(parseFormat('smallest')).toBe(SMALLEST_MIME_TYPE)
+      expect(parseFormat('Smallest')).toBe('*/*')
+    })
+
+    it('should return a list for comma-separated formats', () => {
+      expect(parseFormat('webp,avif')).toEqual(['image/webp', 'image/avif'])
+      expect(parseFormat('webp, avif, png')).toEqual(['image/webp', 'image/avif', 'image/png'])
+    })
+
+    it('should remove duplicate MIME types', () => {
+      expect(parseFormat('jpg,jpeg')).toBe('image/jpeg')
+      expect(parseFormat('jpg,jpeg,webp')).toEqual(['image/jpeg', 'image/webp'])
+    })
+
+    it('should throw TypeError for unsupported formats', () => {
+      expect(() => parseFormat('gif')).toThrow(TypeError)
+      expect(() => parseFormat('webp,bmp')).toThrow(/bmp/)
+      expect(() => parseFormat('')).toThrow(TypeError)
+      expect(() => parseFormat('webp,smallest')).toThrow(TypeError)
+    })
+
+    it('should report unsupported formats in the given locale', () => {
+      expect(() => parseFormat('gif')).toThrow('不支持的格式: gif')
+      expect(() => parseFormat('webp,bmp', 'en')).toThrow('Unsupported format: bmp')
+    })
+  })
+
+  describe('getExtensionForMimeType()', () => {
+    it('should return extension for known MIME types', () => {
+      expect(getExtensionForMimeType('image/png')).toBe('.png')
+      expect(getExtensionForMimeType('image/webp')).toBe('.webp')
+      expect(getExtensionForMimeType('image/avif')).toBe('.avif')
+    })
+
+    it('should use .jpg for image/jpeg', () => {
+      expect(getExtensionForMimeType('image/jpeg')).toBe('.jpg')
+    })
+
+    it('should ignore parameters and case', () => {
+      expect(getExtensionForMimeType('IMAGE/WEBP; charset=binary')).toBe('.webp')
+    })
+
+    it('should return null for unknown or missing types', () => {
+      expect(getExtensionForMimeType('application/json')).toBeNull()
+      expect(getExtensionForMimeType(null)).toBeNull()
+      expect(getExtensionForMimeType('')).toBeNull()
+    })
+  })
+
+  describe('getExtensionForFormat()', () => {
+    it('should keep the extension of a single format', () => {
+      expect(getExtensionForFormat('jpeg', 'image/jpeg')).toBe('.jpeg')
+      expect(getExtensionForFormat('JPG', 'image/jpeg')).toBe('.jpg')
+      expect(getExtensionForFormat('.webp', 'image/webp')).toBe('.webp')
+    })
+
+    it('should take the extension from the type for smallest and lists', () => {
+      expect(getExtensionForFormat('smallest', 'image/jpeg')).toBe('.jpg')
+      expect(getExtensionForFormat('jpeg,webp', 'image/jpeg')).toBe('.jpg')
+      expect(getExtensionForFormat('webp,avif', 'image/avif')).toBe('.avif')
+    })
+
+    it('should follow the type when it is not the one asked for', () => {
+      expect(getExtensionForFormat('jpeg', 'image/png')).toBe('.png')
+      expect(getExtensionForFormat('toString', 'image/png')).toBe('.png')
+      expect(getExtensionForFormat('jpeg', 'application/json')).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,28 @@
+/**
+ * Supported message locales
+ */
+export type Locale = 'en' | 'zh'
+
+/**
+ * Validate a locale option
+ * @param locale - 'en' or 'zh'
+ * @returns The locale, or the default (zh) when not given
+ * @throws {TypeError} If the locale is not supported
+ */
+export function resolveLocale(locale?: Locale | null): Locale
+
+/**
+ * Pick a locale from the environment, as the CLI does
+ * @param env - Environment variables (default: process.env)
+ * @returns 'zh' for Chinese LC_ALL/LC_MESSAGES/LANG, otherwise 'en'
+ */
+export function detectLocale(env?: Record<string, string | undefined>): Locale
+
+/**
+ * Look up a message
+ * @param locale - 'en' or 'zh'
+ * @param key - Message key
+ * @param params - Values for {name} placeholders
+ * @returns Localised message, or the key itself if unknown
+ */
+export function t(locale: Locale, key: string, params?: Record<string, string | number>): string
@@ -0,0 +1,190 @@
+/**
+ * Message catalogue for errors and event messages
+ * Every user-facing string of the library is looked up here by key, in the caller's locale
+ */
+
+import { TINYPNG_LOCALES, TINYPNG_DEFAULT_LOCALE } from '../constant.mjs'
+
+/**
+ * Messages by locale; {name} placeholders are filled in by t()
+ * @private
+ */
+const MESSAGES = {
+  en: {
+    // Options and input
+    invalidLocale: 'locale must be one of: {locales}',
+    keyRequired: 'At least one API key is required',
+    tinifyKeyRequired: 'Set tinify.key first',
+    convertTypeRequired: 'convert() requires a target format type',
+    invalidSource: 'Only file paths, Buffers or streams are supported',
+    invalidFileInfoSource: 'Only file paths or streams are supported',
+    unsupportedFormat: 'Unsupported format: {formats}',
+    invalidPreserve: 'Unsupported preserve field(s): {fields} (allowed: {allowed})',
+    invalidBackground: 'Unsupported background: {background} (allowed: {allowed} or #RRGGBB)',
+    invalidProxy: 'Invalid proxy, expected a URL starting with http:// or https://',
+    invalidTimeout: 'timeout must be a positive number of milliseconds',
+    invalidRetry: 'Invalid retry option: {option}',
+    invalidTimeZone: 'Unknown time zone: {timeZone}',
+    invalidApiKey: 'Invalid API key {index}: {field}',
+    invalidStrategy: 'strategy must be one of: {strategies}, or a function',
+    invalidStrategyResult: 'The key selection strategy must return one of the keys it was given',
+    invalidPricing: 'Invalid pricing tier {index}: {field}',
+    invalidMaxSpend: 'maxSpend must be an amount in USD of 0 or more',
+    invalidUsageStore: 'usageStore must have load() and save() methods',
+    invalidSharedLedger: 'sharedLedger must have an update() method',
+
+    // Key pool
+    allKeysDisabled: 'All API keys are disabled',
+    allKeysAtLimit: 'All API keys have reached their monthly limit',
+    allKeysCoolingDown: 'All usable API keys are cooling down',
+    budgetExceeded: 'Estimated spend would exceed the budget of {maxSpend} ({spent} spent so far)',
+    allKeysOverBudget: 'All usable API keys have reached their spending cap',
+    noUsableKeys: 'No usable API keys left',
+    countsReset: 'Usage statistics reset for all API keys',
+
+    // Failures
+    connectionFailed: 'Cannot reach TinyPNG: {message}',
+    locationMissing: 'TinyPNG API did not return a Location header',
+    streamNotResendable:
+      'The uploaded stream has already been read and cannot be re-sent for a retry: {message}',
+    compressionFailed: 'Compression failed after {attempts} attempts: {message}',
+    operationCancelled: 'Operation cancelled',
+    operationTimedOut: 'Operation timed out',
+    operationTimedOutAfter: 'Operation timed out ({timeout}ms)',
+
+    // Friendly API error messages
+    errorUnauthorized: 'Invalid API key',
+    errorThrottled: 'API key is throttled, usable again in {seconds}s',
+    errorMonthlyLimit: 'API key has reached its monthly limit',
+    errorClient: 'Bad request, check the input image format',
+    errorServer: 'TinyPNG server error, try again later',
+    errorConnection: 'Cannot reach TinyPNG, check your network or proxy settings',
+
+    // Progress
+    fetchingUrl: 'Fetching from URL...',
+    uploadStarting: 'Starting upload...',
+    uploading: 'Uploading',
+    uploadComplete: 'Upload complete',
+    imageCompressed: 'Image compressed',
+    resizing: 'Resizing',
+    resizeComplete: 'Resize complete',
+    converting: 'Converting',
+    conversionComplete: 'Conversion complete',
+    transforming: 'Transforming',
+    transformComplete: 'Transform complete',
+    preserving: 'Preserving',
+    metadataPreserved: 'Metadata preserved',
+    downloadStarting: 'Downloading result...',
+    downloading: 'Downloading',
+    downloadComplete: 'Download complete',
+    compressionComplete: 'Compression complete',
+  },
+  zh: {
+    // Options and input
+    invalidLocale: 'locale 必须是以下之一: {locales}',
+    keyRequired: '至少需要提供一个 API Key',
+    tinifyKeyRequired: '请先设置 tinify.key',
+    convertTypeRequired: 'convert() 需要指定目标格式 type',
+    invalidSource: '只支持文件路径、Buffer 或 Stream 实例',
+    invalidFileInfoSource: '只支持传入文件路径或Stream实例',
+    unsupportedFormat: '不支持的格式: {formats}',
+    invalidPreserve: '不支持的 preserve 字段: {fields}（可选值: {allowed}）',
+    invalidBackground: '不支持的背景色: {background}（可选值: {allowed} 或 #RRGGBB）',
+    invalidProxy: '无效的代理地址，需要 http:// 或 https:// 开头的 URL',
+    invalidTimeout: 'timeout 必须是大于 0 的毫秒数',
+    invalidRetry: '无效的 retry 选项: {option}',
+    invalidTimeZone: '未知的时区: {timeZone}',
+    invalidApiKey: '无效的 API Key {index}: {field}',
+    invalidStrategy: 'strategy 必须是以下之一: {strategies}，或一个函数',
+    invalidStrategyResult: '密钥选择策略必须返回传入的密钥之一',
+    invalidPricing: '无效的价格档位 {index}: {field}',
+    invalidMaxSpend: 'maxSpend 必须是不小于 0 的美元金额',
+    invalidUsageStore: 'usageStore 必须有 load() 和 save() 方法',
+    invalidSharedLedger: 'sharedLedger 必须有 update() 方法',
+
+    // Key pool
+    allKeysDisabled: '所有 API Keys 都已被禁用',
+    allKeysAtLimit: '所有 API Keys 都已达到月度限制',
+    allKeysCoolingDown: '所有可用的 API Keys 都在冷却中',
+    budgetExceeded: '预计花费将超出预算 {maxSpend}（目前已花费 {spent}）',
+    allKeysOverBudget: '所有可用的 API Keys 都已达到花费上限',
+    noUsableKeys: '所有 API Keys 都已不可用',
+    countsReset: '所有 API Key 的使用统计已重置',
+
+    // Failures
+    connectionFailed: '无法连接 TinyPNG: {message}',
+    locationMissing: 'TinyPNG API 未返回 Location 头',
+    streamNotResendable: '上传的流已被读取，无法重新发送以重试: {message}',
+    compressionFailed: '压缩失败，已尝试 {attempts} 次: {message}',
+    operationCancelled: '操作已取消',
+    operationTimedOut: '操作超时',
+    operationTimedOutAfter: '操作超时（{timeout}ms）',
+
+    // Friendly API error messages
+    errorUnauthorized: 'API Key 无效',
+    errorThrottled: 'API Key 请求过于频繁，{seconds} 秒后可再次使用',
+    errorMonthlyLimit: 'API Key 已达到月度限制',
+    errorClient: '请求错误，请检查输入图片格式',
+    errorServer: 'TinyPNG 服务器错误，稍后重试',
+    errorConnection: '无法连接 TinyPNG，请检查网络或代理设置',
+
+    // Progress
+    fetchingUrl: '正在从 URL 获取...',
+    uploadStarting: '开始上传...',
+    uploading: '上传中',
+    uploadComplete: '上传完成',
+    imageCompressed: '图片已压缩',
+    resizing: '调整尺寸中',
+    resizeComplete: '尺寸调整完成',
+    converting: '转换中',
+    conversionComplete: '转换完成',
+    transforming: '处理中',
+    transformComplete: '处理完成',
+    preserving: '保留元数据中',
+    metadataPreserved: '元数据已保留',
+    downloadStarting: '正在下载结果...',
+    downloading: '下载中',
+    downloadComplete: '下载完成',
+    compressionComplete: '压缩完成',
+  },
+}
+
+/**
+ * Validate a locale option
+ * @param {string} [locale] - 'en' or 'zh'
+ * @returns {string} The locale, or the default (zh) when not given
+ * @throws {TypeError} If the locale is not supported
+ */
+export function resolveLocale(locale) {
+  if (locale === undefined || locale === null) {
+    return TINYPNG_DEFAULT_LOCALE
+  }
+
+  if (!TINYPNG_LOCALES.includes(locale)) {
+    throw new TypeError(t(TINYPNG_DEFAULT_LOCALE, 'invalidLocale', { locales: TINYPNG_LOCALES.join(', ') }))
+  }
+
+  return locale
+}
+
+/**
+ * Pick a locale from the environment, as the CLI does
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {string} 'zh' for Chinese LC_ALL/LC_MESSAGES/LANG, otherwise 'en'
+ */
+export function detectLocale(env = process.env) {
+  const lang = env.LC_ALL || env.LC_MESSAGES || env.LANG || ''
+  return /^zh/i.test(lang) ? 'zh' : 'en'
+}
+
+/**
+ * Look up a message
+ * @param {string} locale - 'en' or 'zh'
+ * @param {string} key - Message key
+ * @param {Object} [params] - Values for {name} placeholders
+ * @returns {string} Localised message, or the key itself if unknown
+ */
+export function t(locale, key, params = {}) {
+  const template = MESSAGES[locale]?.[key] ?? MESSAGES[TINYPNG_DEFAULT_LOCALE][key] ?? key
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match))
+}
@@ -0,0 +1,66 @@
+/**
+ * Unit tests for i18n.mjs
+ */
+
+import { describe, it, expect } from 'vitest'
+import { t, resolveLocale, detectLocale } from './i18n.mjs'
+
+describe('i18n utils', () => {
+  describe('t()', () => {
+    it('should return the message in the given locale', () => {
+      expect(t('en', 'errorUnauthorized')).toBe('Invalid API key')
+      expect(t('zh', 'errorUnauthorized')).toBe('API Key 无效')
+    })
+
+    it('should fill in placeholders', () => {
+      expect(t('en', 'compressionFailed', { attempts: 3, message: 'boom' })).toBe(
+        'Compression failed after 3 attempts: boom'
+      )
+      expect(t('zh', 'operationTimedOutAfter', { timeout: 500 })).toBe('操作超时（500ms）')
+    })
+
+    it('should leave placeholders without a value as they are', () => {
+      expect(t('en', 'unsupportedFormat')).toBe('Unsupported format: {formats}')
+    })
+
+    it('should fall back to Chinese for unknown locales and to the key for unknown messages', () => {
+      expect(t('fr', 'errorUnauthorized')).toBe('API Key 无效')
+      expect(t('en', 'noSuchMessage')).toBe('noSuchMessage')
+    })
+  })
+
+  describe('resolveLocale()', () => {
+    it('should default to zh', () => {
+      expect(resolveLocale()).toBe('zh')
+      expect(resolveLocale(null)).toBe('zh')
+    })
+
+    it('should accept supported locales', () => {
+      expect(resolveLocale('en')).toBe('en')
+      expect(resolveLocale('zh')).toBe('zh')
+    })
+
+    it('should throw TypeError for unsupported locales', () => {
+      expect(() => resolveLocale('fr')).toThrow(TypeError)
+      expect(() => resolveLocale('EN')).toThrow(/en, zh/)
+    })
+  })
+
+  describe('detectLocale()', () => {
+    it('should detect Chinese from LANG', () => {
+      expect(detectLocale({ LANG: 'zh_CN.UTF-8' })).toBe('zh')
+      expect(detectLocale({ LANG: 'zh_TW' })).toBe('zh')
+    })
+
+    it('should use English for other or missing languages', () => {
+      expect(detectLocale({ LANG: 'en_US.UTF-8' })).toBe('en')
+      expect(detectLocale({ LANG: 'C' })).toBe('en')
+      expect(detectLocale({})).toBe('en')
+    })
+
+    it('should prefer LC_ALL, then LC_MESSAGES, over LANG', () => {
+      expect(detectLocale({ LC_ALL: 'zh_CN.UTF-8', LANG: 'en_US.UTF-8' })).toBe('zh')
+      expect(detectLocale({ LC_MESSAGES: 'en_US.UTF-8', LANG: 'zh_CN.UTF-8' })).toBe('en')
+    })
+  })
+})
@@ -0,0 +1,118 @@
+import { Locale } from './i18n'
+
+/**
+ * Normalize and validate metadata preservation fields
+ * @param preserve - Field name(s) to preserve (copyright, creation, location)
+ * @param locale - Message locale (default: zh)
+ * @returns Unique, lower-cased field names
+ * @throws {TypeError} If a field is not supported by TinyPNG
+ */
+export function normalizePreserve(
+  preserve: string | string[],
+  locale?: Locale
+): Array<'copyright' | 'creation' | 'location'>
+
+/**
+ * Normalize and validate background color for the transform option
+ * @param background - Named color (white, black) or hex color (#RRGGBB)
+ * @param locale - Message locale (default: zh)
+ * @returns Lower-cased color value accepted by TinyPNG
+ * @throws {TypeError} If the color is neither a supported name nor a hex value
+ */
+export function normalizeBackground(background: string, locale?: Locale): string
+
+/**
+ * Retry options
+ */
+export interface RetryOptions {
+  /** Retries after the first attempt for transient failures (default: 3) */
+  attempts?: number
+  /** Delay before the first retry in ms (default: 1000) */
+  minDelay?: number
+  /** Upper bound for the delay in ms (default: 30000) */
+  maxDelay?: number
+  /** Growth of the delay per retry (default: 2) */
+  factor?: number
+  /** Share of the delay (0-1) that is randomised (default: 0.2) */
+  jitter?: number
+  /** HTTP statuses and network error codes to retry, or a function deciding from the error */
+  retryOn?: Array<string | number> | ((error: Error) => boolean)
+}
+
+/**
+ * Validate retry options and fill in defaults
+ * @param retry - Retry options
+ * @param locale - Message locale (default: zh)
+ * @returns Complete retry policy
+ * @throws {TypeError} If an option is out of range
+ */
+export function normalizeRetry(retry?: RetryOptions, locale?: Locale): Required<RetryOptions>
+
+/**
+ * Validate the time zone in which monthly quotas reset
+ * @param timeZone - IANA time zone, e.g. 'Asia/Shanghai' (default: UTC)
+ * @param locale - Message locale (default: zh)
+ * @returns The time zone
+ * @throws {TypeError} If the time zone is unknown
+ */
+export function normalizeTimeZone(timeZone?: string, locale?: Locale): string
+
+/**
+ * An API key with its own settings
+ */
+export interface ApiKeyEntry {
+  /** API key */
+  key: string
+  /** Name shown in events and stats (default: 'Key N') */
+  label?: string
+  /** Compressions per month for this key (default: the shared limit, or none for paid keys) */
+  monthlyLimit?: number
+  /** Paid plan key, without a monthly limit unless one is given (default: false) */
+  paid?: boolean
+  /** Monthly spending cap in USD for this key, estimated from its count */
+  maxSpend?: number
+}
+
+/**
+ * Normalize one entry of the apiKey option
+ * @param entry - API key, or an object with the key and its settings
+ * @param index - Position of the key, 0-based
+ * @param monthlyLimit - Limit for free keys that don't set their own
+ * @param locale - Message locale (default: zh)
+ * @returns Settings with Infinity for no limit and null for no spending cap
+ * @throws {TypeError} If the key is missing or a setting is invalid
+ */
+export function normalizeApiKey(
+  entry: string | ApiKeyEntry,
+  index: number,
+  monthlyLimit: number,
+  locale?: Locale
+): { key: string; label: string; monthlyLimit: number; paid: boolean; maxSpend: number | null }
+
+/**
+ * Price of the compressions in one tier of a month
+ */
+export interface PricingTier {
+  /** Last compression of the month in this tier; Infinity (or omitted) for the last tier */
+  upTo?: number
+  /** Price in USD per compression */
+  price: number
+}
+
+/**
+ * Validate pricing tiers for paid keys
+ * @param pricing - Tiers in order, the last one open-ended (default: TinyPNG's published tiers)
+ * @param locale - Message locale (default: 'zh')
+ * @returns Tiers, the last one with upTo: Infinity
+ * @throws {TypeError} If a tier is out of order or a price is invalid
+ */
+export function normalizePricing(pricing?: PricingTier[], locale?: Locale): Required<PricingTier>[]
+
+/**
+ * Validate a spending cap
+ * @param maxSpend - Amount in USD, null or undefined for no cap
+ * @param locale - Message locale (default: 'zh')
+ * @returns The cap, null for none
+ * @throws {TypeError} If the amount is negative or not a number
+ */
+export function normalizeMaxSpend(maxSpend?: number | null, locale?: Locale): number | null
@@ -0,0 +1,204 @@
+/**
+ * Validation utilities for TinyPNG keys and output, retry, quota and pricing options
+ */
+
+import {
+  TINYPNG_PRESERVE_FIELDS,
+  TINYPNG_BACKGROUND_COLORS,
+  TINYPNG_DEFAULT_LOCALE,
+  TINYPNG_RETRY_ON,
+  TINYPNG_RETRY_DEFAULTS,
+  TINYPNG_RESET_TIME_ZONE,
+  TINYPNG_PRICING,
+} from '../constant.mjs'
+import { t } from './i18n.mjs'
+
+/**
+ * Normalize and validate metadata preservation fields
+ * @param {string|string[]} preserve - Field name(s) to preserve (copyright, creation, location)
+ * @param {string} [locale='zh'] - Message locale (en, zh)
+ * @returns {string[]} Unique, lower-cased field names
+ * @throws {TypeError} If a field is not supported by TinyPNG
+ */
+export function normalizePreserve(preserve, locale = TINYPNG_DEFAULT_LOCALE) {
+  const fields = (Array.isArray(preserve) ? preserve : [preserve])
+    .flatMap(field => String(field).split(','))
+    .map(field => field.trim().toLowerCase())
+    .filter(field => field.length > 0)
+
+  const invalid = fields.filter(field => !TINYPNG_PRESERVE_FIELDS.includes(field))
+
+  if (invalid.length > 0) {
+    throw new TypeError(
+      t(locale, 'invalidPreserve', {
+        fields: invalid.join(', '),
+        allowed: TINYPNG_PRESERVE_FIELDS.join(', '),
+      })
+    )
+  }
+
+  return [...new Set(fields)]
+}
+
+/**
+ * Normalize and validate background color for the transform option
+ * @param {string} background - Named color (white, black) or hex color (#RRGGBB)
+ * @param {string} [locale='zh'] - Message locale (en, zh)
+ * @returns {string} Lower-cased color value accepted by TinyPNG
+ * @throws {TypeError} If the color is neither a supported name nor a hex value
+ */
+export function normalizeBackground(background, locale = TINYPNG_DEFAULT_LOCALE) {
+  const color = String(background).trim().toLowerCase()
+
+  if (!TINYPNG_BACKGROUND_COLORS.includes(color) && !/^#[0-9a-f]{6}$/.test(color)) {
+    throw new TypeError(
+      t(locale, 'invalidBackground', { background, allowed: TINYPNG_BACKGROUND_COLORS.join(', ') })
+    )
+  }
+
+  return color
+}
+
+/**
+ * Validate retry options and fill in defaults
+ * @param {Object} [retry] - Retry options
+ * @param {number} [retry.attempts=3] - Retries after the first attempt for transient failures
+ * @param {number} [retry.minDelay=1000] - Delay before the first retry in ms
+ * @param {number} [retry.maxDelay=30000] - Upper bound for the delay in ms
+ * @param {number} [retry.factor=2] - Growth of the delay per retry
+ * @param {number} [retry.jitter=0.2] - Share of the delay (0-1) that is randomised
+ * @param {Array<string|number>|Function} [retry.retryOn] - HTTP statuses and network error codes to
+ * retry, or a function deciding from the error (default: 5xx gateway errors and dropped connections)
+ * @param {string} [locale='zh'] - Message locale (en, zh)
+ * @returns {Object} Complete retry policy
+ * @throws {TypeError} If an option is out of range
+ */
+export function normalizeRetry(retry = {}, locale = TINYPNG_DEFAULT_LOCALE) {
+  const defined = Object.entries(retry).filter(([, value]) => value !== undefined)
+  const policy = { ...TINYPNG_RETRY_DEFAULTS, retryOn: TINYPNG_RETRY_ON, ...Object.fromEntries(defined) }
+  const isDelay = value => Number.isFinite(value) && value >= 0
+
+  const invalid = [
+    ['attempts', Number.isInteger(policy.attempts) && policy.attempts >= 0],
+    ['minDelay', isDelay(policy.minDelay)],
+    ['maxDelay', isDelay(policy.maxDelay) && policy.maxDelay >= policy.minDelay],
+    ['factor', Number.isFinite(policy.factor) && policy.factor >= 1],
+    ['jitter', Number.isFinite(policy.jitter) && policy.jitter >= 0 && policy.jitter <= 1],
+    ['retryOn', Array.isArray(policy.retryOn) || typeof policy.retryOn === 'function'],
+  ].find(([, valid]) => !valid)
+
+  if (invalid) {
+    throw new TypeError(t(locale, 'invalidRetry', { option: invalid[0] }))
+  }
+
+  return policy
+}
+
+/**
+ * Validate the time zone in which monthly quotas reset
+ * @param {string} [timeZone='UTC'] - IANA time zone, e.g. 'Asia/Shanghai'
+ * @param {string} [locale='zh'] - Message locale (en, zh)
+ * @returns {string} The time zone
+ * @throws {TypeError} If the time zone is unknown
+ */
+export function normalizeTimeZone(timeZone = TINYPNG_RESET_TIME_ZONE, locale = TINYPNG_DEFAULT_LOCALE) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+  } catch {
+    throw new TypeError(t(locale, 'invalidTimeZone', { timeZone }))
+  }
+
+  return timeZone
+}
+
+/**
+ * Normalize one entry of the apiKey option
+ * @param {string|Object} entry - API key, or an object with the key and its settings
+ * @param {string} entry.key - API key
+ * @param {string} [entry.label] - Name shown in events and stats (default: 'Key N')
+ * @param {number} [entry.monthlyLimit] - Compressions per month for this key
+ * @param {boolean} [entry.paid=false] - Paid plan key, without a monthly limit unless one is given
+ * @param {number} [entry.maxSpend] - Monthly spending cap in USD for this key
+ * @param {number} index - Position of the key, 0-based
+ * @param {number} monthlyLimit - Limit for free keys that don't set their own
+ * @param {string} [locale='zh'] - Message locale (en, zh)
+ * @returns {Object} { key, label, monthlyLimit, paid, maxSpend }, Infinity meaning no limit and null no cap
+ * @throws {TypeError} If the key is missing or a setting is invalid
+ */
+export function normalizeApiKey(entry, index, monthlyLimit, locale = TINYPNG_DEFAULT_LOCALE) {
+  const settings = typeof entry === 'string' ? { key: entry } : (entry ?? {})
+  const { key, label, paid = false, maxSpend = null } = settings
+  const limit = settings.monthlyLimit ?? (paid ? Infinity : monthlyLimit)
+
+  const invalid = [
+    ['key', typeof key === 'string' && key.length > 0],
+    ['label', label === undefined || (typeof label === 'string' && label.length > 0)],
+    ['monthlyLimit', limit === Infinity || (Number.isInteger(limit) && limit > 0)],
+    ['paid', typeof paid === 'boolean'],
+    ['maxSpend', maxSpend === null || isAmount(maxSpend)],
+  ].find(([, valid]) => !valid)
+
+  if (invalid) {
+    throw new TypeError(t(locale, 'invalidApiKey', { index: index + 1, field: invalid[0] }))
+  }
+
+  return { key, label: label ?? `Key ${index + 1}`, monthlyLimit: limit, paid, maxSpend }
+}
+
+/**
+ * Validate pricing tiers for paid keys
+ * @param {Object[]} [pricing] - Tiers in order, each { upTo, price }: the price in USD of every compression
+ * up to upTo this month; the last tier has no upTo (or Infinity) (default: TinyPNG's published tiers)
+ * @param {string} [locale='zh'] - Message locale (en, zh)
+ * @returns {Object[]} Tiers, the last one with upTo: Infinity
+ * @throws {TypeError} If a tier is out of order or a price is invalid
+ */
+export function normalizePricing(pricing = TINYPNG_PRICING, locale = TINYPNG_DEFAULT_LOCALE) {
+  if (!Array.isArray(pricing) || pricing.length === 0) {
+    throw new TypeError(t(locale, 'invalidPricing', { index: 1, field: 'upTo' }))
+  }
+
+  return pricing.map((tier, index) => {
+    const last = index === pricing.length - 1
+    const upTo = last ? (tier?.upTo ?? Infinity) : tier?.upTo
+    const from = index === 0 ? 0 : pricing[index - 1].upTo
+
+    const invalid = [
+      ['upTo', last ? upTo === Infinity : Number.isInteger(upTo) && upTo > from],
+      ['price', isAmount(tier?.price)],
+    ].find(([, valid]) => !valid)
+
+    if (invalid) {
+      throw new TypeError(t(locale, 'invalidPricing', { index: index + 1, field: invalid[0] }))
+    }
+
+    return { upTo, price: tier.price }
+  })
+}
+
+/**
+ * Validate a spending cap
+ * @param {number|null} [maxSpend] - Amount in USD, null or undefined for no cap
+ * @param {string} [locale='zh'] - Message locale (en, zh)
+ * @returns {number|null} The cap, null for none
+ * @throws {TypeError} If the amount is negative or not a number
+ */
+export function normalizeMaxSpend(maxSpend, locale = TINYPNG_DEFAULT_LOCALE) {
+  if (maxSpend === undefined || maxSpend === null) return null
+
+  if (!isAmount(maxSpend)) {
+    throw new TypeError(t(locale, 'invalidMaxSpend'))
+  }
+
+  return maxSpend
+}
+
+/**
+ * Check for an amount in USD
+ * @private
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a finite number of 0 or more
+ */
+function isAmount(value) {
+  return Number.isFinite(value) && value >= 0
+}
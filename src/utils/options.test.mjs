@@ -0,0 +1,197 @@
+/**
+ * Unit tests for options.mjs
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  normalizePreserve,
+  normalizeBackground,
+  normalizeRetry,
+  normalizeTimeZone,
+  normalizeApiKey,
+  normalizePricing,
+  normalizeMaxSpend,
+} from './options.mjs'
+import { TINYPNG_RETRY_ON, TINYPNG_PRICING } from '../constant.mjs'
+
+describe('options utils', () => {
+  describe('normalizePreserve()', () => {
+    it('should accept all supported fields', () => {
+      expect(normalizePreserve(['copyright', 'creation', 'location'])).toEqual([
+        'copyright',
+        'creation',
+        'location',
+      ])
+    })
+
+    it('should accept a single field as string', () => {
+      expect(normalizePreserve('copyright')).toEqual(['copyright'])
+    })
+
+    it('should split comma-separated values', () => {
+      expect(normalizePreserve(['copyright,creation'])).toEqual(['copyright', 'creation'])
+      expect(normalizePreserve('copyright, location')).toEqual(['copyright', 'location'])
+    })
+
+    it('should normalize case and remove duplicates', () => {
+      expect(normalizePreserve(['Copyright', 'COPYRIGHT', 'creation'])).toEqual(['copyright', 'creation'])
+    })
+
+    it('should ignore empty entries', () => {
+      expect(normalizePreserve(['copyright', '', ' '])).toEqual(['copyright'])
+    })
+
+    it('should throw TypeError for unsupported fields', () => {
+      expect(() => normalizePreserve(['copyright', 'exif'])).toThrow(TypeError)
+      expect(() => normalizePreserve('gps')).toThrow(/gps/)
+    })
+
+    it('should report unsupported fields in the given locale', () => {
+      expect(() => normalizePreserve('gps', 'en')).toThrow(
+        'Unsupported preserve field(s): gps (allowed: copyright, creation, location)'
+      )
+    })
+  })
+
+  describe('normalizeBackground()', () => {
+    it('should accept named colors', () => {
+      expect(normalizeBackground('white')).toBe('white')
+      expect(normalizeBackground('Black')).toBe('black')
+    })
+
+    it('should accept hex colors', () => {
+      expect(normalizeBackground('#FF00aa')).toBe('#ff00aa')
+      expect(normalizeBackground(' #000000 ')).toBe('#000000')
+    })
+
+    it('should throw TypeError for unsupported colors', () => {
+      expect(() => normalizeBackground('red')).toThrow(TypeError)
+      expect(() => normalizeBackground('#fff')).toThrow(TypeError)
+      expect(() => normalizeBackground('ff0000')).toThrow(TypeError)
+      expect(() => normalizeBackground('#gg0000')).toThrow(/#gg0000/)
+    })
+
+    it('should report unsupported colors in the given locale', () => {
+      expect(() => normalizeBackground('red', 'en')).toThrow('Unsupported background: red')
+    })
+  })
+
+  describe('normalizeRetry()', () => {
+    it('should fill in defaults', () => {
+      expect(normalizeRetry()).toEqual({
+        attempts: 3,
+        minDelay: 1000,
+        maxDelay: 30000,
+        factor: 2,
+        jitter: 0.2,
+        retryOn: TINYPNG_RETRY_ON,
+      })
+    })
+
+    it('should keep given options and ignore undefined ones', () => {
+      const retryOn = () => true
+      const policy = normalizeRetry({ attempts: 0, minDelay: 50, maxDelay: undefined, retryOn })
+
+      expect(policy).toMatchObject({ attempts: 0, minDelay: 50, maxDelay: 30000, retryOn })
+    })
+
+    it('should throw TypeError for out-of-range options', () => {
+      expect(() => normalizeRetry({ attempts: -1 })).toThrow(TypeError)
+      expect(() => normalizeRetry({ attempts: 1.5 })).toThrow(/attempts/)
+      expect(() => normalizeRetry({ minDelay: 5000, maxDelay: 1000 })).toThrow(/maxDelay/)
+      expect(() => normalizeRetry({ factor: 0.5 })).toThrow(/factor/)
+      expect(() => normalizeRetry({ jitter: 2 })).toThrow(/jitter/)
+      expect(() => normalizeRetry({ retryOn: 503 })).toThrow(/retryOn/)
+    })
+
+    it('should report invalid options in the given locale', () => {
+      expect(() => normalizeRetry({ attempts: -1 }, 'en')).toThrow('Invalid retry option: attempts')
+      expect(() => normalizeRetry({ attempts: -1 })).toThrow('无效的 retry 选项: attempts')
+    })
+  })
+
+  describe('normalizeTimeZone()', () => {
+    it('should default to UTC', () => {
+      expect(normalizeTimeZone()).toBe('UTC')
+    })
+
+    it('should accept IANA time zones', () => {
+      expect(normalizeTimeZone('Asia/Shanghai')).toBe('Asia/Shanghai')
+    })
+
+    it('should throw TypeError for an unknown time zone', () => {
+      expect(() => normalizeTimeZone('Mars/Olympus', 'en')).toThrow('Unknown time zone: Mars/Olympus')
+      expect(() => normalizeTimeZone('Mars/Olympus')).toThrow(TypeError)
+    })
+  })
+
+  describe('normalizeApiKey()', () => {
+    it('should fill in defaults for a key string', () => {
+      expect(normalizeApiKey('abc', 1, 500)).toEqual({
+        key: 'abc',
+        label: 'Key 2',
+        monthlyLimit: 500,
+        paid: false,
+        maxSpend: null,
+      })
+    })
+
+    it('should keep the settings of a key object', () => {
+      const entry = { key: 'abc', label: 'Team', monthlyLimit: 1000, paid: true, maxSpend: 5 }
+      expect(normalizeApiKey(entry, 0, 500)).toEqual(entry)
+    })
+
+    it('should not limit paid keys unless a limit is given', () => {
+      expect(normalizeApiKey({ key: 'abc', paid: true }, 0, 500).monthlyLimit).toBe(Infinity)
+    })
+
+    it('should throw TypeError naming the invalid field', () => {
+      expect(() => normalizeApiKey({ label: 'x' }, 0, 500, 'en')).toThrow('Invalid API key 1: key')
+      expect(() => normalizeApiKey({ key: 'abc', monthlyLimit: 0 }, 2, 500, 'en')).toThrow(
+        'Invalid API key 3: monthlyLimit'
+      )
+      expect(() => normalizeApiKey({ key: 'abc', paid: 'yes' }, 0, 500)).toThrow('无效的 API Key 1: paid')
+      expect(() => normalizeApiKey({ key: 'abc', maxSpend: -1 }, 0, 500)).toThrow(TypeError)
+      expect(() => normalizeApiKey(null, 0, 500)).toThrow(TypeError)
+    })
+  })
+
+  describe('normalizePricing()', () => {
+    it("should default to TinyPNG's tiers", () => {
+      expect(normalizePricing()).toEqual(TINYPNG_PRICING)
+    })
+
+    it('should leave the last tier open', () => {
+      expect(normalizePricing([{ upTo: 100, price: 0 }, { price: 0.01 }])).toEqual([
+        { upTo: 100, price: 0 },
+        { upTo: Infinity, price: 0.01 },
+      ])
+    })
+
+    it('should throw TypeError naming the invalid tier', () => {
+      expect(() =>
+        normalizePricing([{ upTo: 100, price: 0 }, { upTo: 50, price: 1 }, { price: 1 }], 'en')
+      ).toThrow('Invalid pricing tier 2: upTo')
+      expect(() => normalizePricing([{ price: -1 }], 'en')).toThrow('Invalid pricing tier 1: price')
+      expect(() => normalizePricing([{ upTo: 100, price: 0 }])).toThrow(TypeError)
+      expect(() => normalizePricing([])).toThrow(TypeError)
+    })
+  })
+
+  describe('normalizeMaxSpend()', () => {
+    it('should return null for no cap', () => {
+      expect(normalizeMaxSpend()).toBeNull()
+      expect(normalizeMaxSpend(null)).toBeNull()
+    })
+
+    it('should accept amounts of 0 or more', () => {
+      expect(normalizeMaxSpend(0)).toBe(0)
+      expect(normalizeMaxSpend(12.5)).toBe(12.5)
+    })
+
+    it('should throw TypeError for an invalid amount', () => {
+      expect(() => normalizeMaxSpend(-1, 'en')).toThrow('maxSpend must be an amount in USD of 0 or more')
+      expect(() => normalizeMaxSpend('5')).toThrow(TypeError)
+    })
+  })
+})
@@ -44,3 +44,11 @@ export function calculateResizeProgress(bytesReceived: number, totalBytes: numbe
  * @returns Formatted message
  */
 export function formatProgressMessage(stage: string, progress: number): string
+
+/**
+ * Format progress message with bytes processed, for transfers of unknown size
+ * @param stage - Stage name (e.g., 'Uploading')
+ * @param bytes - Bytes processed so far
+ * @returns Formatted message
+ */
+export function formatBytesProgressMessage(stage: string, bytes: number): string
@@ -2,6 +2,8 @@
  * Progress calculation utilities
  */
 
+import { formatSize } from './compression.mjs'
+
 /**
  * Calculate overall progress from byte-level progress within a range
  * @param {number} bytesProcessed - Bytes processed so far
@@ -57,3 +59,13 @@ export function calculateResizeProgress(bytesReceived, totalBytes) {
 export function formatProgressMessage(stage, progress) {
   return `${stage}... (${Math.round(progress * 100)}%)`
 }
+
+/**
+ * Format progress message with bytes processed, for transfers of unknown size
+ * @param {string} stage - Stage name (e.g., 'Uploading')
+ * @param {number} bytes - Bytes processed so far
+ * @returns {string} Formatted message
+ */
+export function formatBytesProgressMessage(stage, bytes) {
+  return `${stage}... (${formatSize(bytes)})`
+}
@@ -9,6 +9,7 @@ import {
   calculateDownloadProgress,
   calculateResizeProgress,
   formatProgressMessage,
+  formatBytesProgressMessage,
 } from './progress.mjs'
 
 describe('progress utils', () => {
@@ -216,6 +217,14 @@ describe('progress utils', () => {
     })
   })
 
+  describe('formatBytesProgressMessage()', () => {
+    it('should format progress message with bytes processed', () => {
+      expect(formatBytesProgressMessage('Uploading', 512)).toBe('Uploading... (512 B)')
+      expect(formatBytesProgressMessage('Uploading', 1536)).toBe('Uploading... (1.50 KB)')
+      expect(formatBytesProgressMessage('Uploading', 0)).toBe('Uploading... (0 B)')
+    })
+  })
+
   describe('Progress ranges integration', () => {
     it('should have non-overlapping ranges for workflow stages', () => {
       // Upload: 5% - 35%
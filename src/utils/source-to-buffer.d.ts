@@ -1,4 +1,5 @@
 import { Readable } from 'node:stream'
+import { Locale } from './i18n'
 
 /**
  * Source metadata with buffer
@@ -17,7 +18,8 @@ export interface SourceMetadata {
 /**
  * Convert various source types to buffer
  * @param source - File path, buffer, or readable stream
+ * @param locale - Message locale (default: zh)
  * @returns Source metadata and buffer
  * @throws {TypeError} If source type is not supported
  */
-export function sourceToBuffer(source: string | Buffer | Readable): Promise<SourceMetadata>
+export function sourceToBuffer(source: string | Buffer | Readable, locale?: Locale): Promise<SourceMetadata>
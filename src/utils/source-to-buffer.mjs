@@ -1,9 +1,12 @@
 import { Readable } from 'node:stream'
+import { TINYPNG_DEFAULT_LOCALE } from '../constant.mjs'
 import { getFileInfo } from './file-info.mjs'
+import { t } from './i18n.mjs'
 
 /**
  * Convert various source types to buffer
  * @param {string|Buffer|Readable} source - File path, buffer, or readable stream
+ * @param {string} [locale='zh'] - Message locale (en, zh)
  * @returns {Promise<Object>} Source metadata and buffer
  * @returns {Buffer} return.buffer - Image buffer
  * @returns {string} [return.filename] - Filename (if available)
@@ -11,10 +14,10 @@ import { getFileInfo } from './file-info.mjs'
  * @returns {number} [return.size] - Original size (if available before streaming)
  * @throws {TypeError} If source type is not supported
  */
-export async function sourceToBuffer(source) {
+export async function sourceToBuffer(source, locale = TINYPNG_DEFAULT_LOCALE) {
   if (typeof source === 'string') {
     // File path
-    const fileInfo = getFileInfo(source)
+    const fileInfo = getFileInfo(source, locale)
     const buffer = await streamToBuffer(fileInfo.stream)
 
     return {
@@ -27,7 +30,7 @@ export async function sourceToBuffer(source) {
 
   if (source instanceof Readable) {
     // Stream
-    const fileInfo = getFileInfo(source)
+    const fileInfo = getFileInfo(source, locale)
     const buffer = await streamToBuffer(fileInfo.stream)
 
     return {
@@ -47,7 +50,7 @@ export async function sourceToBuffer(source) {
     }
   }
 
-  throw new TypeError('只支持文件路径、Buffer 或 Stream 实例')
+  throw new TypeError(t(locale, 'invalidSource'))
 }
 
 /**
@@ -2,7 +2,11 @@
  * Compression workflow orchestration
  */
 
-import { Readable } from 'node:stream'
+import { Readable, Writable } from 'node:stream'
+import { KeyReservation } from '../key-manager'
+import { RequestOptions } from '../service'
+import { Locale } from '../utils/i18n'
+import { RetryOptions } from '../utils/options'
 
 /**
  * Prepared source data
@@ -14,63 +18,158 @@ export interface SourceData {
   size: number | null
   originalSize: number | null
   buffer: Buffer | null
+  /** Source stream, uploaded as it is read */
+  stream?: Readable
+  /** False for streams, which can only be sent once */
+  replayable: boolean
 }
 
 /**
  * Prepare source for compression
+ * Readable streams are not buffered; they are uploaded as they are read and can only be sent once
  * @param source - Source input
  * @param emitFn - Event emission function
+ * @param locale - Message locale (default: zh)
  * @returns Prepared source data
  */
 export function prepareSource(
   source: string | Buffer | Readable,
-  emitFn: (event: string, data: any) => void
+  emitFn: (event: string, data: any) => void,
+  locale?: Locale
 ): Promise<SourceData>
 
+/**
+ * Check if the source can be uploaded again, e.g. for a retry with another key
+ * Streams can, as long as nothing has been read from them yet
+ * @param sourceData - Prepared source data
+ * @returns True if the source can be sent again
+ */
+export function canResendSource(sourceData: SourceData): boolean
+
 /**
  * Upload and shrink image
  * @param sourceData - Prepared source data
  * @param source - Original source (for URLs)
  * @param keyStat - Selected API key stats
  * @param emitFn - Event emission function
- * @returns Shrink result with outputUrl and compressionCount
+ * @param requestOptions - Request options passed to the service layer (apiBase, fetch, signal, locale)
+ * @returns Shrink result with outputUrl, compressionCount and TinyPNG metadata
  */
 export function uploadAndShrink(
   sourceData: SourceData,
   source: string | Buffer | Readable,
   keyStat: any,
-  emitFn: (event: string, data: any) => void
-): Promise<{ outputUrl: string; compressionCount: number | null }>
+  emitFn: (event: string, data: any) => void,
+  requestOptions?: RequestOptions
+): Promise<{ outputUrl: string; compressionCount: number | null; data: any }>
 
 /**
- * Download compressed or resized image
- * @param outputUrl - Output URL from shrink
+ * Check if the download applies output options, which TinyPNG counts as another compression
+ * @param options - Compression options
+ * @returns True if any of resize, convert, transform or preserve is set
+ */
+export function hasOutputOptions(options: {
+  resize?: any
+  convert?: { type: string | string[] }
+  preserve?: string[]
+  transform?: any
+}): boolean
+
+/**
+ * Count the compressions a call uses: the shrink, plus one for the output options if any
  * @param options - Compression options
+ * @returns 1 or 2
+ */
+export function countCompressions(options: Parameters<typeof hasOutputOptions>[0]): number
+
+/**
+ * Download compressed image, applying any output options in a single request
+ * @param outputUrl - Output URL from shrink
+ * @param options - Compression options (any combination of resize, convert, preserve, transform)
  * @param keyStat - Selected API key stats
  * @param emitFn - Event emission function
- * @returns Download result with response and compressionCount
+ * @param requestOptions - Request options passed to the service layer (apiBase, fetch, signal, locale)
+ * @returns Download result with response, compressionCount, the reusable output URL and the
+ * progress event to emit once the response body has been read
  */
 export function downloadImage(
   outputUrl: string,
-  options: { resize?: any },
+  options: { resize?: any; convert?: { type: string | string[] }; preserve?: string[]; transform?: any },
   keyStat: any,
-  emitFn: (event: string, data: any) => void
-): Promise<{ response: Response; compressionCount: number | null }>
+  emitFn: (event: string, data: any) => void,
+  requestOptions?: RequestOptions
+): Promise<DownloadResult>
 
 /**
- * Finalize compression result
- * @param downloadResponse - Download response
+ * Download result; the response body has not been read yet
+ */
+export interface DownloadResult {
+  response: Response
+  compressionCount: number | null
+  outputUrl: string
+  doneEvent: any
+}
+
+/**
+ * Detailed compression result without the image data
+ */
+export interface StreamedResult {
+  input: { size: number | null; type: string | null }
+  output: { size: number; type: string | null; width: number | null; height: number | null }
+  ratio: number | null
+  savedPercent: string
+  keyIndex: number
+  label: string
+  compressionCount: number | null
+  outputUrl: string
+}
+
+/**
+ * Detailed compression result
+ */
+export interface DetailedResult extends StreamedResult {
+  buffer: Buffer
+}
+
+/**
+ * Finalize compression result, reading the compressed image into memory
+ * @param downloadResult - Download result with response and output URL
+ * @param shrinkResult - Shrink result with TinyPNG input/output metadata
  * @param sourceData - Original source data
- * @param finalKeyStat - Final API key stats
+ * @param keyStat - Stats of the API key that compressed the image
  * @param emitFn - Event emission function
- * @returns Compressed image buffer
+ * @param locale - Message locale (default: zh)
+ * @returns Detailed result with compressed image buffer
  */
 export function finalizeResult(
-  downloadResponse: Response,
+  downloadResult: DownloadResult,
+  shrinkResult: { data?: any },
+  sourceData: SourceData,
+  keyStat: any,
+  emitFn: (event: string, data: any) => void,
+  locale?: Locale
+): Promise<DetailedResult>
+
+/**
+ * Finalize compression result, piping the compressed image to a writable stream
+ * @param downloadResult - Download result with response and output URL
+ * @param shrinkResult - Shrink result with TinyPNG input/output metadata
+ * @param sourceData - Original source data
+ * @param keyStat - Stats of the API key that compressed the image
+ * @param emitFn - Event emission function
+ * @param destination - Stream to write the compressed image to; ended once it is written
+ * @param locale - Message locale (default: zh)
+ * @returns Detailed result without buffer
+ */
+export function finalizeToStream(
+  downloadResult: DownloadResult,
+  shrinkResult: { data?: any },
   sourceData: SourceData,
-  finalKeyStat: any,
-  emitFn: (event: string, data: any) => void
-): Promise<Buffer>
+  keyStat: any,
+  emitFn: (event: string, data: any) => void,
+  destination: Writable,
+  locale?: Locale
+): Promise<StreamedResult>
 
 /**
  * Update quota stats after API operation
@@ -78,49 +177,70 @@ export function finalizeResult(
  * @param keyStat - API key stats
  * @param keyManager - Key manager instance
  * @param emitFn - Event emission function
+ * @param reservation - Reservation of the call; the compression of this request is confirmed by the count,
+ * or released without one
  */
 export function updateQuota(
   result: { compressionCount: number | null },
   keyStat: any,
   keyManager: any,
-  emitFn: (event: string, data: any) => void
+  emitFn: (event: string, data: any) => void,
+  reservation?: KeyReservation | null
 ): void
 
+/**
+ * Retry state passed to the error handlers
+ */
+export interface RetryState {
+  /** Retries made so far */
+  retries: number
+  /** Normalized retry options */
+  policy: Required<RetryOptions>
+  /** Whether the source can be uploaded again */
+  canResend: boolean
+}
+
 /**
  * Handle service errors with retry logic
+ * Rejected or exhausted keys are disabled and throttled keys cool down, so the next attempt
+ * uses another key; errors matched by the retry policy are retried after a backoff delay
+ * Moving on from a disabled key is not a retry, since the key pool already bounds it
  * @param error - Error object
  * @param keyStat - API key stats
- * @param attempt - Current attempt number
- * @param maxRetries - Maximum retry attempts
+ * @param retry - Retry state
  * @param keyManager - Key manager instance
  * @param emitFn - Event emission function
  * @param delayFn - Delay function
+ * @param locale - Message locale (default: zh)
+ * @returns True if should continue retry loop
+ * @throws {TinyPNGError} If the error would be retried but the source stream has already been read
  */
 export function handleServiceError(
-  error: Error & { status?: number },
+  error: Error & { status?: number; retryAfter?: number | null },
   keyStat: any,
-  attempt: number,
-  maxRetries: number,
+  retry: RetryState,
   keyManager: any,
   emitFn: (event: string, data: any) => void,
-  delayFn: (ms: number) => Promise<void>
-): Promise<void>
+  delayFn: (ms: number) => Promise<void>,
+  locale?: Locale
+): Promise<boolean>
 
 /**
  * Handle network errors with retry logic
  * @param error - Error object
- * @param attempt - Current attempt number
- * @param maxRetries - Maximum retry attempts
  * @param keyIndex - Current key index
+ * @param retry - Retry state
  * @param emitFn - Event emission function
  * @param delayFn - Delay function
+ * @param locale - Message locale (default: zh)
  * @returns True if should continue retry loop
+ * @throws {TinyPNGError} If the error would be retried but the source stream has already been read
  */
 export function handleNetworkError(
   error: Error,
-  attempt: number,
-  maxRetries: number,
   keyIndex: number | null,
+  retry: RetryState,
   emitFn: (event: string, data: any) => void,
-  delayFn: (ms: number) => Promise<void>
+  delayFn: (ms: number) => Promise<void>,
+  locale?: Locale
 ): Promise<boolean>
@@ -3,7 +3,11 @@
  * Handles the complete compression pipeline with progress tracking
  */
 
+import { Readable } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
+import { TINYPNG_DEFAULT_LOCALE } from '../constant.mjs'
 import { sourceToBuffer } from '../utils/source-to-buffer.mjs'
+import { getFileInfo } from '../utils/file-info.mjs'
 import { isUrl, getFilenameFromUrl } from '../utils/url.mjs'
 import { calculateCompressionRatio } from '../utils/compression.mjs'
 import {
@@ -11,6 +15,7 @@ import {
   calculateDownloadProgress,
   calculateResizeProgress,
   formatProgressMessage,
+  formatBytesProgressMessage,
 } from '../utils/progress.mjs'
 import {
   createStartEvent,
@@ -19,24 +24,31 @@ import {
   createQuotaUpdateEvent,
   createSuccessEvent,
   createErrorEvent,
+  createKeyErrorEvent,
+  createKeyCooldownEvent,
+  createRetryEvent,
 } from '../utils/event.mjs'
 import {
-  shouldRetryOnNetworkError,
+  isRetryableError,
   shouldMarkKeyError,
+  isThrottledError,
   getErrorType,
   getErrorMessage,
-  isServerError,
   calculateRetryDelay,
 } from '../utils/error.mjs'
+import { TinyPNGError } from '../errors.mjs'
+import { t } from '../utils/i18n.mjs'
 import * as TinyPNGService from '../service.mjs'
 
 /**
  * Prepare source for compression
+ * Readable streams are not buffered; they are uploaded as they are read and can only be sent once
  * @param {string|Buffer|Readable} source - Source input
  * @param {Function} emitFn - Event emission function
- * @returns {Promise<Object>} Prepared source data
+ * @param {string} [locale='zh'] - Message locale (en, zh)
+ * @returns {Promise<Object>} Prepared source data, with replayable false for streams
  */
-export async function prepareSource(source, emitFn) {
+export async function prepareSource(source, emitFn, locale = TINYPNG_DEFAULT_LOCALE) {
   const isSourceUrl = isUrl(source)
 
   if (isSourceUrl) {
@@ -47,11 +59,21 @@ export async function prepareSource(source, emitFn) {
 
     emitFn('start', createStartEvent(type, filename, size))
 
-    return { isSourceUrl, filename, type, size, originalSize, buffer: null }
+    return { isSourceUrl, filename, type, size, originalSize, buffer: null, replayable: true }
+  }
+
+  if (source instanceof Readable) {
+    const { stream, filename, totalSize } = getFileInfo(source, locale)
+    const type = 'stream'
+    const size = Number.isNaN(totalSize) ? null : totalSize
+
+    emitFn('start', createStartEvent(type, filename, size))
+
+    return { isSourceUrl, filename, type, size, originalSize: null, buffer: null, stream, replayable: false }
   }
 
   // Convert local source to buffer
-  const sourceInfo = await sourceToBuffer(source)
+  const sourceInfo = await sourceToBuffer(source, locale)
   const buffer = sourceInfo.buffer
   const filename = sourceInfo.filename
   const type = sourceInfo.type
@@ -60,7 +82,17 @@ export async function prepareSource(source, emitFn) {
 
   emitFn('start', createStartEvent(type, filename, size))
 
-  return { isSourceUrl, filename, type, size, originalSize, buffer }
+  return { isSourceUrl, filename, type, size, originalSize, buffer, replayable: true }
+}
+
+/**
+ * Check if the source can be uploaded again, e.g. for a retry with another key
+ * Streams can, as long as nothing has been read from them yet
+ * @param {Object} sourceData - Prepared source data
+ * @returns {boolean} True if the source can be sent again
+ */
+export function canResendSource(sourceData) {
+  return sourceData.replayable || !sourceData.stream.readableDidRead
 }
 
 /**
@@ -69,62 +101,103 @@ export async function prepareSource(source, emitFn) {
  * @param {string} source - Original source (for URLs)
  * @param {Object} keyStat - Selected API key stats
  * @param {Function} emitFn - Event emission function
+ * @param {Object} [requestOptions] - Request options passed to the service layer (apiBase, fetch, signal, locale)
  * @returns {Promise<Object>} Shrink result with outputUrl and compressionCount
  */
-export async function uploadAndShrink(sourceData, source, keyStat, emitFn) {
+export async function uploadAndShrink(sourceData, source, keyStat, emitFn, requestOptions = {}) {
+  const locale = requestOptions.locale ?? TINYPNG_DEFAULT_LOCALE
+
   if (sourceData.isSourceUrl) {
     // Upload from URL (no progress tracking for URL uploads)
-    emitFn('progress', createProgressEvent('uploading', 0.2, 'Fetching from URL...'))
-    return await TinyPNGService.shrinkFromUrl(source, keyStat.key)
+    emitFn('progress', createProgressEvent('uploading', 0.2, t(locale, 'fetchingUrl')))
+    return await TinyPNGService.shrinkFromUrl(source, keyStat.key, requestOptions)
   }
 
-  // Upload from buffer with real-time progress
-  emitFn('progress', createProgressEvent('uploading', 0.05, 'Starting upload...'))
+  // Upload from buffer or stream with real-time progress
+  emitFn('progress', createProgressEvent('uploading', 0.05, t(locale, 'uploadStarting')))
 
   const shrinkResult = await TinyPNGService.shrink(
-    sourceData.buffer,
+    sourceData.buffer ?? sourceData.stream,
     keyStat.key,
     (bytesUploaded, totalBytes) => {
       const overallProgress = calculateUploadProgress(bytesUploaded, totalBytes)
-      const uploadProgress = totalBytes > 0 ? bytesUploaded / totalBytes : 0
+
+      // Streams are uploaded as they are read, so only the bytes sent so far are known
+      const message = totalBytes
+        ? formatProgressMessage(t(locale, 'uploading'), bytesUploaded / totalBytes)
+        : formatBytesProgressMessage(t(locale, 'uploading'), bytesUploaded)
 
       emitFn(
         'progress',
-        createProgressEvent(
-          'uploading',
-          overallProgress,
-          formatProgressMessage('Uploading', uploadProgress),
-          {
-            bytesUploaded,
-            totalBytes,
-          }
-        )
+        createProgressEvent('uploading', overallProgress, message, {
+          bytesUploaded,
+          totalBytes,
+        })
       )
-    }
+    },
+    requestOptions
   )
 
   // Emit completion after upload finishes
-  emitFn('progress', createProgressEvent('uploading', 0.35, 'Upload complete'))
+  emitFn('progress', createProgressEvent('uploading', 0.35, t(locale, 'uploadComplete')))
 
   return shrinkResult
 }
 
 /**
- * Download compressed or resized image
- * @param {string} outputUrl - Output URL from shrink
+ * Output option stages, in order of precedence for progress reporting
+ * label and done are message keys
+ * @private
+ */
+const OUTPUT_STAGES = [
+  { option: 'resize', stage: 'resizing', label: 'resizing', done: 'resizeComplete' },
+  { option: 'convert', stage: 'converting', label: 'converting', done: 'conversionComplete' },
+  { option: 'transform', stage: 'transforming', label: 'transforming', done: 'transformComplete' },
+  { option: 'preserve', stage: 'preserving', label: 'preserving', done: 'metadataPreserved' },
+]
+
+/**
+ * Check if the download applies output options, which TinyPNG counts as another compression
  * @param {Object} options - Compression options
+ * @returns {boolean} True if any of resize, convert, transform or preserve is set
+ */
+export function hasOutputOptions(options) {
+  return OUTPUT_STAGES.some(({ option }) => options[option])
+}
+
+/**
+ * Count the compressions a call uses: the shrink, plus one for the output options if any
+ * @param {Object} options - Compression options
+ * @returns {number} 1 or 2
+ */
+export function countCompressions(options) {
+  return hasOutputOptions(options) ? 2 : 1
+}
+
+/**
+ * Download compressed image, applying any output options in a single request
+ * @param {string} outputUrl - Output URL from shrink
+ * @param {Object} options - Compression options (any combination of resize, convert, preserve, transform)
  * @param {Object} keyStat - Selected API key stats
  * @param {Function} emitFn - Event emission function
- * @returns {Promise<Response>} Download response
+ * @param {Object} [requestOptions] - Request options passed to the service layer (apiBase, fetch, signal, locale)
+ * @returns {Promise<Object>} Download response, compression count, the reusable output URL and the
+ * progress event to emit once the response body has been read
  */
-export async function downloadImage(outputUrl, options, keyStat, emitFn) {
-  if (options.resize) {
-    // Apply resize with progress tracking
-    emitFn('progress', createProgressEvent('resizing', 0.5, 'Applying resize...'))
+export async function downloadImage(outputUrl, options, keyStat, emitFn, requestOptions = {}) {
+  const locale = requestOptions.locale ?? TINYPNG_DEFAULT_LOCALE
+  const outputStage = OUTPUT_STAGES.find(({ option }) => options[option])
+
+  if (outputStage) {
+    const { stage } = outputStage
+    const label = t(locale, outputStage.label)
 
-    const resizeResult = await TinyPNGService.resize(
+    // Apply all output options in one request with progress tracking
+    emitFn('progress', createProgressEvent(stage, 0.5, `${label}...`))
+
+    const outputResult = await TinyPNGService.output(
       outputUrl,
-      options.resize,
+      options,
       keyStat.key,
       (bytesReceived, totalBytes) => {
         const overallProgress = calculateResizeProgress(bytesReceived, totalBytes)
@@ -132,27 +205,25 @@ export async function downloadImage(outputUrl, options, keyStat, emitFn) {
 
         emitFn(
           'progress',
-          createProgressEvent(
-            'resizing',
-            overallProgress,
-            formatProgressMessage('Resizing', downloadProgress),
-            {
-              bytesReceived,
-              totalBytes,
-            }
-          )
+          createProgressEvent(stage, overallProgress, formatProgressMessage(label, downloadProgress), {
+            bytesReceived,
+            totalBytes,
+          })
         )
-      }
+      },
+      requestOptions
     )
 
-    // Emit completion after resize finishes
-    emitFn('progress', createProgressEvent('resizing', 0.85, 'Resize complete'))
-
-    return resizeResult
+    // Completion is emitted by the finalize step, once the body has been read
+    return {
+      ...outputResult,
+      outputUrl,
+      doneEvent: createProgressEvent(stage, 0.85, t(locale, outputStage.done)),
+    }
   }
 
-  // Download directly without resize with real progress tracking
-  emitFn('progress', createProgressEvent('downloading', 0.6, 'Downloading result...'))
+  // Download directly without output options with real progress tracking
+  emitFn('progress', createProgressEvent('downloading', 0.6, t(locale, 'downloadStarting')))
 
   const downloadResponse = await TinyPNGService.download(
     outputUrl,
@@ -166,55 +237,162 @@ export async function downloadImage(outputUrl, options, keyStat, emitFn) {
         createProgressEvent(
           'downloading',
           overallProgress,
-          formatProgressMessage('Downloading', downloadProgress),
+          formatProgressMessage(t(locale, 'downloading'), downloadProgress),
           {
             bytesReceived,
             totalBytes,
           }
         )
       )
-    }
+    },
+    requestOptions
   )
 
-  // Emit completion after download finishes
-  emitFn('progress', createProgressEvent('downloading', 0.9, 'Download complete'))
+  return {
+    response: downloadResponse,
+    compressionCount: null,
+    outputUrl,
+    doneEvent: createProgressEvent('downloading', 0.9, t(locale, 'downloadComplete')),
+  }
+}
 
-  return { response: downloadResponse, compressionCount: null }
+/**
+ * Finalize compression result, reading the compressed image into memory
+ * @param {Object} downloadResult - Download result with response and output URL
+ * @param {Object} shrinkResult - Shrink result with TinyPNG input/output metadata
+ * @param {Object} sourceData - Original source data
+ * @param {Object} keyStat - Stats of the API key that compressed the image
+ * @param {Function} emitFn - Event emission function
+ * @param {string} [locale='zh'] - Message locale (en, zh)
+ * @returns {Promise<Object>} Detailed result with compressed image buffer
+ */
+export async function finalizeResult(
+  downloadResult,
+  shrinkResult,
+  sourceData,
+  keyStat,
+  emitFn,
+  locale = TINYPNG_DEFAULT_LOCALE
+) {
+  const compressedBuffer = Buffer.from(await downloadResult.response.arrayBuffer())
+
+  emitFn('progress', downloadResult.doneEvent)
+
+  return {
+    buffer: compressedBuffer,
+    ...completeResult(
+      downloadResult,
+      shrinkResult,
+      sourceData,
+      keyStat,
+      emitFn,
+      compressedBuffer.length,
+      locale
+    ),
+  }
+}
+
+/**
+ * Finalize compression result, piping the compressed image to a writable stream
+ * The image is never held in memory as a whole; the writable is ended once it is written
+ * @param {Object} downloadResult - Download result with response and output URL
+ * @param {Object} shrinkResult - Shrink result with TinyPNG input/output metadata
+ * @param {Object} sourceData - Original source data
+ * @param {Object} keyStat - Stats of the API key that compressed the image
+ * @param {Function} emitFn - Event emission function
+ * @param {Writable} destination - Stream to write the compressed image to
+ * @param {string} [locale='zh'] - Message locale (en, zh)
+ * @returns {Promise<Object>} Detailed result without buffer
+ */
+export async function finalizeToStream(
+  downloadResult,
+  shrinkResult,
+  sourceData,
+  keyStat,
+  emitFn,
+  destination,
+  locale = TINYPNG_DEFAULT_LOCALE
+) {
+  const { response } = downloadResult
+  let outputSize = 0
+
+  await pipeline(
+    response.body ? Readable.fromWeb(response.body) : Readable.from([]),
+    async function* (chunks) {
+      for await (const chunk of chunks) {
+        outputSize += chunk.length
+        yield chunk
+      }
+    },
+    destination
+  )
+
+  emitFn('progress', downloadResult.doneEvent)
+
+  return completeResult(downloadResult, shrinkResult, sourceData, keyStat, emitFn, outputSize, locale)
 }
 
 /**
- * Finalize compression result
- * @param {Response} downloadResponse - Download response
+ * Build the detailed result and emit completion events
+ * @private
+ * @param {Object} downloadResult - Download result with response and output URL
+ * @param {Object} shrinkResult - Shrink result with TinyPNG input/output metadata
  * @param {Object} sourceData - Original source data
- * @param {Object} finalKeyStat - Final API key stats
+ * @param {Object} keyStat - Stats of the API key that compressed the image
  * @param {Function} emitFn - Event emission function
- * @returns {Promise<Buffer>} Compressed image buffer
+ * @param {number} outputSize - Size of the compressed image in bytes
+ * @param {string} locale - Message locale (en, zh)
+ * @returns {Object} Detailed result without buffer
  */
-export async function finalizeResult(downloadResponse, sourceData, finalKeyStat, emitFn) {
-  const compressedBuffer = Buffer.from(await downloadResponse.arrayBuffer())
+function completeResult(downloadResult, shrinkResult, sourceData, keyStat, emitFn, outputSize, locale) {
+  const { response, outputUrl } = downloadResult
+  const shrinkData = shrinkResult.data || {}
 
-  // For URLs, we use compressed size as original (can't know real original)
-  const finalOriginalSize = sourceData.originalSize || compressedBuffer.length
-  const compressionRatio = sourceData.originalSize
-    ? calculateCompressionRatio(sourceData.originalSize, compressedBuffer.length)
-    : '0.00'
+  // Local sources are measured before upload; for URLs TinyPNG reports the original size
+  const inputSize = sourceData.originalSize ?? shrinkData.input?.size ?? null
+  const compressionRatio = inputSize ? calculateCompressionRatio(inputSize, outputSize) : '0.00'
 
-  emitFn('progress', createProgressEvent('complete', 1.0, 'Compression complete'))
+  // Resize/convert change the output, so prefer the response headers over shrink metadata
+  const width = parseInt(response.headers.get('Image-Width') || '', 10)
+  const height = parseInt(response.headers.get('Image-Height') || '', 10)
+
+  // Counts from this call's own responses; the key may have been used by other calls since
+  const compressionCount =
+    downloadResult.compressionCount ?? shrinkResult.compressionCount ?? keyStat.compressionCount
+
+  emitFn('progress', createProgressEvent('complete', 1.0, t(locale, 'compressionComplete')))
 
   emitFn(
     'success',
     createSuccessEvent(
-      finalKeyStat.index,
-      finalOriginalSize,
-      compressedBuffer.length,
+      keyStat.index,
+      inputSize ?? outputSize,
+      outputSize,
       compressionRatio,
       sourceData.filename,
-      finalKeyStat.compressionCount,
-      finalKeyStat.monthlyLimit
+      compressionCount,
+      keyStat.monthlyLimit
     )
   )
 
-  return compressedBuffer
+  return {
+    input: {
+      size: inputSize,
+      type: shrinkData.input?.type ?? null,
+    },
+    output: {
+      size: outputSize,
+      type: response.headers.get('Content-Type') || shrinkData.output?.type || null,
+      width: Number.isNaN(width) ? (shrinkData.output?.width ?? null) : width,
+      height: Number.isNaN(height) ? (shrinkData.output?.height ?? null) : height,
+    },
+    ratio: inputSize ? Number((outputSize / inputSize).toFixed(4)) : null,
+    savedPercent: compressionRatio,
+    keyIndex: keyStat.index,
+    label: keyStat.label,
+    compressionCount,
+    outputUrl,
+  }
 }
 
 /**
@@ -223,73 +401,177 @@ export async function finalizeResult(downloadResponse, sourceData, finalKeyStat,
  * @param {Object} keyStat - API key stats
  * @param {Object} keyManager - Key manager instance
  * @param {Function} emitFn - Event emission function
+ * @param {Object} [reservation] - Reservation of the call, of which the compression of this request is
+ * confirmed by the count, or released if there is none
  */
-export function updateQuota(result, keyStat, keyManager, emitFn) {
+export function updateQuota(result, keyStat, keyManager, emitFn, reservation = null) {
   if (result.compressionCount !== null) {
-    keyManager.updateStats(keyStat.index, result.compressionCount)
+    keyManager.updateStats(keyStat.index, result.compressionCount, reservation)
 
     emitFn(
       'quotaUpdate',
       createQuotaUpdateEvent(keyStat.index, result.compressionCount, keyStat.monthlyLimit)
     )
+  } else if (reservation) {
+    // Without a count the key's usage stays unknown, so this compression is not held back any longer;
+    // the others of the call still are
+    keyManager.release(reservation, 1)
   }
 }
 
 /**
  * Handle service errors with retry logic
+ * Rejected or exhausted keys are disabled and throttled keys cool down, so the next attempt
+ * uses another key; errors matched by the retry policy are retried after a backoff delay
+ * Moving on from a disabled key is not a retry, since the key pool already bounds it
  * @param {Error} error - Error object
  * @param {Object} keyStat - API key stats
- * @param {number} attempt - Current attempt number
- * @param {number} maxRetries - Maximum retry attempts
+ * @param {Object} retry - Retry state
+ * @param {number} retry.retries - Retries made so far
+ * @param {Object} retry.policy - Normalized retry options
+ * @param {boolean} retry.canResend - Whether the source can be uploaded again
  * @param {Object} keyManager - Key manager instance
  * @param {Function} emitFn - Event emission function
  * @param {Function} delayFn - Delay function
- * @returns {Promise<void>}
+ * @param {string} [locale='zh'] - Message locale (en, zh)
+ * @returns {Promise<boolean>} True if should continue retry loop
  */
-export async function handleServiceError(error, keyStat, attempt, maxRetries, keyManager, emitFn, delayFn) {
-  // Mark key as errored if appropriate
-  if (shouldMarkKeyError(error)) {
-    keyManager.markKeyError(keyStat.index, error)
-    emitFn('keyError', { keyIndex: keyStat.index, error: error.message })
-  }
-
+export async function handleServiceError(
+  error,
+  keyStat,
+  retry,
+  keyManager,
+  emitFn,
+  delayFn,
+  locale = TINYPNG_DEFAULT_LOCALE
+) {
   // Get error type and message
   const errorType = getErrorType(error)
-  const errorMessage = getErrorMessage(error)
+  const errorMessage = getErrorMessage(error, locale)
+  const keyDisabled = shouldMarkKeyError(error)
+  const throttled = !keyDisabled && isThrottledError(error)
+
+  // Take the key out of rotation: permanently when rejected or exhausted, for a while when throttled
+  if (keyDisabled) {
+    keyManager.markKeyError(keyStat.index, error)
+    emitFn('keyError', createKeyErrorEvent(keyStat.index, error.message))
+  } else if (throttled) {
+    keyManager.markKeyThrottled(keyStat.index, error.retryAfter, error)
+    emitFn('keyCooldown', createKeyCooldownEvent(keyStat.index, error.retryAfter, errorMessage))
+  }
 
   // Emit error event
   emitFn('error', createErrorEvent(errorType, keyStat.index, errorMessage, error, error.status))
 
-  // Retry on server errors with exponential backoff
-  if (isServerError(error) && attempt < maxRetries - 1) {
-    await delayFn(calculateRetryDelay(attempt))
+  if (keyDisabled) {
+    // Nothing left to rotate to
+    if (!keyManager.hasUsableKeys()) {
+      throw error
+    }
+
+    assertResendable(error, retry, locale)
+    return true // Continue with the next key
+  }
+
+  if (
+    !(throttled || isRetryableError(error, retry.policy.retryOn)) ||
+    retry.retries >= retry.policy.attempts
+  ) {
+    // Client error or retries used up, don't retry
+    throw error
   }
 
-  // Always throw to trigger retry loop
-  throw error
+  // A throttled key only holds up the retry when no other key is ready
+  const delay = throttled
+    ? keyManager.getCooldownRemaining()
+    : calculateRetryDelay(retry.retries, retry.policy)
+  const reason = throttled ? 'throttled' : errorType
+
+  return scheduleRetry(error, reason, delay, keyStat.index, errorMessage, retry, emitFn, delayFn, locale)
 }
 
 /**
  * Handle network errors with retry logic
  * @param {Error} error - Error object
- * @param {number} attempt - Current attempt number
- * @param {number} maxRetries - Maximum retry attempts
  * @param {number|null} keyIndex - Current key index
+ * @param {Object} retry - Retry state, as for handleServiceError
  * @param {Function} emitFn - Event emission function
  * @param {Function} delayFn - Delay function
+ * @param {string} [locale='zh'] - Message locale (en, zh)
  * @returns {Promise<boolean>} True if should continue retry loop
  */
-export async function handleNetworkError(error, attempt, maxRetries, keyIndex, emitFn, delayFn) {
+export async function handleNetworkError(
+  error,
+  keyIndex,
+  retry,
+  emitFn,
+  delayFn,
+  locale = TINYPNG_DEFAULT_LOCALE
+) {
   emitFn('error', createErrorEvent('unknown', keyIndex, '', error))
 
-  // Retry on network errors
-  if (shouldRetryOnNetworkError(error)) {
-    if (attempt < maxRetries - 1) {
-      await delayFn(calculateRetryDelay(attempt))
-      return true // Continue retry loop
-    }
+  if (!isRetryableError(error, retry.policy.retryOn) || retry.retries >= retry.policy.attempts) {
+    // Unknown error or retries used up, don't retry
+    throw error
+  }
+
+  const delay = calculateRetryDelay(retry.retries, retry.policy)
+
+  return scheduleRetry(
+    error,
+    getErrorType(error),
+    delay,
+    keyIndex,
+    error.message,
+    retry,
+    emitFn,
+    delayFn,
+    locale
+  )
+}
+
+/**
+ * Announce a retry and wait for its delay
+ * @private
+ * @param {Error} error - Error that is retried
+ * @param {string} reason - Retry reason for the event
+ * @param {number} delay - Delay in milliseconds
+ * @param {number|null} keyIndex - Index of the key that failed
+ * @param {string} errorMessage - Error message for the event
+ * @param {Object} retry - Retry state
+ * @param {Function} emitFn - Event emission function
+ * @param {Function} delayFn - Delay function
+ * @param {string} locale - Message locale (en, zh)
+ * @returns {Promise<boolean>} Always true
+ */
+async function scheduleRetry(error, reason, delay, keyIndex, errorMessage, retry, emitFn, delayFn, locale) {
+  assertResendable(error, retry, locale)
+
+  emitFn(
+    'retry',
+    createRetryEvent(retry.retries + 1, retry.policy.attempts, reason, delay, keyIndex, errorMessage)
+  )
+
+  if (delay > 0) {
+    await delayFn(delay)
   }
 
-  // Unknown error or max retries reached, don't retry
-  throw error
+  return true
+}
+
+/**
+ * Every retry uploads the source again, which a stream that has been read can't do
+ * @private
+ * @param {Error} error - Error that would be retried
+ * @param {Object} retry - Retry state
+ * @param {string} locale - Message locale (en, zh)
+ * @throws {TinyPNGError} If the source can't be sent again
+ */
+function assertResendable(error, retry, locale) {
+  if (!retry.canResend) {
+    throw new TinyPNGError(t(locale, 'streamNotResendable', { message: error.message }), {
+      keyIndex: error.keyIndex,
+      cause: error,
+    })
+  }
 }